@@ -18,6 +18,8 @@ genesisBlockDevnet.header.asset.accounts = genesisBlockDevnet.header.asset.accou
 		utils.objects.mergeDeep({}, a, {
 			nft: {
 				ownNFTs: [],
+				tokenApprovals: [],
+				operators: [],
 			},
 		}),
 );
@@ -26,7 +28,10 @@ genesisBlockDevnet.header.asset.accounts = genesisBlockDevnet.header.asset.accou
 // and communityIdentifier to mitigate transaction replay
 const appConfig = utils.objects.mergeDeep({}, configDevnet, {
 	label: 'nft-app',
-	genesisConfig: { communityIdentifier: 'NFT' }, //In order to have a unique networkIdentifier
+	genesisConfig: {
+		communityIdentifier: 'NFT', //In order to have a unique networkIdentifier
+		nftBurnRefundPercentage: 50, //Share of the NFT value returned to the owner when burning it
+	},
 	logger: {
 		consoleLogLevel: 'info',
 	},
@@ -3,32 +3,73 @@ const os = require("os");
 const path = require("path");
 const { cryptography, codec, db } = require("lisk-sdk");
 
-const DB_KEY_TRANSACTIONS = "nft:transactions";
-const CREATENFT_ASSET_ID = 0;
-const TRANSFERNFT_ASSET_ID = 2;
+const DB_KEY_TRANSACTION_PREFIX = "nft:transaction:";
+const DB_KEY_TRANSACTIONS_BY_HEIGHT_PREFIX = "nft:transactionsByHeight:";
+const DB_KEY_TRANSACTIONS_BY_SENDER_PREFIX = "nft:transactionsBySender:";
+const DB_KEY_TRANSACTIONS_BY_MODULE_PREFIX = "nft:transactionsByModule:";
+const DB_KEY_TRANSACTIONS_BY_ASSET_PREFIX = "nft:transactionsByAsset:";
+const DB_KEY_TRANSACTIONS_BY_SENDER_MODULE_PREFIX = "nft:transactionsBySenderModule:";
+const DB_KEY_TRANSACTIONS_BY_SENDER_ASSET_PREFIX = "nft:transactionsBySenderAsset:";
+const DB_KEY_TRANSACTIONS_COUNT_PREFIX = "nft:transactionsCount:";
+const DB_KEY_NFT_HISTORY_PREFIX = "nft:history:";
+const DB_KEY_NFT_HISTORY_AT_PREFIX = "nft:historyAt:";
+const DB_KEY_INDEXED_BLOCK_PREFIX = "nft:indexedBlock:";
+const DB_KEY_LAST_INDEXED_BLOCK = "nft:lastIndexedBlock";
+// History record types, named after the nft module events they are indexed from
+const NFT_HISTORY_TYPES = ['created', 'purchased', 'transferred', 'burned'];
+const TRANSACTIONS_DEFAULT_LIMIT = 10;
+const TRANSACTIONS_MAX_LIMIT = 100;
 
 // Schemas
-const encodedTransactionSchema = {
-  $id: 'nft/encoded/transactions',
+const nftHistorySchema = {
+  $id: 'nft/nftHistory',
   type: 'object',
-  required: ['transactions'],
+  required: ['nftHistory'],
   properties: {
-    transactions: {
+    nftHistory: {
       type: 'array',
       fieldNumber: 1,
       items: {
-        dataType: 'bytes',
+        type: 'object',
+        required: ['type', 'from', 'to', 'price', 'height', 'transactionId'],
+        properties: {
+          type: {
+            dataType: 'string',
+            fieldNumber: 1,
+          },
+          from: {
+            dataType: 'bytes',
+            fieldNumber: 2,
+          },
+          to: {
+            dataType: 'bytes',
+            fieldNumber: 3,
+          },
+          price: {
+            dataType: 'uint64',
+            fieldNumber: 4,
+          },
+          height: {
+            dataType: 'uint32',
+            fieldNumber: 5,
+          },
+          transactionId: {
+            dataType: 'bytes',
+            fieldNumber: 6,
+          },
+        },
       },
     },
   },
 };
 
-const encodedNFTHistorySchema = {
-  $id: 'nft/encoded/nftHistory',
+// Tokens with history records of a height
+const nftIdsSchema = {
+  $id: 'nft/nftIds',
   type: 'object',
-  required: ['nftHistory'],
+  required: ['nftIds'],
   properties: {
-    nftHistory: {
+    nftIds: {
       type: 'array',
       fieldNumber: 1,
       items: {
@@ -38,43 +79,219 @@ const encodedNFTHistorySchema = {
   },
 };
 
+// Number of transactions stored under an index
+const transactionsCountSchema = {
+  $id: 'nft/transactionsCount',
+  type: 'object',
+  required: ['count'],
+  properties: {
+    count: {
+      dataType: 'uint32',
+      fieldNumber: 1,
+    },
+  },
+};
+
+// What was indexed for a block, to undo it when the block is deleted
+const indexedBlockSchema = {
+  $id: 'nft/indexedBlock',
+  type: 'object',
+  required: ['id', 'height', 'transactionIds'],
+  properties: {
+    id: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    height: {
+      dataType: 'uint32',
+      fieldNumber: 2,
+    },
+    transactionIds: {
+      type: 'array',
+      fieldNumber: 3,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+  },
+};
+
 const getDBInstance = async (dataPath = '~/.lisk/nft-app/', dbName = 'nft_plugin.db') => {
   const dirPath = path.join(dataPath.replace('~', os.homedir()), 'plugins/data', dbName);
   await fs_extra.ensureDir(dirPath);
   return new db.KVStore(dirPath);
 };
 
-const getTransactions = async (db) => {
+const getTransactionKey = (id) => `${DB_KEY_TRANSACTION_PREFIX}${id.toString('hex')}`;
+
+// Prefix of the index of the transactions of a sender hex address, a module and an asset of the module, each optional
+const getTransactionIndexPrefix = (address, moduleID, assetID) => {
+  if (moduleID === undefined) {
+    return address === undefined
+      ? DB_KEY_TRANSACTIONS_BY_HEIGHT_PREFIX
+      : `${DB_KEY_TRANSACTIONS_BY_SENDER_PREFIX}${address}:`;
+  }
+  if (address === undefined) {
+    return assetID === undefined
+      ? `${DB_KEY_TRANSACTIONS_BY_MODULE_PREFIX}${moduleID}:`
+      : `${DB_KEY_TRANSACTIONS_BY_ASSET_PREFIX}${moduleID}:${assetID}:`;
+  }
+  return assetID === undefined
+    ? `${DB_KEY_TRANSACTIONS_BY_SENDER_MODULE_PREFIX}${address}:${moduleID}:`
+    : `${DB_KEY_TRANSACTIONS_BY_SENDER_ASSET_PREFIX}${address}:${moduleID}:${assetID}:`;
+};
+
+// Prefixes of every index a transaction is listed in, so each filter of `getTransactions` reads a single index
+const getTransactionIndexPrefixes = (transaction) => {
+  const senderAddress = cryptography.getAddressFromPublicKey(transaction.senderPublicKey).toString('hex');
+
+  return [undefined, senderAddress].flatMap(address => [
+    getTransactionIndexPrefix(address),
+    getTransactionIndexPrefix(address, transaction.moduleID),
+    getTransactionIndexPrefix(address, transaction.moduleID, transaction.assetID),
+  ]);
+};
+
+// Index key of a transaction, ordered by height and position in the block so the newest come last
+const getTransactionIndexKey = (prefix, height, position) =>
+  `${prefix}${String(height).padStart(10, '0')}:${String(position).padStart(4, '0')}`;
+
+const getTransactionsCountKey = (prefix) => `${DB_KEY_TRANSACTIONS_COUNT_PREFIX}${prefix}`;
+
+const getTransactionsCount = async (db, prefix) => {
   try {
-    const encodedTransactions = await db.get(DB_KEY_TRANSACTIONS);
-    const { transactions } = codec.decode(encodedTransactionSchema, encodedTransactions);
-    return transactions;
+    const encodedCount = await db.get(getTransactionsCountKey(prefix));
+    const { count } = codec.decode(transactionsCountSchema, encodedCount);
+
+    return count;
   }
   catch (error) {
-    return [];
+    return 0;
   }
 };
 
-const getAllTransactions = async (db, registeredSchema) => {
-  const savedTransactions = await getTransactions(db);
-  const transactions = [];
-  for (const trx of savedTransactions) {
-    transactions.push(decodeTransaction(trx, registeredSchema));
+const updateTransactionsCount = async (db, prefix, change) => {
+  const count = await getTransactionsCount(db, prefix) + change;
+  if (count > 0) {
+    await db.put(getTransactionsCountKey(prefix), codec.encode(transactionsCountSchema, { count }));
+  } else {
+    await db.del(getTransactionsCountKey(prefix));
   }
-  return transactions;
-}
+};
+
+// Ids of a page of the index starting with `prefix`, the newest first, read from the store up to the end of the page
+const getIndexedTransactionIds = (db, prefix, offset, limit) => new Promise((resolve, reject) => {
+  const ids = [];
+  db.createReadStream({ gte: prefix, lte: `${prefix}~`, reverse: true, limit: offset + limit })
+    .on('data', ({ value }) => {
+      ids.push(value);
+    })
+    .on('error', error => {
+      reject(error);
+    })
+    .on('end', () => {
+      resolve(ids.slice(offset));
+    });
+});
 
-const saveTransactions = async (db, payload) => {
-  const savedTransactions = await getTransactions(db);
-  const transactions = [...savedTransactions, ...payload];
-  const encodedTransactions = codec.encode(encodedTransactionSchema, { transactions });
-  await db.put(DB_KEY_TRANSACTIONS, encodedTransactions);
+// Stores every transaction of the block at `height` under its id and in the indexes of its sender, module and asset, counting them
+const saveTransactions = async (db, registeredSchema, height, payload) => {
+  for (const [position, encodedTransaction] of payload.entries()) {
+    const transaction = codec.decode(registeredSchema.transaction, encodedTransaction);
+    const id = cryptography.hash(encodedTransaction);
+    await db.put(getTransactionKey(id), encodedTransaction);
+    for (const prefix of getTransactionIndexPrefixes(transaction)) {
+      await db.put(getTransactionIndexKey(prefix, height, position), id);
+      await updateTransactionsCount(db, prefix, 1);
+    }
+  }
+};
+
+const removeTransactions = async (db, registeredSchema, height, transactionIds) => {
+  for (const [position, id] of transactionIds.entries()) {
+    let encodedTransaction;
+    try {
+      encodedTransaction = await db.get(getTransactionKey(id));
+    }
+    catch (error) {
+      continue;
+    }
+    const transaction = codec.decode(registeredSchema.transaction, encodedTransaction);
+    for (const prefix of getTransactionIndexPrefixes(transaction)) {
+      await db.del(getTransactionIndexKey(prefix, height, position));
+      await updateTransactionsCount(db, prefix, -1);
+    }
+    await db.del(getTransactionKey(id));
+  }
 };
 
-const getNFTHistory = async (db, dbKey) => {
+// Returns a page of transactions, the newest first, optionally of one sender hex address and one module and asset
+const getTransactions = async (
+  db,
+  registeredSchema,
+  { address, moduleID, assetID, offset = 0, limit = TRANSACTIONS_DEFAULT_LIMIT } = {},
+) => {
+  const parsedOffset = Number(offset);
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    throw new Error('Offset must be a non-negative integer.');
+  }
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > TRANSACTIONS_MAX_LIMIT) {
+    throw new Error(`Limit must be an integer between 1 and ${TRANSACTIONS_MAX_LIMIT}.`);
+  }
+  if (address !== undefined && !/^[0-9a-f]{40}$/.test(address)) {
+    throw new Error('Address must be a 20 bytes hex or a base32 address.');
+  }
+  for (const [name, value] of [['ModuleID', moduleID], ['AssetID', assetID]]) {
+    if (value !== undefined && !/^[0-9]+$/.test(value)) {
+      throw new Error(`${name} must be a non-negative integer.`);
+    }
+  }
+  if (assetID !== undefined && moduleID === undefined) {
+    throw new Error('AssetID can only be used together with moduleID.');
+  }
+
+  const prefix = getTransactionIndexPrefix(
+    address,
+    moduleID === undefined ? undefined : Number(moduleID),
+    assetID === undefined ? undefined : Number(assetID),
+  );
+  const data = [];
+  for (const id of await getIndexedTransactionIds(db, prefix, parsedOffset, parsedLimit)) {
+    data.push(decodeTransaction(await db.get(getTransactionKey(id)), registeredSchema));
+  }
+
+  return {
+    data,
+    meta: {
+      total: await getTransactionsCount(db, prefix),
+      offset: parsedOffset,
+      limit: parsedLimit,
+    },
+  };
+};
+
+const getNFTHistoryKey = (nftId) => `${DB_KEY_NFT_HISTORY_PREFIX}${nftId}`;
+const getNFTHistoryAtKey = (height) => `${DB_KEY_NFT_HISTORY_AT_PREFIX}${height}`;
+const getIndexedBlockKey = (height) => `${DB_KEY_INDEXED_BLOCK_PREFIX}${height}`;
+
+const getNFTIdsWithHistoryAt = async (db, height) => {
   try {
-    const encodedNFTHistory = await db.get(dbKey);
-    const { nftHistory } = codec.decode(encodedNFTHistorySchema, encodedNFTHistory);
+    const encodedNFTIds = await db.get(getNFTHistoryAtKey(height));
+    const { nftIds } = codec.decode(nftIdsSchema, encodedNFTIds);
+
+    return nftIds;
+  }
+  catch (error) {
+    return [];
+  }
+};
+
+// History records of a token, the latest first
+const getNFTHistory = async (db, nftId) => {
+  try {
+    const encodedNFTHistory = await db.get(getNFTHistoryKey(nftId));
+    const { nftHistory } = codec.decode(nftHistorySchema, encodedNFTHistory);
 
     return nftHistory;
   }
@@ -83,37 +300,101 @@ const getNFTHistory = async (db, dbKey) => {
   }
 };
 
-const saveNFTHistory = async (db, decodedBlock, registeredModules, channel) => {
-  decodedBlock.payload.map(async trx => {
-    const module = registeredModules.find(m => m.id === trx.moduleID);
-    if (module.name === 'nft') {
-    let dbKey, savedHistory, base32Address, nftHistory, encodedNFTHistory;
-      if (trx.assetID === CREATENFT_ASSET_ID){
-        channel.invoke('nft:getAllNFTTokens').then(async (val) => {
-          for (let i = 0; i < val.length; i++) {
-            const senderAdress = cryptography.getAddressFromPublicKey(Buffer.from(trx.senderPublicKey, 'hex'));
-            if (val[i].ownerAddress === senderAdress.toString('hex')) {
-              dbKey = `nft:${val[i].id}`;
-              savedHistory = await getNFTHistory(db, dbKey);
-              if (savedHistory && savedHistory.length < 1) {
-                base32Address = cryptography.getBase32AddressFromPublicKey(Buffer.from(trx.senderPublicKey, 'hex'), 'lsk');
-                nftHistory = [Buffer.from(base32Address, 'binary'), ...savedHistory];
-                encodedNFTHistory = codec.encode(encodedNFTHistorySchema, { nftHistory });
-                await db.put(dbKey, encodedNFTHistory);
-              }
-            }
-          };
-        });
-      } else {
-        dbKey = `nft:${trx.asset.nftId}`;
-        base32Address = (trx.assetID === TRANSFERNFT_ASSET_ID) ? cryptography.getBase32AddressFromAddress(Buffer.from(trx.asset.recipient, 'hex')) : cryptography.getBase32AddressFromPublicKey(Buffer.from(trx.senderPublicKey, 'hex'), 'lsk');
-        savedHistory = await getNFTHistory(db, dbKey);
-        nftHistory = [Buffer.from(base32Address, 'binary'), ...savedHistory];
-        encodedNFTHistory = codec.encode(encodedNFTHistorySchema, { nftHistory });
-        await db.put(dbKey, encodedNFTHistory);
-      }
-    }
-  });
+const getNFTHistoryAsJSON = async (db, nftId) => {
+  const nftHistory = await getNFTHistory(db, nftId);
+
+  return nftHistory.map(record => ({
+    type: record.type,
+    from: record.from.length > 0 ? cryptography.getBase32AddressFromAddress(record.from) : null,
+    to: record.to.length > 0 ? cryptography.getBase32AddressFromAddress(record.to) : null,
+    price: record.price.toString(),
+    height: record.height,
+    transactionId: record.transactionId.length > 0 ? record.transactionId.toString('hex') : null,
+  }));
+};
+
+// Adds the record of an nft module event (`created`, `purchased`, `transferred` or `burned`) to the token history
+const saveNFTHistory = async (db, type, event) => {
+  if (!NFT_HISTORY_TYPES.includes(type)) {
+    throw new Error(`Unknown NFT history type ${type}`);
+  }
+  const savedHistory = await getNFTHistory(db, event.nftId);
+  const record = {
+    type,
+    from: Buffer.from(event.from || '', 'hex'),
+    to: Buffer.from(event.to || '', 'hex'),
+    price: BigInt(event.price),
+    height: event.height,
+    transactionId: Buffer.from(event.transactionId || '', 'hex'),
+  };
+  const nftHistory = [record, ...savedHistory];
+  await db.put(getNFTHistoryKey(event.nftId), codec.encode(nftHistorySchema, { nftHistory }));
+
+  const nftIds = await getNFTIdsWithHistoryAt(db, event.height);
+  const nftId = Buffer.from(event.nftId, 'hex');
+  if (!nftIds.some(id => id.equals(nftId))) {
+    await db.put(getNFTHistoryAtKey(event.height), codec.encode(nftIdsSchema, { nftIds: [...nftIds, nftId] }));
+  }
+};
+
+// Removes the history records of a height from every token
+const revertNFTHistoryAt = async (db, height) => {
+  const nftIds = await getNFTIdsWithHistoryAt(db, height);
+  for (const id of nftIds) {
+    const nftId = id.toString('hex');
+    const savedHistory = await getNFTHistory(db, nftId);
+    const nftHistory = savedHistory.filter(record => record.height !== height);
+    await db.put(getNFTHistoryKey(nftId), codec.encode(nftHistorySchema, { nftHistory }));
+  }
+  if (nftIds.length > 0) {
+    await db.del(getNFTHistoryAtKey(height));
+  }
+};
+
+const getIndexedBlock = async (db, height) => {
+  try {
+    const encodedIndexedBlock = await db.get(getIndexedBlockKey(height));
+
+    return codec.decode(indexedBlockSchema, encodedIndexedBlock);
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+// Height and id of the latest block the plugin indexed, undefined before the first block
+const getLastIndexedBlock = async (db) => {
+  try {
+    const encodedIndexedBlock = await db.get(DB_KEY_LAST_INDEXED_BLOCK);
+
+    return codec.decode(indexedBlockSchema, encodedIndexedBlock);
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+const saveIndexedBlock = async (db, indexedBlock) => {
+  const encodedIndexedBlock = codec.encode(indexedBlockSchema, indexedBlock);
+  await db.put(getIndexedBlockKey(indexedBlock.height), encodedIndexedBlock);
+  await db.put(DB_KEY_LAST_INDEXED_BLOCK, encodedIndexedBlock);
+};
+
+// Undoes everything indexed for the block at `height` and makes the block below it the last indexed one
+const revertIndexedBlock = async (db, registeredSchema, height) => {
+  const indexedBlock = await getIndexedBlock(db, height);
+  if (indexedBlock) {
+    await removeTransactions(db, registeredSchema, height, indexedBlock.transactionIds);
+    await db.del(getIndexedBlockKey(height));
+  }
+  await revertNFTHistoryAt(db, height);
+
+  const previousBlock = height > 0 ? await getIndexedBlock(db, height - 1) : undefined;
+  if (previousBlock) {
+    await db.put(DB_KEY_LAST_INDEXED_BLOCK, codec.encode(indexedBlockSchema, previousBlock));
+  } else {
+    await db.del(DB_KEY_LAST_INDEXED_BLOCK);
+  }
 };
 
 const decodeTransaction = (
@@ -149,10 +430,15 @@ const getTransactionAssetSchema = (
 };
 
 module.exports = {
+  NFT_HISTORY_TYPES,
   getDBInstance,
-  getAllTransactions,
   getTransactions,
   saveTransactions,
   saveNFTHistory,
   getNFTHistory,
+  getNFTHistoryAsJSON,
+  revertNFTHistoryAt,
+  getLastIndexedBlock,
+  saveIndexedBlock,
+  revertIndexedBlock,
 }
@@ -0,0 +1,5 @@
+const { createAPIConfig } = require("../../../shared/api_plugin/defaults");
+
+const defaultConfig = createAPIConfig();
+
+module.exports = { defaultConfig };
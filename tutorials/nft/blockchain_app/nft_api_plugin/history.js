@@ -0,0 +1,66 @@
+const { cryptography } = require("lisk-sdk");
+const { computeNFTTokenId } = require("../nft_module/nft");
+
+// Rebuilds the `created`, `purchased`, `transferred` and `burned` events of the NFT module for a block
+// from its transactions and the auctions settled at its height. It is used for blocks added while the
+// plugin was not running, `getOwner` returns the last indexed owner of a token as hex address.
+const getNFTEventsFromBlock = async (block, nftModule, settledAuctions, getOwner) => {
+  const { height } = block.header;
+  const owners = new Map();
+  const getCurrentOwner = async (nftId) => (owners.has(nftId) ? owners.get(nftId) : getOwner(nftId));
+  const events = [];
+  const addEvent = (type, { nftId, from = null, to = null, price = "0", transactionId = null }) => {
+    owners.set(nftId, to);
+    events.push({ type, event: { nftId, from, to, price, height, transactionId } });
+  };
+
+  for (const trx of block.payload) {
+    if (trx.moduleID !== nftModule.id) {
+      continue;
+    }
+    const { name } = nftModule.transactionAssets.find((a) => a.id === trx.assetID);
+    const { asset, id: transactionId } = trx;
+    const senderAddress = cryptography.getAddressFromPublicKey(Buffer.from(trx.senderPublicKey, "hex"));
+    const sender = senderAddress.toString("hex");
+    const mintedId = (index) =>
+      computeNFTTokenId(senderAddress, BigInt(trx.nonce), index).toString("hex");
+
+    if (name === "createNFT") {
+      addEvent("created", { nftId: mintedId(), to: sender, price: asset.initValue, transactionId });
+    } else if (name === "batchCreateNFT") {
+      asset.items.forEach((item, index) =>
+        addEvent("created", { nftId: mintedId(index), to: sender, price: item.initValue, transactionId })
+      );
+    } else if (name === "purchaseNFT") {
+      const from = await getCurrentOwner(asset.nftId);
+      addEvent("purchased", { nftId: asset.nftId, from, to: sender, price: asset.purchaseValue, transactionId });
+    } else if (name === "transferNFT") {
+      const from = await getCurrentOwner(asset.nftId);
+      addEvent("transferred", { nftId: asset.nftId, from, to: asset.recipient, transactionId });
+    } else if (name === "batchTransferNFT") {
+      for (const item of asset.items) {
+        const from = await getCurrentOwner(item.nftId);
+        addEvent("transferred", { nftId: item.nftId, from, to: item.recipient, transactionId });
+      }
+    } else if (name === "burnNFT") {
+      const from = await getCurrentOwner(asset.nftId);
+      addEvent("burned", { nftId: asset.nftId, from, transactionId });
+    }
+  }
+
+  // auctions are settled after the transactions of the block
+  for (const auction of settledAuctions) {
+    if (auction.winnerAddress) {
+      addEvent("purchased", {
+        nftId: auction.nftId,
+        from: auction.sellerAddress,
+        to: auction.winnerAddress,
+        price: auction.highestBid,
+      });
+    }
+  }
+
+  return events;
+};
+
+module.exports = { getNFTEventsFromBlock };
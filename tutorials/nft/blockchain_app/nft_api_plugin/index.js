@@ -1,8 +1,35 @@
 const express = require("express");
 const cors = require("cors");
-const { BasePlugin, codec } = require("lisk-sdk");
+const { BasePlugin, codec, cryptography } = require("lisk-sdk");
 const pJSON = require("../package.json");
-const { getDBInstance, getNFTHistory, getAllTransactions, saveNFTHistory, saveTransactions } = require("./db");
+const {
+  NFT_HISTORY_TYPES,
+  getDBInstance,
+  getNFTHistory,
+  getNFTHistoryAsJSON,
+  getTransactions,
+  saveNFTHistory,
+  saveTransactions,
+  revertNFTHistoryAt,
+  getLastIndexedBlock,
+  saveIndexedBlock,
+  revertIndexedBlock,
+} = require("./db");
+const { getNFTEventsFromBlock } = require("./history");
+const { defaultConfig } = require("./defaults");
+const { whiteListMiddleware, rateLimitMiddleware, listen } = require("../../../shared/api_plugin/server");
+
+// Number of blocks requested at once while catching up with the chain
+const RESYNC_BATCH_SIZE = 100;
+// NFT module events pushed to the clients of `/api/events`
+const NFT_LIVE_EVENT_TYPES = [...NFT_HISTORY_TYPES, "priceChanged", "auctionSettled"];
+
+// An event matches a client without filters, or one following its token or one of its owners, the seller and the
+// winner of a settled auction
+const matchesEventFilter = ({ nftId, owner }, event) =>
+  (!nftId || event.nftId === nftId) &&
+  (!owner ||
+    [event.from, event.to, event.owner, event.sellerAddress, event.winnerAddress].includes(owner));
 
 // 1.plugin can be a daemon/HTTP/Websocket service for off-chain processing
 class NFTAPIPlugin extends BasePlugin {
@@ -11,6 +38,9 @@ class NFTAPIPlugin extends BasePlugin {
   _channel = undefined;
   _db = undefined;
   _nodeInfo = undefined;
+  _indexQueue = Promise.resolve();
+  _eventClients = new Set();
+  _pendingEvents = [];
 
   static get alias() {
     return "NFTHttpApi";
@@ -25,7 +55,7 @@ class NFTAPIPlugin extends BasePlugin {
   }
 
   get defaults() {
-    return {};
+    return defaultConfig;
   }
 
   get events() {
@@ -39,42 +69,222 @@ class NFTAPIPlugin extends BasePlugin {
   async load(channel) {
     this._app = express();
     this._channel = channel;
-    this._db = await getDBInstance();
+    // the application sets the data path of the plugin options to its own
+    this._db = await getDBInstance(this.options.dataPath);
     this._nodeInfo = await this._channel.invoke("app:getNodeInfo");
+    // schemas are only set by the base plugin once the app is ready, the resync below needs them earlier
+    this.schemas = await this._channel.invoke("app:getSchema");
 
-
-    this._app.use(cors({ origin: "*", methods: ["GET", "POST", "PUT"] }));
+    this._app.use(whiteListMiddleware(this.options.whiteList));
+    this._app.use(rateLimitMiddleware(this.options.limits));
+    this._app.use(cors(this.options.cors));
     this._app.use(express.json());
 
-    this._app.get("/api/nft_tokens", async (_req, res) => {
-      const nftTokens = await this._channel.invoke("nft:getAllNFTTokens");
-      const data = await Promise.all(nftTokens.map(async token => {
-        const dbKey = `nft:${token.id}`;
-        let tokenHistory = await getNFTHistory(this._db, dbKey);
-        tokenHistory = tokenHistory.map(h => h.toString('binary'));
-        return {
-          ...token,
-          tokenHistory,
-        }
-      }));
+    this._app.get("/api/nft_tokens", async (req, res) => {
+      const { offset, limit, owner, minValue, maxValue, nameContains, sort } = req.query;
+      let result;
+      try {
+        result = await this._channel.invoke("nft:getNFTTokens", {
+          offset,
+          limit,
+          // owner can be given either as base32 or as hex address
+          owner: owner && owner.startsWith("lsk")
+            ? cryptography.getAddressFromBase32Address(owner).toString("hex")
+            : owner,
+          minValue,
+          maxValue,
+          nameContains,
+          sort,
+        });
+      } catch (err) {
+        res.status(400).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      let data;
+      try {
+        data = await Promise.all(result.data.map(async token => {
+          const tokenHistory = await getNFTHistoryAsJSON(this._db, token.id);
+          return {
+            ...token,
+            tokenHistory,
+          }
+        }));
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
 
-      res.json({ data });
+      res.json({ data, meta: result.meta });
     });
 
     this._app.get("/api/nft_tokens/:id", async (req, res) => {
-      const nftTokens = await this._channel.invoke("nft:getAllNFTTokens");
-      const token = nftTokens.find((t) => t.id === req.params.id);
-      const dbKey = `nft:${token.id}`;
-      let tokenHistory = await getNFTHistory(this._db, dbKey);
-      tokenHistory = tokenHistory.map(h => h.toString('binary'));
+      let token;
+      let tokenHistory;
+      try {
+        token = await this._channel.invoke("nft:getNFTToken", { id: req.params.id });
+        tokenHistory = token && await getNFTHistoryAsJSON(this._db, token.id);
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      if (!token) {
+        res.status(404).json({ errors: [{ message: `NFT token ${req.params.id} not found` }] });
+        return;
+      }
 
       res.json({ data: { ...token, tokenHistory } });
     });
 
-    this._app.get("/api/transactions", async (_req, res) => {
-      const transactions = await getAllTransactions(this._db, this.schemas);
+    // compare an uploaded file, sent as application/octet-stream, with the content hash of the token
+    this._app.post(
+      "/api/nft_tokens/:id/verify",
+      express.raw({ type: "application/octet-stream", limit: "50mb" }),
+      async (req, res) => {
+        let token;
+        try {
+          token = await this._channel.invoke("nft:getNFTToken", { id: req.params.id });
+        } catch (err) {
+          res.status(500).json({ errors: [{ message: err.message }] });
+          return;
+        }
+        if (!token) {
+          res.status(404).json({ errors: [{ message: `NFT token ${req.params.id} not found` }] });
+          return;
+        }
+        if (!token.contentHash) {
+          res.status(400).json({ errors: [{ message: `NFT token ${req.params.id} has no content hash` }] });
+          return;
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          res.status(400).json({ errors: [{ message: "Upload the file as application/octet-stream" }] });
+          return;
+        }
+        const fileHash = cryptography.hash(req.body).toString("hex");
+
+        res.json({
+          data: {
+            id: token.id,
+            contentHash: token.contentHash,
+            fileHash,
+            verified: fileHash === token.contentHash,
+          },
+        });
+      },
+    );
+
+    this._app.get("/api/auctions", async (req, res) => {
+      const { active, nftId } = req.query;
+      let data;
+      try {
+        data = await this._channel.invoke("nft:getAuctions", {
+          active: active === undefined ? undefined : active === "true",
+          nftId,
+        });
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+
+      res.json({ data });
+    });
+
+    this._app.get("/api/auctions/:id", async (req, res) => {
+      let auction;
+      try {
+        auction = await this._channel.invoke("nft:getAuction", { id: req.params.id });
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      if (!auction) {
+        res.status(404).json({ errors: [{ message: `Auction ${req.params.id} not found` }] });
+        return;
+      }
+
+      res.json({ data: auction });
+    });
+
+    this._app.get("/api/collections", async (_req, res) => {
+      let data;
+      try {
+        data = await this._channel.invoke("nft:getCollections");
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+
+      res.json({ data });
+    });
+
+    this._app.get("/api/collections/:id", async (req, res) => {
+      let collection;
+      try {
+        collection = await this._channel.invoke("nft:getCollection", { id: req.params.id });
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      if (!collection) {
+        res.status(404).json({ errors: [{ message: `Collection ${req.params.id} not found` }] });
+        return;
+      }
+
+      res.json({ data: collection });
+    });
+
+    this._app.get("/api/collections/:id/nft_tokens", async (req, res) => {
+      let tokens;
+      try {
+        tokens = await this._channel.invoke("nft:getCollectionTokens", { id: req.params.id });
+      } catch (err) {
+        res.status(500).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      if (!tokens) {
+        res.status(404).json({ errors: [{ message: `Collection ${req.params.id} not found` }] });
+        return;
+      }
+
+      res.json({ data: tokens });
+    });
+
+    this._app.get("/api/royalties/:address", async (req, res) => {
+      const { address } = req.params;
+      let data;
+      try {
+        data = await this._channel.invoke("nft:getRoyalties", {
+          address: address.startsWith("lsk")
+            ? cryptography.getAddressFromBase32Address(address).toString("hex")
+            : address,
+        });
+      } catch (err) {
+        res.status(400).json({ errors: [{ message: err.message }] });
+        return;
+      }
+
+      res.json({ data });
+    });
 
-      const data = transactions.map(trx => {
+    this._app.get("/api/transactions", async (req, res) => {
+      const { address, moduleID, assetID, offset, limit } = req.query;
+      let result;
+      try {
+        result = await getTransactions(this._db, this.schemas, {
+          // address can be given either as base32 or as hex address
+          address: address && address.startsWith("lsk")
+            ? cryptography.getAddressFromBase32Address(address).toString("hex")
+            : address,
+          moduleID,
+          assetID,
+          offset,
+          limit,
+        });
+      } catch (err) {
+        res.status(400).json({ errors: [{ message: err.message }] });
+        return;
+      }
+
+      const data = result.data.map(trx => {
         const module = this._nodeInfo.registeredModules.find(m => m.id === trx.moduleID);
         const asset = module.transactionAssets.find(a => a.id === trx.assetID);
         return {
@@ -84,32 +294,195 @@ class NFTAPIPlugin extends BasePlugin {
           assetName: asset.name,
         }
       })
+      res.json({ data, meta: result.meta });
+    });
+
+    // check an NFT transaction, given as hex string or JSON object, against the current state without posting it
+    this._app.post("/api/transactions/dryRun", async (req, res) => {
+      const { transaction } = req.body;
+      let data;
+      try {
+        const encodedTransaction = typeof transaction === "string"
+          ? transaction
+          : this.codec.encodeTransaction(transaction);
+        data = await this._channel.invoke("nft:dryRunTransaction", { transaction: encodedTransaction });
+      } catch (err) {
+        res.status(400).json({ errors: [{ message: err.message }] });
+        return;
+      }
+
       res.json({ data });
     });
 
-    this._subscribeToChannel();
+    // push the NFT events of every new block as server-sent events, optionally of one token or one owner only
+    this._app.get("/api/events", (req, res) => {
+      const { nftId, owner } = req.query;
+      let ownerAddress;
+      try {
+        // owner can be given either as base32 or as hex address
+        ownerAddress = owner && owner.startsWith("lsk")
+          ? cryptography.getAddressFromBase32Address(owner).toString("hex")
+          : owner;
+      } catch (err) {
+        res.status(400).json({ errors: [{ message: err.message }] });
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write("\n");
 
-    this._server = this._app.listen(8080, "0.0.0.0");
+      const client = { res, nftId, owner: ownerAddress };
+      this._eventClients.add(client);
+      req.on("close", () => {
+        this._eventClients.delete(client);
+      });
+    });
+
+    try {
+      this._server = await listen(this._app, this.options, NFTAPIPlugin.alias);
+    } catch (err) {
+      await this._db.close();
+      throw err;
+    }
+
+    this._subscribeToChannel();
+    // index the blocks added or deleted while the plugin was not running
+    this._enqueue(() => this._resync());
   }
 
   _subscribeToChannel() {
     // listen to application events and enrich blockchain data for UI/third party application
-    this._channel.subscribe('app:block:new', async (data) => {
-      const { block } = data;
-      const { payload } = codec.decode(
-        this.schemas.block,
-        Buffer.from(block, 'hex'),
+    this._channel.subscribe('app:block:new', ({ block }) => {
+      this._enqueue(() => this._indexBlock(block));
+    });
+    this._channel.subscribe('app:block:delete', ({ block }) => {
+      this._enqueue(() => this._revertBlock(block));
+    });
+
+    // save NFT history from the events of the NFT module, the events of a block arrive before the block itself
+    // and are pushed to the clients of `/api/events` once the block is indexed
+    for (const type of NFT_LIVE_EVENT_TYPES) {
+      this._channel.subscribe(`nft:${type}`, (event) => {
+        if (NFT_HISTORY_TYPES.includes(type)) {
+          this._enqueue(() => saveNFTHistory(this._db, type, event));
+        }
+        this._pendingEvents.push({ type, event });
+      });
+    }
+  }
+
+  // indexing runs one step at a time so blocks and events are stored in the order they happened
+  _enqueue(task) {
+    this._indexQueue = this._indexQueue
+      .then(task)
+      .catch((err) => this._logger.error({ err }, "Failed to index NFT data"));
+  }
+
+  async _indexBlock(encodedBlock, { rebuildHistory = false } = {}) {
+    const block = this.codec.decodeBlock(encodedBlock);
+    const { height } = block.header;
+    const lastIndexed = await getLastIndexedBlock(this._db);
+    const nextHeight = lastIndexed ? lastIndexed.height + 1 : 0;
+    if (height < nextHeight) {
+      return;
+    }
+    // blocks were missed, catching up indexes this block as well
+    if (height > nextHeight) {
+      await this._resync();
+      return;
+    }
+
+    const { payload } = codec.decode(this.schemas.block, Buffer.from(encodedBlock, 'hex'));
+    await saveTransactions(this._db, this.schemas, height, payload);
+
+    // the NFT module events of this block were not received, derive the history from the block instead
+    if (rebuildHistory) {
+      await revertNFTHistoryAt(this._db, height);
+      const nftModule = this._nodeInfo.registeredModules.find(m => m.name === "nft");
+      const auctions = await this._channel.invoke("nft:getAuctions", {});
+      const events = await getNFTEventsFromBlock(
+        block,
+        nftModule,
+        auctions.filter(auction => auction.settled && auction.endHeight === height),
+        async (nftId) => {
+          const [latest] = await getNFTHistory(this._db, nftId);
+          return latest && latest.to.length > 0 ? latest.to.toString('hex') : null;
+        },
       );
-      if (payload.length > 0) {
-        await saveTransactions(this._db, payload);
-        const decodedBlock = this.codec.decodeBlock(block);
-        // save NFT transaction history
-        await saveNFTHistory(this._db, decodedBlock, this._nodeInfo.registeredModules, this._channel);
+      for (const { type, event } of events) {
+        await saveNFTHistory(this._db, type, event);
       }
+    }
+
+    await saveIndexedBlock(this._db, {
+      id: Buffer.from(block.header.id, 'hex'),
+      height,
+      transactionIds: block.payload.map(trx => Buffer.from(trx.id, 'hex')),
     });
+    this._pushEvents(height);
+  }
+
+  // Sends the received events up to `height` to the subscribed clients
+  _pushEvents(height) {
+    const events = this._pendingEvents.filter(({ event }) => event.height <= height);
+    this._pendingEvents = this._pendingEvents.filter(({ event }) => event.height > height);
+    for (const { type, event } of events) {
+      for (const client of this._eventClients) {
+        if (matchesEventFilter(client, event)) {
+          client.res.write(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+      }
+    }
+  }
+
+  async _revertBlock(encodedBlock) {
+    const { header } = this.codec.decodeBlock(encodedBlock);
+    let lastIndexed = await getLastIndexedBlock(this._db);
+    // blocks are deleted from the top, undo every indexed block down to the deleted one
+    while (lastIndexed && lastIndexed.height >= header.height) {
+      await revertIndexedBlock(this._db, this.schemas, lastIndexed.height);
+      lastIndexed = await getLastIndexedBlock(this._db);
+    }
+  }
+
+  // Undoes indexed blocks which are no longer on the chain and indexes the blocks after the last indexed one
+  async _resync() {
+    const lastBlock = this.codec.decodeBlock(await this._channel.invoke("app:getLastBlock"));
+    let lastIndexed = await getLastIndexedBlock(this._db);
+    while (lastIndexed) {
+      if (lastIndexed.height <= lastBlock.header.height) {
+        const { header } = this.codec.decodeBlock(
+          await this._channel.invoke("app:getBlockByHeight", { height: lastIndexed.height }),
+        );
+        if (header.id === lastIndexed.id.toString('hex')) {
+          break;
+        }
+      }
+      await revertIndexedBlock(this._db, this.schemas, lastIndexed.height);
+      lastIndexed = await getLastIndexedBlock(this._db);
+    }
+
+    let from = lastIndexed ? lastIndexed.height + 1 : 0;
+    while (from <= lastBlock.header.height) {
+      const to = Math.min(from + RESYNC_BATCH_SIZE - 1, lastBlock.header.height);
+      const blocks = await this._channel.invoke("app:getBlocksByHeightBetween", { from, to });
+      // blocks are returned from the highest one down
+      for (const block of blocks.reverse()) {
+        await this._indexBlock(block, { rebuildHistory: true });
+      }
+      from = to + 1;
+    }
   }
 
   async unload() {
+    // end the event streams, the http server only closes once every connection is ended
+    for (const { res } of this._eventClients) {
+      res.end();
+    }
+    this._eventClients.clear();
     // close http server
     await new Promise((resolve, reject) => {
       this._server.close((err) => {
@@ -121,6 +494,7 @@ class NFTAPIPlugin extends BasePlugin {
       });
     });
     // close database connection
+    await this._indexQueue;
     await this._db.close();
   }
 }
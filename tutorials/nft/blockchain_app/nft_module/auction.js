@@ -0,0 +1,266 @@
+const { codec } = require("lisk-sdk");
+const {
+  getNFTToken,
+  setNFTToken,
+  payNFTSale,
+  removeNFTFromAccount,
+} = require("./nft");
+
+const auctionSchema = {
+  $id: "lisk/nft/auction",
+  type: "object",
+  required: [
+    "id",
+    "nftId",
+    "sellerAddress",
+    "reservePrice",
+    "startHeight",
+    "endHeight",
+    "highestBid",
+    "highestBidder",
+    "bids",
+    "settled",
+    "winnerAddress",
+  ],
+  properties: {
+    id: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+    nftId: {
+      dataType: "bytes",
+      fieldNumber: 2,
+    },
+    sellerAddress: {
+      dataType: "bytes",
+      fieldNumber: 3,
+    },
+    reservePrice: {
+      dataType: "uint64",
+      fieldNumber: 4,
+    },
+    startHeight: {
+      dataType: "uint32",
+      fieldNumber: 5,
+    },
+    endHeight: {
+      dataType: "uint32",
+      fieldNumber: 6,
+    },
+    highestBid: {
+      dataType: "uint64",
+      fieldNumber: 7,
+    },
+    highestBidder: {
+      dataType: "bytes",
+      fieldNumber: 8,
+    },
+    bids: {
+      type: "array",
+      fieldNumber: 9,
+      items: {
+        type: "object",
+        required: ["bidder", "amount", "height"],
+        properties: {
+          bidder: {
+            dataType: "bytes",
+            fieldNumber: 1,
+          },
+          amount: {
+            dataType: "uint64",
+            fieldNumber: 2,
+          },
+          height: {
+            dataType: "uint32",
+            fieldNumber: 3,
+          },
+        },
+      },
+    },
+    settled: {
+      dataType: "boolean",
+      fieldNumber: 10,
+    },
+    winnerAddress: {
+      dataType: "bytes",
+      fieldNumber: 11,
+    },
+  },
+};
+
+const auctionIdsSchema = {
+  $id: "lisk/nft/auctionIds",
+  type: "object",
+  required: ["auctionIds"],
+  properties: {
+    auctionIds: {
+      type: "array",
+      fieldNumber: 1,
+      items: {
+        dataType: "bytes",
+      },
+    },
+  },
+};
+
+const CHAIN_STATE_AUCTION_PREFIX = "nft:auction:";
+const CHAIN_STATE_AUCTION_IDS = "nft:auctionIds";
+const CHAIN_STATE_AUCTIONS_ENDING_PREFIX = "nft:auctionsEndingAt:";
+
+// An auction can run for at most one week of 10 second blocks
+const MAX_AUCTION_DURATION = 60480;
+
+const getAuctionKey = (id) => `${CHAIN_STATE_AUCTION_PREFIX}${id.toString("hex")}`;
+const getAuctionsEndingKey = (height) => `${CHAIN_STATE_AUCTIONS_ENDING_PREFIX}${height}`;
+
+const createAuction = ({ id, nftId, sellerAddress, reservePrice, startHeight, endHeight }) => ({
+  id,
+  nftId,
+  sellerAddress,
+  reservePrice,
+  startHeight,
+  endHeight,
+  highestBid: BigInt(0),
+  highestBidder: Buffer.alloc(0),
+  bids: [],
+  settled: false,
+  winnerAddress: Buffer.alloc(0),
+});
+
+const getAuctionIdList = async (getChainState, key) => {
+  const idsBuffer = await getChainState(key);
+  if (!idsBuffer) {
+    return [];
+  }
+
+  return codec.decode(auctionIdsSchema, idsBuffer).auctionIds;
+};
+
+const getAuction = async (stateStore, id) => {
+  const auctionBuffer = await stateStore.chain.get(getAuctionKey(id));
+  if (!auctionBuffer) {
+    return undefined;
+  }
+
+  return codec.decode(auctionSchema, auctionBuffer);
+};
+
+const setAuction = async (stateStore, auction) => {
+  await stateStore.chain.set(
+    getAuctionKey(auction.id),
+    codec.encode(auctionSchema, auction)
+  );
+};
+
+// Registers a new auction in the listing index and in the index of auctions ending at its end height
+const addAuction = async (stateStore, auction) => {
+  const getChainState = (key) => stateStore.chain.get(key);
+  await setAuction(stateStore, auction);
+
+  const ids = await getAuctionIdList(getChainState, CHAIN_STATE_AUCTION_IDS);
+  await stateStore.chain.set(
+    CHAIN_STATE_AUCTION_IDS,
+    codec.encode(auctionIdsSchema, { auctionIds: [...ids, auction.id] })
+  );
+
+  const endingKey = getAuctionsEndingKey(auction.endHeight);
+  const endingIds = await getAuctionIdList(getChainState, endingKey);
+  await stateStore.chain.set(
+    endingKey,
+    codec.encode(auctionIdsSchema, { auctionIds: [...endingIds, auction.id] })
+  );
+};
+
+const getAuctionsEndingAt = async (stateStore, height) => {
+  const ids = await getAuctionIdList(
+    (key) => stateStore.chain.get(key),
+    getAuctionsEndingKey(height)
+  );
+
+  return Promise.all(ids.map((id) => getAuction(stateStore, id)));
+};
+
+// Hands the nft to the highest bidder and pays the seller, or returns the nft
+// to the seller when nobody met the reserve price
+const settleAuction = async (stateStore, reducerHandler, auction) => {
+  const token = await getNFTToken(stateStore, auction.nftId);
+
+  if (auction.highestBidder.length > 0) {
+    const seller = await stateStore.account.get(auction.sellerAddress);
+    removeNFTFromAccount(seller, token.id);
+    await stateStore.account.set(seller.address, seller);
+
+    const winner = await stateStore.account.get(auction.highestBidder);
+    winner.nft.ownNFTs.push(token.id);
+    await stateStore.account.set(winner.address, winner);
+
+    // the winning bid was already debited when it was placed
+    await payNFTSale(
+      stateStore,
+      reducerHandler,
+      token,
+      auction.sellerAddress,
+      auction.highestBid
+    );
+
+    token.ownerAddress = auction.highestBidder;
+    token.value = auction.highestBid;
+    auction.winnerAddress = auction.highestBidder;
+  }
+
+  token.auctionId = Buffer.alloc(0);
+  await setNFTToken(stateStore, token);
+
+  auction.settled = true;
+  await setAuction(stateStore, auction);
+};
+
+const settleAuctionsEndingAt = async (stateStore, reducerHandler, height) => {
+  const auctions = await getAuctionsEndingAt(stateStore, height);
+  for (const auction of auctions) {
+    await settleAuction(stateStore, reducerHandler, auction);
+  }
+
+  return auctions;
+};
+
+const getAuctionAsJSON = async (dataAccess, id) => {
+  const auctionBuffer = await dataAccess.getChainState(getAuctionKey(id));
+  if (!auctionBuffer) {
+    return undefined;
+  }
+
+  return codec.toJSON(auctionSchema, codec.decode(auctionSchema, auctionBuffer));
+};
+
+// Returns all auctions, optionally only the unsettled ones or the ones of a single token
+const getAuctionsAsJSON = async (dataAccess, { active, nftId } = {}) => {
+  const ids = await getAuctionIdList(
+    (key) => dataAccess.getChainState(key),
+    CHAIN_STATE_AUCTION_IDS
+  );
+  const auctions = await Promise.all(ids.map((id) => getAuctionAsJSON(dataAccess, id)));
+
+  return auctions.filter(
+    (auction) =>
+      auction !== undefined &&
+      (active === undefined || auction.settled !== active) &&
+      (nftId === undefined || auction.nftId === nftId)
+  );
+};
+
+module.exports = {
+  auctionSchema,
+  CHAIN_STATE_AUCTION_PREFIX,
+  CHAIN_STATE_AUCTION_IDS,
+  CHAIN_STATE_AUCTIONS_ENDING_PREFIX,
+  MAX_AUCTION_DURATION,
+  createAuction,
+  getAuction,
+  setAuction,
+  addAuction,
+  getAuctionsEndingAt,
+  settleAuctionsEndingAt,
+  getAuctionAsJSON,
+  getAuctionsAsJSON,
+};
@@ -0,0 +1,188 @@
+const { codec } = require("lisk-sdk");
+const { getNFTTokenAsJSON } = require("./nft");
+
+const collectionSchema = {
+  $id: "lisk/nft/collection",
+  type: "object",
+  required: ["id", "name", "symbol", "maxSupply", "creatorAddress", "tokenIds"],
+  properties: {
+    id: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+    name: {
+      dataType: "string",
+      fieldNumber: 2,
+    },
+    symbol: {
+      dataType: "string",
+      fieldNumber: 3,
+    },
+    maxSupply: {
+      dataType: "uint32",
+      fieldNumber: 4,
+    },
+    creatorAddress: {
+      dataType: "bytes",
+      fieldNumber: 5,
+    },
+    // every token minted into the collection, burned tokens included
+    tokenIds: {
+      type: "array",
+      fieldNumber: 6,
+      items: {
+        dataType: "bytes",
+      },
+    },
+  },
+};
+
+const collectionIdsSchema = {
+  $id: "lisk/nft/collectionIds",
+  type: "object",
+  required: ["collectionIds"],
+  properties: {
+    collectionIds: {
+      type: "array",
+      fieldNumber: 1,
+      items: {
+        dataType: "bytes",
+      },
+    },
+  },
+};
+
+const CHAIN_STATE_COLLECTION_PREFIX = "nft:collection:";
+const CHAIN_STATE_COLLECTION_IDS = "nft:collectionIds";
+
+const MAX_COLLECTION_NAME_LENGTH = 64;
+const MAX_COLLECTION_SYMBOL_LENGTH = 10;
+const MAX_COLLECTION_SUPPLY = 10000;
+
+const getCollectionKey = (id) => `${CHAIN_STATE_COLLECTION_PREFIX}${id.toString("hex")}`;
+
+const createCollection = ({ id, name, symbol, maxSupply, creatorAddress }) => ({
+  id,
+  name,
+  symbol,
+  maxSupply,
+  creatorAddress,
+  tokenIds: [],
+});
+
+const getCollection = async (stateStore, id) => {
+  const collectionBuffer = await stateStore.chain.get(getCollectionKey(id));
+  if (!collectionBuffer) {
+    return undefined;
+  }
+
+  return codec.decode(collectionSchema, collectionBuffer);
+};
+
+const setCollection = async (stateStore, collection) => {
+  await stateStore.chain.set(
+    getCollectionKey(collection.id),
+    codec.encode(collectionSchema, collection)
+  );
+};
+
+// Registers a new collection in the listing index
+const addCollection = async (stateStore, collection) => {
+  await setCollection(stateStore, collection);
+
+  const idsBuffer = await stateStore.chain.get(CHAIN_STATE_COLLECTION_IDS);
+  const { collectionIds } = idsBuffer
+    ? codec.decode(collectionIdsSchema, idsBuffer)
+    : { collectionIds: [] };
+  await stateStore.chain.set(
+    CHAIN_STATE_COLLECTION_IDS,
+    codec.encode(collectionIdsSchema, { collectionIds: [...collectionIds, collection.id] })
+  );
+};
+
+// Adds newly minted tokens to a collection after checking the minter and the remaining supply
+const mintIntoCollection = async (stateStore, collectionId, minterAddress, tokenIds) => {
+  const collection = await getCollection(stateStore, collectionId);
+  if (!collection) {
+    throw new Error("Collection id not found");
+  }
+  if (!collection.creatorAddress.equals(minterAddress)) {
+    throw new Error("Only the creator of the collection can mint into it.");
+  }
+  if (collection.tokenIds.length + tokenIds.length > collection.maxSupply) {
+    throw new Error(`The collection has reached its maximum supply of ${collection.maxSupply}.`);
+  }
+
+  collection.tokenIds.push(...tokenIds);
+  await setCollection(stateStore, collection);
+};
+
+// Collection with its current supply and the lowest asking price of its listed tokens
+const getCollectionAsJSON = async (dataAccess, id) => {
+  const collectionBuffer = await dataAccess.getChainState(getCollectionKey(id));
+  if (!collectionBuffer) {
+    return undefined;
+  }
+
+  const collection = codec.decode(collectionSchema, collectionBuffer);
+  const tokens = await getCollectionTokensAsJSON(dataAccess, id, collection);
+  const listingPrices = tokens
+    .filter((token) => token.listed)
+    .map((token) => BigInt(token.listingPrice));
+  const floorPrice = listingPrices.reduce(
+    (min, price) => (min === undefined || price < min ? price : min),
+    undefined
+  );
+  const { tokenIds, ...collectionJSON } = codec.toJSON(collectionSchema, collection);
+
+  return {
+    ...collectionJSON,
+    supply: tokens.length,
+    minted: tokenIds.length,
+    floorPrice: floorPrice === undefined ? null : floorPrice.toString(),
+  };
+};
+
+const getCollectionsAsJSON = async (dataAccess) => {
+  const idsBuffer = await dataAccess.getChainState(CHAIN_STATE_COLLECTION_IDS);
+  if (!idsBuffer) {
+    return [];
+  }
+
+  const { collectionIds } = codec.decode(collectionIdsSchema, idsBuffer);
+
+  return Promise.all(collectionIds.map((id) => getCollectionAsJSON(dataAccess, id)));
+};
+
+// Tokens of a collection which have not been burned
+const getCollectionTokensAsJSON = async (dataAccess, id, collection) => {
+  if (!collection) {
+    const collectionBuffer = await dataAccess.getChainState(getCollectionKey(id));
+    if (!collectionBuffer) {
+      return undefined;
+    }
+    collection = codec.decode(collectionSchema, collectionBuffer);
+  }
+
+  const tokens = await Promise.all(
+    collection.tokenIds.map((tokenId) => getNFTTokenAsJSON(dataAccess, tokenId))
+  );
+
+  return tokens.filter((token) => token !== undefined);
+};
+
+module.exports = {
+  collectionSchema,
+  CHAIN_STATE_COLLECTION_PREFIX,
+  CHAIN_STATE_COLLECTION_IDS,
+  MAX_COLLECTION_NAME_LENGTH,
+  MAX_COLLECTION_SYMBOL_LENGTH,
+  MAX_COLLECTION_SUPPLY,
+  createCollection,
+  getCollection,
+  addCollection,
+  mintIntoCollection,
+  getCollectionAsJSON,
+  getCollectionsAsJSON,
+  getCollectionTokensAsJSON,
+};
@@ -0,0 +1,102 @@
+const { getNFTToken, computeNFTTokenId } = require("./nft");
+
+// Ids of the nfts a transaction of the nft module mints or moves
+const getTransactionNFTIds = (assetName, asset, transaction) => {
+  switch (assetName) {
+    case "createNFT":
+      return [computeNFTTokenId(transaction.senderAddress, transaction.nonce)];
+    case "batchCreateNFT":
+      return asset.items.map((_item, index) =>
+        computeNFTTokenId(transaction.senderAddress, transaction.nonce, index)
+      );
+    case "purchaseNFT":
+    case "transferNFT":
+    case "burnNFT":
+    case "listNFT":
+    case "updateNFTListingPrice":
+    case "delistNFT":
+      return [asset.nftId];
+    case "batchTransferNFT":
+      return asset.items.map((item) => item.nftId);
+    default:
+      return [];
+  }
+};
+
+// Owner of every nft before a transaction is applied, undefined for nfts which do not exist yet
+const getNFTOwners = async (stateStore, nftIds) => {
+  const owners = new Map();
+  for (const id of nftIds) {
+    const token = await getNFTToken(stateStore, id);
+    owners.set(id.toString("hex"), token ? token.ownerAddress : undefined);
+  }
+
+  return owners;
+};
+
+const createNFTEvent = ({ nftId, from, to, price, height, transactionId }) => ({
+  nftId: nftId.toString("hex"),
+  from: from ? from.toString("hex") : null,
+  to: to ? to.toString("hex") : null,
+  price: price.toString(),
+  height,
+  transactionId: transactionId ? transactionId.toString("hex") : null,
+});
+
+const createPriceChangedEvent = ({ token, height, transactionId }) => ({
+  nftId: token.id.toString("hex"),
+  owner: token.ownerAddress.toString("hex"),
+  listed: token.listed,
+  listingPrice: token.listingPrice.toString(),
+  height,
+  transactionId: transactionId.toString("hex"),
+});
+
+// Assets which only change the listing of an nft
+const LISTING_ASSETS = ["listNFT", "updateNFTListingPrice", "delistNFT"];
+
+// Compares the owners of the nfts before and after a transaction and describes every change
+// as a `created`, `purchased`, `transferred` or `burned` event. Listing changes are described
+// as a `priceChanged` event.
+const getNFTEvents = async (stateStore, assetName, previousOwners, height, transactionId) => {
+  const events = [];
+  for (const [id, from] of previousOwners) {
+    const nftId = Buffer.from(id, "hex");
+    const token = await getNFTToken(stateStore, nftId);
+    const to = token ? token.ownerAddress : undefined;
+
+    let name;
+    let price = BigInt(0);
+    if (!from && to) {
+      name = "created";
+      price = token.value;
+    } else if (from && !to) {
+      name = "burned";
+    } else if (from && to && !from.equals(to)) {
+      name = assetName === "purchaseNFT" ? "purchased" : "transferred";
+      price = assetName === "purchaseNFT" ? token.value : price;
+    } else if (token && LISTING_ASSETS.includes(assetName)) {
+      events.push({
+        name: "priceChanged",
+        data: createPriceChangedEvent({ token, height, transactionId }),
+      });
+      continue;
+    } else {
+      continue;
+    }
+
+    events.push({
+      name,
+      data: createNFTEvent({ nftId, from, to, price, height, transactionId }),
+    });
+  }
+
+  return events;
+};
+
+module.exports = {
+  getTransactionNFTIds,
+  getNFTOwners,
+  createNFTEvent,
+  getNFTEvents,
+};
@@ -1,9 +1,39 @@
-const { BaseModule } = require("lisk-sdk");
-const { getAllNFTTokensAsJSON } = require("./nft");
+const { BaseModule, codec } = require("lisk-sdk");
+const {
+  getAllNFTTokensAsJSON,
+  getNFTTokenAsJSON,
+  getNFTTokensAsJSON,
+  getRoyaltiesAsJSON,
+  migrateRegisteredNFTTokens,
+} = require("./nft");
+const {
+  auctionSchema,
+  getAuctionAsJSON,
+  getAuctionsAsJSON,
+  settleAuctionsEndingAt,
+} = require("./auction");
+const {
+  getCollectionAsJSON,
+  getCollectionsAsJSON,
+  getCollectionTokensAsJSON,
+} = require("./collection");
+const { getTransactionNFTIds, getNFTOwners, createNFTEvent, getNFTEvents } = require("./events");
+const { dryRunTransaction } = require("./dry_run");
 
 const CreateNFTAsset = require("./transactions/create_nft_asset");
 const PurchaseNFTAsset = require("./transactions/purchase_nft_asset");
 const TransferNFTAsset = require("./transactions/transfer_nft_asset");
+const ListNFTAsset = require("./transactions/list_nft_asset");
+const UpdateNFTListingPriceAsset = require("./transactions/update_nft_listing_price_asset");
+const DelistNFTAsset = require("./transactions/delist_nft_asset");
+const StartAuctionAsset = require("./transactions/start_auction_asset");
+const PlaceBidAsset = require("./transactions/place_bid_asset");
+const BurnNFTAsset = require("./transactions/burn_nft_asset");
+const BatchCreateNFTAsset = require("./transactions/batch_create_nft_asset");
+const BatchTransferNFTAsset = require("./transactions/batch_transfer_nft_asset");
+const CreateCollectionAsset = require("./transactions/create_collection_asset");
+const ApproveNFTAsset = require("./transactions/approve_nft_asset");
+const SetApprovalForAllAsset = require("./transactions/set_approval_for_all_asset");
 
 // Extend base module to implement your custom module
 class NFTModule extends BaseModule {
@@ -11,7 +41,7 @@ class NFTModule extends BaseModule {
   id = 1024;
   accountSchema = {
     type: "object",
-    required: ["ownNFTs"],
+    required: ["ownNFTs", "tokenApprovals", "operators"],
     properties: {
       ownNFTs: {
         type: "array",
@@ -20,16 +50,163 @@ class NFTModule extends BaseModule {
           dataType: "bytes",
         },
       },
+      // the account allowed to transfer a single nft of this account
+      tokenApprovals: {
+        type: "array",
+        fieldNumber: 2,
+        items: {
+          type: "object",
+          required: ["nftId", "spender"],
+          properties: {
+            nftId: {
+              dataType: "bytes",
+              fieldNumber: 1,
+            },
+            spender: {
+              dataType: "bytes",
+              fieldNumber: 2,
+            },
+          },
+        },
+      },
+      // accounts allowed to transfer every nft of this account
+      operators: {
+        type: "array",
+        fieldNumber: 3,
+        items: {
+          dataType: "bytes",
+        },
+      },
     },
     default: {
       ownNFTs: [],
+      tokenApprovals: [],
+      operators: [],
     },
   };
-  transactionAssets = [new CreateNFTAsset(), new PurchaseNFTAsset(), new TransferNFTAsset()];
+  transactionAssets = [
+    new CreateNFTAsset(),
+    new PurchaseNFTAsset(),
+    new TransferNFTAsset(),
+    new ListNFTAsset(),
+    new UpdateNFTListingPriceAsset(),
+    new DelistNFTAsset(),
+    new StartAuctionAsset(),
+    new PlaceBidAsset(),
+    new BurnNFTAsset(this.config.nftBurnRefundPercentage),
+    new BatchCreateNFTAsset(),
+    new BatchTransferNFTAsset(),
+    new CreateCollectionAsset(),
+    new ApproveNFTAsset(),
+    new SetApprovalForAllAsset(),
+  ];
+  events = ["auctionSettled", "created", "purchased", "transferred", "burned", "priceChanged"];
+  // nft owners before and nft events after each applied transaction by transaction id. The transaction
+  // pool applies transactions as well, so events are only published for the transactions of an applied block.
+  _nftOwners = new Map();
+  _nftEvents = new Map();
   actions = {
     // get all the registered NFT tokens from blockchain
     getAllNFTTokens: async () => getAllNFTTokensAsJSON(this._dataAccess),
+    // get a page of registered NFT tokens filtered by owner, value range and name
+    getNFTTokens: async (params) => getNFTTokensAsJSON(this._dataAccess, params),
+    // get a single registered NFT token by its hex id
+    getNFTToken: async (params) =>
+      getNFTTokenAsJSON(this._dataAccess, Buffer.from(params.id, "hex")),
+    // get the total royalties earned by a creator hex address
+    getRoyalties: async (params) =>
+      getRoyaltiesAsJSON(this._dataAccess, Buffer.from(params.address, "hex")),
+    // get all auctions, optionally filtered by `active` and `nftId`
+    getAuctions: async (params) => getAuctionsAsJSON(this._dataAccess, params),
+    // get a single auction with its bid history and winner by its hex id
+    getAuction: async (params) =>
+      getAuctionAsJSON(this._dataAccess, Buffer.from(params.id, "hex")),
+    // get all collections with their supply and floor price
+    getCollections: async () => getCollectionsAsJSON(this._dataAccess),
+    // get a single collection by its hex id
+    getCollection: async (params) =>
+      getCollectionAsJSON(this._dataAccess, Buffer.from(params.id, "hex")),
+    // get the tokens of a collection by its hex id, burned tokens are left out
+    getCollectionTokens: async (params) =>
+      getCollectionTokensAsJSON(this._dataAccess, Buffer.from(params.id, "hex")),
+    // check a hex encoded transaction of this module against the current state without applying it
+    dryRunTransaction: async (params) => dryRunTransaction(this, params.transaction),
   };
+
+  async beforeBlockApply({ stateStore }) {
+    // move tokens of chains created with the single array storage to per-token keys, only the first time
+    await migrateRegisteredNFTTokens(stateStore);
+  }
+
+  async beforeTransactionApply({ transaction, stateStore }) {
+    if (transaction.moduleID !== this.id) {
+      return;
+    }
+    const transactionAsset = this.transactionAssets.find((a) => a.id === transaction.assetID);
+    const asset = codec.decode(transactionAsset.schema, transaction.asset);
+    const nftIds = getTransactionNFTIds(transactionAsset.name, asset, transaction);
+    this._nftOwners.set(transaction.id.toString("hex"), {
+      assetName: transactionAsset.name,
+      owners: await getNFTOwners(stateStore, nftIds),
+    });
+  }
+
+  async afterTransactionApply({ transaction, stateStore }) {
+    const key = transaction.id.toString("hex");
+    if (transaction.moduleID !== this.id || !this._nftOwners.has(key)) {
+      return;
+    }
+    const { assetName, owners } = this._nftOwners.get(key);
+    this._nftOwners.delete(key);
+    this._nftEvents.set(
+      key,
+      await getNFTEvents(
+        stateStore,
+        assetName,
+        owners,
+        stateStore.chain.lastBlockHeaders[0].height + 1,
+        transaction.id
+      )
+    );
+  }
+
+  async afterBlockApply({ block, stateStore, reducerHandler }) {
+    // publish the nft events of the transactions in this block
+    for (const transaction of block.payload) {
+      const events = this._nftEvents.get(transaction.id.toString("hex")) || [];
+      for (const { name, data } of events) {
+        this._channel.publish(`nft:${name}`, data);
+      }
+    }
+    this._nftOwners.clear();
+    this._nftEvents.clear();
+
+    // settle the auctions ending at this height, bids are accepted up to and including it
+    const settledAuctions = await settleAuctionsEndingAt(
+      stateStore,
+      reducerHandler,
+      block.header.height
+    );
+    for (const auction of settledAuctions) {
+      this._channel.publish("nft:auctionSettled", {
+        ...codec.toJSON(auctionSchema, auction),
+        height: block.header.height,
+      });
+      // the winner bought the nft for the highest bid
+      if (auction.winnerAddress.length > 0) {
+        this._channel.publish(
+          "nft:purchased",
+          createNFTEvent({
+            nftId: auction.nftId,
+            from: auction.sellerAddress,
+            to: auction.winnerAddress,
+            price: auction.highestBid,
+            height: block.header.height,
+          })
+        );
+      }
+    }
+  }
 }
 
 module.exports = { NFTModule };
@@ -1,5 +1,125 @@
 const { codec, cryptography } = require("lisk-sdk");
 
+const nftTokenSchema = {
+  $id: "lisk/nft/token",
+  type: "object",
+  required: ["id", "value", "ownerAddress", "minPurchaseMargin", "name"],
+  properties: {
+    id: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+    value: {
+      dataType: "uint64",
+      fieldNumber: 2,
+    },
+    ownerAddress: {
+      dataType: "bytes",
+      fieldNumber: 3,
+    },
+    minPurchaseMargin: {
+      dataType: "uint32",
+      fieldNumber: 4,
+    },
+    name: {
+      dataType: "string",
+      fieldNumber: 5,
+    },
+    listed: {
+      dataType: "boolean",
+      fieldNumber: 6,
+    },
+    listingPrice: {
+      dataType: "uint64",
+      fieldNumber: 7,
+    },
+    auctionId: {
+      dataType: "bytes",
+      fieldNumber: 8,
+    },
+    creatorAddress: {
+      dataType: "bytes",
+      fieldNumber: 9,
+    },
+    royaltyPercentage: {
+      dataType: "uint32",
+      fieldNumber: 10,
+    },
+    metadataURI: {
+      dataType: "string",
+      fieldNumber: 11,
+    },
+    contentHash: {
+      dataType: "bytes",
+      fieldNumber: 12,
+    },
+    attributes: {
+      type: "array",
+      fieldNumber: 13,
+      items: {
+        type: "object",
+        required: ["key", "value"],
+        properties: {
+          key: {
+            dataType: "string",
+            fieldNumber: 1,
+          },
+          value: {
+            dataType: "string",
+            fieldNumber: 2,
+          },
+        },
+      },
+    },
+    // empty when the token does not belong to a collection
+    collectionId: {
+      dataType: "bytes",
+      fieldNumber: 14,
+    },
+  },
+};
+
+const royaltiesSchema = {
+  $id: "lisk/nft/royalties",
+  type: "object",
+  required: ["total"],
+  properties: {
+    total: {
+      dataType: "uint64",
+      fieldNumber: 1,
+    },
+  },
+};
+
+// Sorted ids of the tokens of one bucket of the listing index
+const nftTokenIdsSchema = {
+  $id: "lisk/nft/tokenIds",
+  type: "object",
+  required: ["ids"],
+  properties: {
+    ids: {
+      type: "array",
+      fieldNumber: 1,
+      items: {
+        dataType: "bytes",
+      },
+    },
+  },
+};
+
+const nftTokenCountSchema = {
+  $id: "lisk/nft/tokenCount",
+  type: "object",
+  required: ["count"],
+  properties: {
+    count: {
+      dataType: "uint32",
+      fieldNumber: 1,
+    },
+  },
+};
+
+// Layout used before every token got its own chain state key, only read by the migration
 const registeredNFTTokensSchema = {
   $id: "lisk/nft/registeredTokens",
   type: "object",
@@ -39,12 +159,63 @@ const registeredNFTTokensSchema = {
 };
 
 const CHAIN_STATE_NFT_TOKENS = "nft:registeredNFTTokens";
+const CHAIN_STATE_NFT_TOKENS_MIGRATED = "nft:registeredNFTTokensMigrated";
+const CHAIN_STATE_NFT_TOKEN_IDS_PREFIX = "nft:tokenIds:";
+const CHAIN_STATE_NFT_TOKEN_COUNT = "nft:tokenCount";
+const CHAIN_STATE_NFT_TOKEN_PREFIX = "nft:token:";
+const CHAIN_STATE_ROYALTIES_PREFIX = "nft:royalties:";
+
+const MAX_ROYALTY_PERCENTAGE = 50;
+// Share of the token value returned to the owner on burn, unless set with genesisConfig.nftBurnRefundPercentage
+const DEFAULT_BURN_REFUND_PERCENTAGE = 50;
+const MAX_METADATA_URI_LENGTH = 256;
+const CONTENT_HASH_LENGTH = 32;
+const MAX_ATTRIBUTES = 20;
+const MAX_ATTRIBUTE_KEY_LENGTH = 32;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 128;
+// Largest number of tokens minted or transferred by one batch transaction
+const MAX_BATCH_SIZE = 50;
 
-const createNFTToken = ({ name, ownerAddress, nonce, value, minPurchaseMargin }) => {
+const NFT_TOKENS_DEFAULT_LIMIT = 10;
+const NFT_TOKENS_MAX_LIMIT = 100;
+const NFT_TOKENS_SORT_FIELDS = ["id", "value", "name"];
+// The listing index is split by the first byte of the token ids, so minting or burning a token
+// only rewrites the ids of its bucket
+const NFT_TOKEN_ID_BUCKETS = 256;
+
+const getNFTTokenKey = (id) => `${CHAIN_STATE_NFT_TOKEN_PREFIX}${id.toString("hex")}`;
+const getNFTTokenIdsKey = (bucket) => `${CHAIN_STATE_NFT_TOKEN_IDS_PREFIX}${bucket.toString(16).padStart(2, "0")}`;
+const getRoyaltiesKey = (address) => `${CHAIN_STATE_ROYALTIES_PREFIX}${address.toString("hex")}`;
+
+// Id of a token minted by the transaction of `ownerAddress` with `nonce`
+const computeNFTTokenId = (ownerAddress, nonce, batchIndex) => {
   const nonceBuffer = Buffer.alloc(8);
   nonceBuffer.writeBigInt64LE(nonce);
-  const seed = Buffer.concat([ownerAddress, nonceBuffer]);
-  const id = cryptography.hash(seed);
+  let seed = Buffer.concat([ownerAddress, nonceBuffer]);
+  // tokens minted by the same batch transaction share the nonce, so the position tells them apart
+  if (batchIndex !== undefined) {
+    const batchIndexBuffer = Buffer.alloc(4);
+    batchIndexBuffer.writeUInt32LE(batchIndex);
+    seed = Buffer.concat([seed, batchIndexBuffer]);
+  }
+
+  return cryptography.hash(seed);
+};
+
+const createNFTToken = ({
+  name,
+  ownerAddress,
+  nonce,
+  value,
+  minPurchaseMargin,
+  royaltyPercentage = 0,
+  metadataURI = "",
+  contentHash = Buffer.alloc(0),
+  attributes = [],
+  collectionId = Buffer.alloc(0),
+  batchIndex,
+}) => {
+  const id = computeNFTTokenId(ownerAddress, nonce, batchIndex);
 
   return {
     id,
@@ -52,59 +223,416 @@ const createNFTToken = ({ name, ownerAddress, nonce, value, minPurchaseMargin })
     name,
     ownerAddress,
     value,
+    listed: false,
+    listingPrice: BigInt(0),
+    auctionId: Buffer.alloc(0),
+    creatorAddress: ownerAddress,
+    royaltyPercentage,
+    metadataURI,
+    contentHash,
+    attributes,
+    collectionId,
   };
 };
 
-const getAllNFTTokens = async (stateStore) => {
-  const registeredTokensBuffer = await stateStore.chain.get(
-    CHAIN_STATE_NFT_TOKENS
+// Checks the properties given when minting a token
+const validateNFTCreation = (asset) => {
+  if (asset.initValue <= 0) {
+    throw new Error("NFT init value is too low.");
+  } else if (asset.minPurchaseMargin < 0 || asset.minPurchaseMargin > 100) {
+    throw new Error("The NFT minimum purchase value needs to be between 0 and 100.");
+  } else if (asset.royaltyPercentage > MAX_ROYALTY_PERCENTAGE) {
+    throw new Error(`The NFT royalty percentage needs to be between 0 and ${MAX_ROYALTY_PERCENTAGE}.`);
+  }
+  validateNFTMetadata(asset);
+};
+
+// Checks the optional off-chain metadata of a token against the size limits
+const validateNFTMetadata = ({ metadataURI = "", contentHash = Buffer.alloc(0), attributes = [] }) => {
+  if (metadataURI.length > MAX_METADATA_URI_LENGTH) {
+    throw new Error(`The NFT metadata URI can not be longer than ${MAX_METADATA_URI_LENGTH} characters.`);
+  }
+  if (contentHash.length !== 0 && contentHash.length !== CONTENT_HASH_LENGTH) {
+    throw new Error(`The NFT content hash needs to be a ${CONTENT_HASH_LENGTH} bytes sha256 hash.`);
+  }
+  if (attributes.length > MAX_ATTRIBUTES) {
+    throw new Error(`An NFT can not have more than ${MAX_ATTRIBUTES} attributes.`);
+  }
+  const keys = new Set();
+  for (const { key, value } of attributes) {
+    if (key.length === 0 || key.length > MAX_ATTRIBUTE_KEY_LENGTH) {
+      throw new Error(`An NFT attribute key needs to be between 1 and ${MAX_ATTRIBUTE_KEY_LENGTH} characters.`);
+    }
+    if (value.length > MAX_ATTRIBUTE_VALUE_LENGTH) {
+      throw new Error(`An NFT attribute value can not be longer than ${MAX_ATTRIBUTE_VALUE_LENGTH} characters.`);
+    }
+    if (keys.has(key)) {
+      throw new Error(`The NFT attribute ${key} is defined more than once.`);
+    }
+    keys.add(key);
+  }
+};
+
+// Lowest price a token can be listed at, its value plus the minimum purchase margin
+const getMinPurchaseValue = (token) =>
+  token.value + (token.value * BigInt(token.minPurchaseMargin)) / BigInt(100);
+
+// The owner, the spender approved for the token and the operators of the owner can move a token
+const canTransferNFT = (ownerAccount, id, address) =>
+  ownerAccount.address.equals(address) ||
+  ownerAccount.nft.operators.some((operator) => operator.equals(address)) ||
+  ownerAccount.nft.tokenApprovals.some(
+    (approval) => approval.nftId.equals(id) && approval.spender.equals(address)
   );
-  if (!registeredTokensBuffer) {
-    return [];
+
+// Takes a token out of an account, the approval given for it does not carry over to the next owner
+const removeNFTFromAccount = (account, id) => {
+  const tokenIndex = account.nft.ownNFTs.findIndex((a) => a.equals(id));
+  account.nft.ownNFTs.splice(tokenIndex, 1);
+  account.nft.tokenApprovals = account.nft.tokenApprovals.filter(
+    (approval) => !approval.nftId.equals(id)
+  );
+};
+
+const getNFTToken = async (stateStore, id) => {
+  const tokenBuffer = await stateStore.chain.get(getNFTTokenKey(id));
+  // burned tokens are left behind as empty entries
+  if (!tokenBuffer || tokenBuffer.length === 0) {
+    return undefined;
+  }
+
+  return codec.decode(nftTokenSchema, tokenBuffer);
+};
+
+const decodeNFTTokenIds = (tokenIdsBuffer) =>
+  tokenIdsBuffer ? codec.decode(nftTokenIdsSchema, tokenIdsBuffer).ids : [];
+
+const decodeNFTTokenCount = (tokenCountBuffer) =>
+  tokenCountBuffer ? codec.decode(nftTokenCountSchema, tokenCountBuffer).count : 0;
+
+// Adds (`change` 1) or removes (`change` -1) token ids in the buckets of the listing index and the token count
+const updateNFTTokenIds = async (stateStore, ids, change) => {
+  if (ids.length === 0) {
+    return;
+  }
+  const buckets = new Map();
+  for (const id of ids) {
+    buckets.set(id[0], [...(buckets.get(id[0]) || []), id]);
+  }
+
+  for (const [bucket, bucketIds] of buckets) {
+    const key = getNFTTokenIdsKey(bucket);
+    const savedIds = decodeNFTTokenIds(await stateStore.chain.get(key));
+    const updatedIds = change > 0
+      ? [...savedIds, ...bucketIds].sort((a, b) => a.compare(b))
+      : savedIds.filter((savedId) => !bucketIds.some((id) => id.equals(savedId)));
+    await stateStore.chain.set(key, codec.encode(nftTokenIdsSchema, { ids: updatedIds }));
   }
 
-  const registeredTokens = codec.decode(
-    registeredNFTTokensSchema,
-    registeredTokensBuffer
+  const count = decodeNFTTokenCount(await stateStore.chain.get(CHAIN_STATE_NFT_TOKEN_COUNT));
+  await stateStore.chain.set(
+    CHAIN_STATE_NFT_TOKEN_COUNT,
+    codec.encode(nftTokenCountSchema, { count: count + change * ids.length })
   );
+};
 
-  return registeredTokens.registeredNFTTokens;
+// Stores the tokens under their own keys and registers new ids in the listing index
+const setNFTTokens = async (stateStore, tokens) => {
+  const newIds = [];
+  for (const token of tokens) {
+    const key = getNFTTokenKey(token.id);
+    const existingToken = await stateStore.chain.get(key);
+
+    await stateStore.chain.set(key, codec.encode(nftTokenSchema, token));
+
+    if (!existingToken || existingToken.length === 0) {
+      newIds.push(token.id);
+    }
+  }
+
+  await updateNFTTokenIds(stateStore, newIds, 1);
+};
+
+const setNFTToken = async (stateStore, token) => setNFTTokens(stateStore, [token]);
+
+// Empties the token entry, chain state entries can not be deleted, and drops it from the listing index
+const removeNFTToken = async (stateStore, id) => {
+  await stateStore.chain.set(getNFTTokenKey(id), Buffer.alloc(0));
+  await updateNFTTokenIds(stateStore, [id], -1);
+};
+
+// Pays the sale price of a token to its seller, keeping the creator's royalty share
+// apart and adding it to the creator's royalty total
+const payNFTSale = async (stateStore, reducerHandler, token, sellerAddress, price) => {
+  const royalty =
+    token.creatorAddress.length > 0
+      ? (price * BigInt(token.royaltyPercentage)) / BigInt(100)
+      : BigInt(0);
+
+  await reducerHandler.invoke("token:credit", {
+    address: sellerAddress,
+    amount: price - royalty,
+  });
+
+  if (royalty > BigInt(0)) {
+    await reducerHandler.invoke("token:credit", {
+      address: token.creatorAddress,
+      amount: royalty,
+    });
+
+    const royaltiesKey = getRoyaltiesKey(token.creatorAddress);
+    const royaltiesBuffer = await stateStore.chain.get(royaltiesKey);
+    const { total } = royaltiesBuffer
+      ? codec.decode(royaltiesSchema, royaltiesBuffer)
+      : { total: BigInt(0) };
+    await stateStore.chain.set(
+      royaltiesKey,
+      codec.encode(royaltiesSchema, { total: total + royalty })
+    );
+  }
+};
+
+const getRoyaltiesAsJSON = async (dataAccess, address) => {
+  const royaltiesBuffer = await dataAccess.getChainState(getRoyaltiesKey(address));
+  const royalties = royaltiesBuffer
+    ? codec.decode(royaltiesSchema, royaltiesBuffer)
+    : { total: BigInt(0) };
+
+  return {
+    creatorAddress: address.toString("hex"),
+    ...codec.toJSON(royaltiesSchema, royalties),
+  };
+};
+
+const getNFTTokenAsJSON = async (dataAccess, id) => {
+  const tokenBuffer = await dataAccess.getChainState(getNFTTokenKey(id));
+  if (!tokenBuffer || tokenBuffer.length === 0) {
+    return undefined;
+  }
+
+  return codec.toJSON(nftTokenSchema, codec.decode(nftTokenSchema, tokenBuffer));
+};
+
+const getRegisteredNFTTokensByIds = async (dataAccess, ids) => {
+  const tokenBuffers = await Promise.all(
+    ids.map((id) => dataAccess.getChainState(getNFTTokenKey(id)))
+  );
+
+  return tokenBuffers
+    .filter((tokenBuffer) => tokenBuffer !== undefined && tokenBuffer.length > 0)
+    .map((tokenBuffer) => codec.decode(nftTokenSchema, tokenBuffer));
+};
+
+// Ids of the listing index from `offset`, sorted, only reading the buckets up to the last id of the page
+const getNFTTokenIdsPage = async (dataAccess, offset, limit, descending = false) => {
+  const ids = [];
+  let skipped = 0;
+  for (let i = 0; i < NFT_TOKEN_ID_BUCKETS && ids.length < limit; i += 1) {
+    const bucket = descending ? NFT_TOKEN_ID_BUCKETS - 1 - i : i;
+    const bucketIds = decodeNFTTokenIds(await dataAccess.getChainState(getNFTTokenIdsKey(bucket)));
+    if (descending) {
+      bucketIds.reverse();
+    }
+    const start = Math.max(0, Math.min(offset - skipped, bucketIds.length));
+    skipped += start;
+    ids.push(...bucketIds.slice(start, start + limit - ids.length));
+  }
+
+  return ids;
 };
 
 const getAllNFTTokensAsJSON = async (dataAccess) => {
-  const registeredTokensBuffer = await dataAccess.getChainState(
-    CHAIN_STATE_NFT_TOKENS
+  const count = decodeNFTTokenCount(await dataAccess.getChainState(CHAIN_STATE_NFT_TOKEN_COUNT));
+  const tokens = await getRegisteredNFTTokensByIds(
+    dataAccess,
+    await getNFTTokenIdsPage(dataAccess, 0, count)
   );
 
-  if (!registeredTokensBuffer) {
+  return tokens.map((token) => codec.toJSON(nftTokenSchema, token));
+};
+
+// Ids of the tokens owned by an address, sorted
+const getOwnedNFTTokenIds = async (dataAccess, ownerAddress) => {
+  try {
+    const account = await dataAccess.getAccountByAddress(ownerAddress);
+
+    return [...account.nft.ownNFTs].sort((a, b) => a.compare(b));
+  }
+  catch (error) {
     return [];
   }
+};
 
-  const registeredTokens = codec.decode(
-    registeredNFTTokensSchema,
-    registeredTokensBuffer
-  );
+const compareNFTTokens = (field) => (a, b) => {
+  if (field === "value") {
+    return a.value === b.value ? 0 : a.value < b.value ? -1 : 1;
+  }
+  if (field === "name") {
+    return a.name.localeCompare(b.name);
+  }
+  return a.id.compare(b.id);
+};
+
+// Returns one page of registered tokens matching the given filters.
+// `owner` is a hex address, `minValue`/`maxValue` are beddows strings and
+// `sort` is one of `<id|value|name>:<asc|desc>`.
+const getNFTTokensAsJSON = async (
+  dataAccess,
+  {
+    offset = 0,
+    limit = NFT_TOKENS_DEFAULT_LIMIT,
+    owner,
+    minValue,
+    maxValue,
+    nameContains,
+    sort = "id:asc",
+  } = {}
+) => {
+  const parsedOffset = Number(offset);
+  const parsedLimit = Number(limit);
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    throw new Error("Offset must be a non-negative integer.");
+  }
+  if (
+    !Number.isInteger(parsedLimit) ||
+    parsedLimit < 1 ||
+    parsedLimit > NFT_TOKENS_MAX_LIMIT
+  ) {
+    throw new Error(`Limit must be an integer between 1 and ${NFT_TOKENS_MAX_LIMIT}.`);
+  }
+  const [sortField, sortOrder = "asc"] = sort.split(":");
+  if (!NFT_TOKENS_SORT_FIELDS.includes(sortField) || !["asc", "desc"].includes(sortOrder)) {
+    throw new Error(`Sort must be one of ${NFT_TOKENS_SORT_FIELDS.join(", ")} followed by :asc or :desc.`);
+  }
+
+  const ownerAddress = owner !== undefined ? Buffer.from(owner, "hex") : undefined;
+  const minTokenValue = minValue !== undefined ? BigInt(minValue) : undefined;
+  const maxTokenValue = maxValue !== undefined ? BigInt(maxValue) : undefined;
+  const nameFilter = nameContains !== undefined ? nameContains.toLowerCase() : undefined;
+
+  const toPage = (tokens, total) => ({
+    data: tokens.map((token) => codec.toJSON(nftTokenSchema, token)),
+    meta: {
+      total,
+      offset: parsedOffset,
+      limit: parsedLimit,
+    },
+  });
+
+  // sorted by id without value or name filters, the page is taken from the ids and only its tokens are read
+  if (
+    sortField === "id" &&
+    minTokenValue === undefined &&
+    maxTokenValue === undefined &&
+    nameFilter === undefined
+  ) {
+    if (ownerAddress !== undefined) {
+      const ownedIds = await getOwnedNFTTokenIds(dataAccess, ownerAddress);
+      if (sortOrder === "desc") {
+        ownedIds.reverse();
+      }
+      const pageIds = ownedIds.slice(parsedOffset, parsedOffset + parsedLimit);
 
-  return codec.toJSON(registeredNFTTokensSchema, registeredTokens)
-    .registeredNFTTokens;
+      return toPage(await getRegisteredNFTTokensByIds(dataAccess, pageIds), ownedIds.length);
+    }
+    const pageIds = await getNFTTokenIdsPage(dataAccess, parsedOffset, parsedLimit, sortOrder === "desc");
+    const total = decodeNFTTokenCount(await dataAccess.getChainState(CHAIN_STATE_NFT_TOKEN_COUNT));
+
+    return toPage(await getRegisteredNFTTokensByIds(dataAccess, pageIds), total);
+  }
+
+  // value and name filters and sorts need the tokens, only those of the owner are read when it is given
+  const candidateIds = ownerAddress !== undefined
+    ? await getOwnedNFTTokenIds(dataAccess, ownerAddress)
+    : await getNFTTokenIdsPage(
+      dataAccess,
+      0,
+      decodeNFTTokenCount(await dataAccess.getChainState(CHAIN_STATE_NFT_TOKEN_COUNT))
+    );
+  const tokens = (await getRegisteredNFTTokensByIds(dataAccess, candidateIds))
+    .filter(
+      (token) =>
+        (ownerAddress === undefined || token.ownerAddress.equals(ownerAddress)) &&
+        (minTokenValue === undefined || token.value >= minTokenValue) &&
+        (maxTokenValue === undefined || token.value <= maxTokenValue) &&
+        (nameFilter === undefined || token.name.toLowerCase().includes(nameFilter))
+    )
+    .sort(compareNFTTokens(sortField));
+
+  if (sortOrder === "desc") {
+    tokens.reverse();
+  }
+
+  return toPage(tokens.slice(parsedOffset, parsedOffset + parsedLimit), tokens.length);
 };
 
-const setAllNFTTokens = async (stateStore, NFTTokens) => {
-  const registeredTokens = {
-    registeredNFTTokens: NFTTokens.sort((a, b) => a.id.compare(b.id)),
-  };
+// Moves tokens saved in the legacy single array into per-token keys and the listing index.
+// It runs once, a flag is set in the chain state afterwards.
+const migrateRegisteredNFTTokens = async (stateStore) => {
+  if (await stateStore.chain.get(CHAIN_STATE_NFT_TOKENS_MIGRATED)) {
+    return;
+  }
 
-  await stateStore.chain.set(
-    CHAIN_STATE_NFT_TOKENS,
-    codec.encode(registeredNFTTokensSchema, registeredTokens)
+  const registeredTokensBuffer = await stateStore.chain.get(
+    CHAIN_STATE_NFT_TOKENS
   );
+  if (registeredTokensBuffer && registeredTokensBuffer.length > 0) {
+    const { registeredNFTTokens } = codec.decode(
+      registeredNFTTokensSchema,
+      registeredTokensBuffer
+    );
+    // the fields added since are left at their defaults, decoded from an empty token
+    const defaultToken = codec.decode(nftTokenSchema, Buffer.alloc(0));
+    await setNFTTokens(
+      stateStore,
+      registeredNFTTokens.map((token) => ({ ...defaultToken, ...token }))
+    );
+
+    // chain state entries can not be deleted, so leave an empty array behind
+    await stateStore.chain.set(
+      CHAIN_STATE_NFT_TOKENS,
+      codec.encode(registeredNFTTokensSchema, { registeredNFTTokens: [] })
+    );
+  }
+
+  await stateStore.chain.set(CHAIN_STATE_NFT_TOKENS_MIGRATED, Buffer.from([1]));
 };
 
 module.exports = {
+  nftTokenSchema,
+  nftTokenIdsSchema,
   registeredNFTTokensSchema,
   CHAIN_STATE_NFT_TOKENS,
-  getAllNFTTokens,
-  setAllNFTTokens,
+  CHAIN_STATE_NFT_TOKENS_MIGRATED,
+  CHAIN_STATE_NFT_TOKEN_IDS_PREFIX,
+  CHAIN_STATE_NFT_TOKEN_COUNT,
+  CHAIN_STATE_NFT_TOKEN_PREFIX,
+  CHAIN_STATE_ROYALTIES_PREFIX,
+  MAX_ROYALTY_PERCENTAGE,
+  DEFAULT_BURN_REFUND_PERCENTAGE,
+  MAX_METADATA_URI_LENGTH,
+  CONTENT_HASH_LENGTH,
+  MAX_ATTRIBUTES,
+  MAX_ATTRIBUTE_KEY_LENGTH,
+  MAX_ATTRIBUTE_VALUE_LENGTH,
+  MAX_BATCH_SIZE,
+  NFT_TOKENS_DEFAULT_LIMIT,
+  NFT_TOKENS_MAX_LIMIT,
+  getNFTToken,
+  setNFTToken,
+  setNFTTokens,
+  removeNFTToken,
+  getNFTTokenAsJSON,
+  payNFTSale,
+  getRoyaltiesAsJSON,
   getAllNFTTokensAsJSON,
+  getNFTTokensAsJSON,
+  migrateRegisteredNFTTokens,
+  computeNFTTokenId,
   createNFTToken,
+  validateNFTCreation,
+  validateNFTMetadata,
+  getMinPurchaseValue,
+  canTransferNFT,
+  removeNFTFromAccount,
 };
@@ -0,0 +1,62 @@
+const { BaseAsset } = require("lisk-sdk");
+const { getNFTToken } = require("../nft");
+
+// 1.extend base asset to implement your custom asset
+class ApproveNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "approveNFT";
+  id = 12;
+  // 3.define asset schema for serialization, an empty spender revokes the approval
+  schema = {
+    $id: "lisk/nft/approve",
+    type: "object",
+    required: ["nftId", "spender"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+      spender: {
+        dataType: "bytes",
+        fieldNumber: 2,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.spender.length !== 0 && asset.spender.length !== 20) {
+      throw new Error("The spender needs to be a 20 bytes address or empty to revoke the approval.");
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+
+    // 5.verify that the sender owns the nft or is an operator of the owner
+    const senderAddress = transaction.senderAddress;
+    const owner = await stateStore.account.get(token.ownerAddress);
+    if (
+      !owner.address.equals(senderAddress) &&
+      !owner.nft.operators.some((operator) => operator.equals(senderAddress))
+    ) {
+      throw new Error("An NFT can only be approved by the owner of the NFT or an operator of the owner.");
+    }
+    if (asset.spender.equals(owner.address)) {
+      throw new Error("The owner of the NFT can not be approved for it.");
+    }
+
+    // 6.replace the previous approval of the nft on the owner account
+    owner.nft.tokenApprovals = owner.nft.tokenApprovals.filter(
+      (approval) => !approval.nftId.equals(token.id)
+    );
+    if (asset.spender.length > 0) {
+      owner.nft.tokenApprovals.push({ nftId: token.id, spender: asset.spender });
+    }
+    await stateStore.account.set(owner.address, owner);
+  }
+}
+
+module.exports = ApproveNFTAsset;
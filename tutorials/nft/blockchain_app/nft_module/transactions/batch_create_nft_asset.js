@@ -0,0 +1,140 @@
+const { BaseAsset } = require("lisk-sdk");
+const {
+  setNFTTokens,
+  createNFTToken,
+  validateNFTCreation,
+  MAX_BATCH_SIZE,
+} = require("../nft");
+const { mintIntoCollection } = require("../collection");
+
+// 1.extend base asset to implement your custom asset
+class BatchCreateNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "batchCreateNFT";
+  id = 9;
+  // 3.define asset schema for serialization, every item has the properties of createNFT
+  schema = {
+    $id: "lisk/nft/batchCreate",
+    type: "object",
+    required: ["items"],
+    properties: {
+      items: {
+        type: "array",
+        fieldNumber: 1,
+        items: {
+          type: "object",
+          required: ["minPurchaseMargin", "initValue", "name"],
+          properties: {
+            minPurchaseMargin: {
+              dataType: "uint32",
+              fieldNumber: 1,
+            },
+            initValue: {
+              dataType: "uint64",
+              fieldNumber: 2,
+            },
+            name: {
+              dataType: "string",
+              fieldNumber: 3,
+            },
+            royaltyPercentage: {
+              dataType: "uint32",
+              fieldNumber: 4,
+            },
+            metadataURI: {
+              dataType: "string",
+              fieldNumber: 5,
+            },
+            contentHash: {
+              dataType: "bytes",
+              fieldNumber: 6,
+            },
+            attributes: {
+              type: "array",
+              fieldNumber: 7,
+              items: {
+                type: "object",
+                required: ["key", "value"],
+                properties: {
+                  key: {
+                    dataType: "string",
+                    fieldNumber: 1,
+                  },
+                  value: {
+                    dataType: "string",
+                    fieldNumber: 2,
+                  },
+                },
+              },
+            },
+            collectionId: {
+              dataType: "bytes",
+              fieldNumber: 8,
+            },
+          },
+        },
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.items.length === 0 || asset.items.length > MAX_BATCH_SIZE) {
+      throw new Error(`A batch needs to contain between 1 and ${MAX_BATCH_SIZE} NFTs.`);
+    }
+    // the whole batch is rejected when any item is invalid
+    asset.items.forEach((item, index) => {
+      try {
+        validateNFTCreation(item);
+      } catch (err) {
+        throw new Error(`Item ${index}: ${err.message}`);
+      }
+    });
+  };
+  async apply({ asset, stateStore, reducerHandler, transaction }) {
+    const senderAddress = transaction.senderAddress;
+    const senderAccount = await stateStore.account.get(senderAddress);
+
+    // 4.create nfts
+    const nftTokens = asset.items.map((item, index) =>
+      createNFTToken({
+        name: item.name,
+        ownerAddress: senderAddress,
+        nonce: transaction.nonce,
+        value: item.initValue,
+        minPurchaseMargin: item.minPurchaseMargin,
+        royaltyPercentage: item.royaltyPercentage,
+        metadataURI: item.metadataURI,
+        contentHash: item.contentHash,
+        attributes: item.attributes,
+        collectionId: item.collectionId,
+        batchIndex: index,
+      })
+    );
+
+    // 5.verify that the sender can still mint the nfts into their collections
+    const collectionTokenIds = new Map();
+    for (const token of nftTokens) {
+      if (token.collectionId.length > 0) {
+        const key = token.collectionId.toString("hex");
+        collectionTokenIds.set(key, [...(collectionTokenIds.get(key) || []), token.id]);
+      }
+    }
+    for (const [collectionId, tokenIds] of collectionTokenIds) {
+      await mintIntoCollection(stateStore, Buffer.from(collectionId, "hex"), senderAddress, tokenIds);
+    }
+
+    // 6.update sender account with unique nft ids
+    senderAccount.nft.ownNFTs.push(...nftTokens.map((token) => token.id));
+    await stateStore.account.set(senderAddress, senderAccount);
+
+    // 7.debit the total value of the nfts from sender account
+    await reducerHandler.invoke("token:debit", {
+      address: senderAddress,
+      amount: asset.items.reduce((total, item) => total + item.initValue, BigInt(0)),
+    });
+
+    // 8.save nfts
+    await setNFTTokens(stateStore, nftTokens);
+  }
+}
+
+module.exports = BatchCreateNFTAsset;
@@ -0,0 +1,97 @@
+const { BaseAsset } = require("lisk-sdk");
+const {
+  getNFTToken,
+  setNFTTokens,
+  canTransferNFT,
+  removeNFTFromAccount,
+  MAX_BATCH_SIZE,
+} = require("../nft");
+
+// 1.extend base asset to implement your custom asset
+class BatchTransferNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "batchTransferNFT";
+  id = 10;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/batchTransfer",
+    type: "object",
+    required: ["items"],
+    properties: {
+      items: {
+        type: "array",
+        fieldNumber: 1,
+        items: {
+          type: "object",
+          required: ["nftId", "recipient"],
+          properties: {
+            nftId: {
+              dataType: "bytes",
+              fieldNumber: 1,
+            },
+            recipient: {
+              dataType: "bytes",
+              fieldNumber: 2,
+            },
+          },
+        },
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.items.length === 0 || asset.items.length > MAX_BATCH_SIZE) {
+      throw new Error(`A batch needs to contain between 1 and ${MAX_BATCH_SIZE} NFTs.`);
+    }
+    const nftIds = new Set(asset.items.map((item) => item.nftId.toString("hex")));
+    if (nftIds.size !== asset.items.length) {
+      throw new Error("A batch can not transfer the same NFT more than once.");
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    const senderAddress = transaction.senderAddress;
+    // every owner and recipient account is read once and saved once
+    const accounts = new Map();
+    const getAccount = async (address) => {
+      const key = address.toString("hex");
+      if (!accounts.has(key)) {
+        accounts.set(key, await stateStore.account.get(address));
+      }
+      return accounts.get(key);
+    };
+    const nftTokens = [];
+
+    for (const { nftId, recipient } of asset.items) {
+      const token = await getNFTToken(stateStore, nftId);
+
+      // 4.verify that every nft exists and the sender owns it or was approved to move it
+      if (!token) {
+        throw new Error(`Token id ${nftId.toString("hex")} not found`);
+      }
+      const owner = await getAccount(token.ownerAddress);
+      if (!canTransferNFT(owner, token.id, senderAddress)) {
+        throw new Error("An NFT can only be transferred by the owner of the NFT or an approved account.");
+      }
+      if (token.auctionId.length > 0) {
+        throw new Error("An NFT in an auction can not be transferred.");
+      }
+
+      // 5.move the nft from the owner to the recipient account
+      removeNFTFromAccount(owner, token.id);
+      const recipientAccount = await getAccount(recipient);
+      recipientAccount.nft.ownNFTs.push(token.id);
+
+      token.ownerAddress = recipient;
+      token.listed = false;
+      token.listingPrice = BigInt(0);
+      nftTokens.push(token);
+    }
+
+    // 6.save all accounts and nfts once
+    for (const account of accounts.values()) {
+      await stateStore.account.set(account.address, account);
+    }
+    await setNFTTokens(stateStore, nftTokens);
+  }
+}
+
+module.exports = BatchTransferNFTAsset;
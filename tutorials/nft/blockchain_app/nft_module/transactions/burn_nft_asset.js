@@ -0,0 +1,71 @@
+const { BaseAsset } = require("lisk-sdk");
+const {
+  getNFTToken,
+  removeNFTToken,
+  removeNFTFromAccount,
+  DEFAULT_BURN_REFUND_PERCENTAGE,
+} = require("../nft");
+
+// 1.extend base asset to implement your custom asset
+class BurnNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "burnNFT";
+  id = 8;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/burn",
+    type: "object",
+    required: ["nftId"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+    },
+  };
+
+  constructor(refundPercentage = DEFAULT_BURN_REFUND_PERCENTAGE) {
+    super();
+    if (!Number.isInteger(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+      throw new Error("The NFT burn refund percentage needs to be between 0 and 100.");
+    }
+    this._refundPercentage = refundPercentage;
+  }
+
+  async apply({ asset, stateStore, reducerHandler, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+
+    // 5.verify that the sender owns the nft and it is not in an auction
+    const senderAddress = transaction.senderAddress;
+    if (!token.ownerAddress.equals(senderAddress)) {
+      throw new Error("An NFT can only be burned by the owner of the NFT.");
+    }
+    if (token.auctionId.length > 0) {
+      throw new Error("An NFT in an auction can not be burned.");
+    }
+
+    // 6.remove nft from the owner account
+    const owner = await stateStore.account.get(senderAddress);
+    removeNFTFromAccount(owner, token.id);
+    await stateStore.account.set(senderAddress, owner);
+
+    // 7.remove nft from the chain state
+    await removeNFTToken(stateStore, token.id);
+
+    // 8.credit back the refundable share of the nft value
+    const refund = (token.value * BigInt(this._refundPercentage)) / BigInt(100);
+    if (refund > BigInt(0)) {
+      await reducerHandler.invoke("token:credit", {
+        address: senderAddress,
+        amount: refund,
+      });
+    }
+  }
+}
+
+module.exports = BurnNFTAsset;
@@ -0,0 +1,61 @@
+const { BaseAsset } = require("lisk-sdk");
+const {
+  createCollection,
+  addCollection,
+  MAX_COLLECTION_NAME_LENGTH,
+  MAX_COLLECTION_SYMBOL_LENGTH,
+  MAX_COLLECTION_SUPPLY,
+} = require("../collection");
+
+// 1.extend base asset to implement your custom asset
+class CreateCollectionAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "createCollection";
+  id = 11;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/createCollection",
+    type: "object",
+    required: ["name", "symbol", "maxSupply"],
+    properties: {
+      name: {
+        dataType: "string",
+        fieldNumber: 1,
+      },
+      symbol: {
+        dataType: "string",
+        fieldNumber: 2,
+      },
+      maxSupply: {
+        dataType: "uint32",
+        fieldNumber: 3,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.name.length === 0 || asset.name.length > MAX_COLLECTION_NAME_LENGTH) {
+      throw new Error(`The collection name needs to be between 1 and ${MAX_COLLECTION_NAME_LENGTH} characters.`);
+    }
+    if (!new RegExp(`^[A-Z0-9]{1,${MAX_COLLECTION_SYMBOL_LENGTH}}$`).test(asset.symbol)) {
+      throw new Error(`The collection symbol needs to be 1 to ${MAX_COLLECTION_SYMBOL_LENGTH} uppercase letters or digits.`);
+    }
+    if (asset.maxSupply <= 0 || asset.maxSupply > MAX_COLLECTION_SUPPLY) {
+      throw new Error(`The collection maximum supply needs to be between 1 and ${MAX_COLLECTION_SUPPLY}.`);
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    // 4.create the collection with the sender as its creator, the transaction id identifies it
+    const collection = createCollection({
+      id: transaction.id,
+      name: asset.name,
+      symbol: asset.symbol,
+      maxSupply: asset.maxSupply,
+      creatorAddress: transaction.senderAddress,
+    });
+
+    // 5.save the collection
+    await addCollection(stateStore, collection);
+  }
+}
+
+module.exports = CreateCollectionAsset;
@@ -1,9 +1,6 @@
 const { BaseAsset } = require("lisk-sdk");
-const {
-  getAllNFTTokens,
-  setAllNFTTokens,
-  createNFTToken,
-} = require("../nft");
+const { setNFTToken, createNFTToken, validateNFTCreation } = require("../nft");
+const { mintIntoCollection } = require("../collection");
 
 // 1.extend base asset to implement your custom asset
 class CreateNFTAsset extends BaseAsset {
@@ -28,14 +25,44 @@ class CreateNFTAsset extends BaseAsset {
         dataType: "string",
         fieldNumber: 3,
       },
+      royaltyPercentage: {
+        dataType: "uint32",
+        fieldNumber: 4,
+      },
+      metadataURI: {
+        dataType: "string",
+        fieldNumber: 5,
+      },
+      contentHash: {
+        dataType: "bytes",
+        fieldNumber: 6,
+      },
+      attributes: {
+        type: "array",
+        fieldNumber: 7,
+        items: {
+          type: "object",
+          required: ["key", "value"],
+          properties: {
+            key: {
+              dataType: "string",
+              fieldNumber: 1,
+            },
+            value: {
+              dataType: "string",
+              fieldNumber: 2,
+            },
+          },
+        },
+      },
+      collectionId: {
+        dataType: "bytes",
+        fieldNumber: 8,
+      },
     },
   };
   validate({asset}) {
-    if (asset.initValue <= 0) {
-      throw new Error("NFT init value is too low.");
-    } else if (asset.minPurchaseMargin < 0 || asset.minPurchaseMargin > 100) {
-      throw new Error("The NFT minimum purchase value needs to be between 0 and 100.");
-    }
+    validateNFTCreation(asset);
   };
   async apply({ asset, stateStore, reducerHandler, transaction }) {
     // 4.verify if sender has enough balance
@@ -49,22 +76,30 @@ class CreateNFTAsset extends BaseAsset {
       nonce: transaction.nonce,
       value: asset.initValue,
       minPurchaseMargin: asset.minPurchaseMargin,
+      royaltyPercentage: asset.royaltyPercentage,
+      metadataURI: asset.metadataURI,
+      contentHash: asset.contentHash,
+      attributes: asset.attributes,
+      collectionId: asset.collectionId,
     });
 
-    // 6.update sender account with unique nft id
+    // 6.verify that the sender can still mint into the collection
+    if (nftToken.collectionId.length > 0) {
+      await mintIntoCollection(stateStore, nftToken.collectionId, senderAddress, [nftToken.id]);
+    }
+
+    // 7.update sender account with unique nft id
     senderAccount.nft.ownNFTs.push(nftToken.id);
     await stateStore.account.set(senderAddress, senderAccount);
 
-    // 7.debit tokens from sender account to create nft
+    // 8.debit tokens from sender account to create nft
     await reducerHandler.invoke("token:debit", {
       address: senderAddress,
       amount: asset.initValue,
     });
 
-    // 8.save nfts
-    const allTokens = await getAllNFTTokens(stateStore);
-    allTokens.push(nftToken);
-    await setAllNFTTokens(stateStore, allTokens);
+    // 9.save nft
+    await setNFTToken(stateStore, nftToken);
   }
 }
 
@@ -0,0 +1,45 @@
+const { BaseAsset } = require("lisk-sdk");
+const { getNFTToken, setNFTToken } = require("../nft");
+
+// 1.extend base asset to implement your custom asset
+class DelistNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "delistNFT";
+  id = 5;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/delist",
+    type: "object",
+    required: ["nftId"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+    },
+  };
+
+  async apply({ asset, stateStore, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+
+    // 5.verify that the sender owns the listed nft
+    if (!token.ownerAddress.equals(transaction.senderAddress)) {
+      throw new Error("An NFT can only be delisted by the owner of the NFT.");
+    }
+    if (!token.listed) {
+      throw new Error("The NFT is not listed.");
+    }
+
+    // 6.remove the listing
+    token.listed = false;
+    token.listingPrice = BigInt(0);
+    await setNFTToken(stateStore, token);
+  }
+}
+
+module.exports = DelistNFTAsset;
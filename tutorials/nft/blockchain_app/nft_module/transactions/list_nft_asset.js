@@ -0,0 +1,62 @@
+const { BaseAsset } = require("lisk-sdk");
+const { getNFTToken, setNFTToken, getMinPurchaseValue } = require("../nft");
+
+// 1.extend base asset to implement your custom asset
+class ListNFTAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "listNFT";
+  id = 3;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/list",
+    type: "object",
+    required: ["nftId", "price"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+      price: {
+        dataType: "uint64",
+        fieldNumber: 2,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.price <= 0) {
+      throw new Error("NFT listing price is too low.");
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+
+    // 5.verify that the sender owns the nft
+    if (!token.ownerAddress.equals(transaction.senderAddress)) {
+      throw new Error("An NFT can only be listed by the owner of the NFT.");
+    }
+    if (token.auctionId.length > 0) {
+      throw new Error("An NFT in an auction can not be listed.");
+    }
+    if (token.listed) {
+      throw new Error("The NFT is already listed. Update the listing price instead.");
+    }
+
+    // 6.verify that the asking price satisfies the minimum purchase margin
+    const minPurchaseValue = getMinPurchaseValue(token);
+    if (asset.price < minPurchaseValue) {
+      throw new Error("NFT listing price is too low. Minimum value: " + minPurchaseValue);
+    }
+
+    // 7.save the listing
+    token.listed = true;
+    token.listingPrice = asset.price;
+    await setNFTToken(stateStore, token);
+  }
+}
+
+module.exports = ListNFTAsset;
@@ -0,0 +1,85 @@
+const { BaseAsset } = require("lisk-sdk");
+const { getNFTToken } = require("../nft");
+const { getAuction, setAuction } = require("../auction");
+
+// 1.extend base asset to implement your custom asset
+class PlaceBidAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "placeBid";
+  id = 7;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/placeBid",
+    type: "object",
+    required: ["nftId", "amount"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+      amount: {
+        dataType: "uint64",
+        fieldNumber: 2,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.amount <= 0) {
+      throw new Error("Bid amount is too low.");
+    }
+  };
+  async apply({ asset, stateStore, reducerHandler, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists and is in an open auction
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+    if (token.auctionId.length === 0) {
+      throw new Error("The NFT is not in an auction.");
+    }
+    const auction = await getAuction(stateStore, token.auctionId);
+    const bidHeight = stateStore.chain.lastBlockHeaders[0].height + 1;
+    if (auction.settled || bidHeight > auction.endHeight) {
+      throw new Error("The auction has ended.");
+    }
+
+    // 5.verify the bidder and the bid amount
+    const bidderAddress = transaction.senderAddress;
+    if (auction.sellerAddress.equals(bidderAddress)) {
+      throw new Error("The seller can not bid on their own auction.");
+    }
+    if (asset.amount < auction.reservePrice) {
+      throw new Error("Bid is lower than the reserve price: " + auction.reservePrice);
+    }
+    if (asset.amount <= auction.highestBid) {
+      throw new Error("Bid must be higher than the current highest bid: " + auction.highestBid);
+    }
+
+    // 6.refund the previous highest bidder
+    if (auction.highestBidder.length > 0) {
+      await reducerHandler.invoke("token:credit", {
+        address: auction.highestBidder,
+        amount: auction.highestBid,
+      });
+    }
+
+    // 7.lock the bid amount until the auction is settled
+    await reducerHandler.invoke("token:debit", {
+      address: bidderAddress,
+      amount: asset.amount,
+    });
+
+    // 8.save the new highest bid
+    auction.highestBid = asset.amount;
+    auction.highestBidder = bidderAddress;
+    auction.bids.push({
+      bidder: bidderAddress,
+      amount: asset.amount,
+      height: bidHeight,
+    });
+    await setAuction(stateStore, auction);
+  }
+}
+
+module.exports = PlaceBidAsset;
@@ -1,5 +1,10 @@
 const { BaseAsset } = require("lisk-sdk");
-const { getAllNFTTokens, setAllNFTTokens } = require("../nft");
+const {
+  getNFTToken,
+  setNFTToken,
+  payNFTSale,
+  removeNFTFromAccount,
+} = require("../nft");
 
 // 1.extend base asset to implement your custom asset
 class PurchaseNFTAsset extends BaseAsset {
@@ -28,40 +33,31 @@ class PurchaseNFTAsset extends BaseAsset {
   };
 
   async apply({ asset, stateStore, reducerHandler, transaction }) {
-    const nftTokens = await getAllNFTTokens(stateStore);
-    const nftTokenIndex = nftTokens.findIndex((t) => t.id.equals(asset.nftId));
+    const token = await getNFTToken(stateStore, asset.nftId);
 
     // 4.verify if purchasing nft exists
-    if (nftTokenIndex < 0) {
+    if (!token) {
       throw new Error("Token id not found");
     }
-    const token = nftTokens[nftTokenIndex];
     const tokenOwner = await stateStore.account.get(token.ownerAddress);
     const tokenOwnerAddress = tokenOwner.address;
 
-    // 5.verify if minimum nft purchasing condition met
-    if (token && token.minPurchaseMargin === 0) {
-      throw new Error("This NFT token can not be purchased");
+    // 5.verify that the nft is listed and the asking price is met
+    if (!token.listed) {
+      throw new Error("This NFT token is not listed for sale");
     }
 
-    const tokenCurrentValue = token.value;
-    const tokenMinPurchaseValue =
-      tokenCurrentValue +
-      (tokenCurrentValue * BigInt(token.minPurchaseMargin)) / BigInt(100);
     const purchaseValue = asset.purchaseValue;
 
-    if (tokenMinPurchaseValue > purchaseValue) {
-      throw new Error("Token can not be purchased. Purchase value is too low. Minimum value: " + tokenMinPurchaseValue);
+    if (token.listingPrice > purchaseValue) {
+      throw new Error("Token can not be purchased. Purchase value is too low. Listing price: " + token.listingPrice);
     }
 
     const purchaserAddress = transaction.senderAddress;
     const purchaserAccount = await stateStore.account.get(purchaserAddress);
 
-    // 6.remove nft from owner account
-    const ownerTokenIndex = tokenOwner.nft.ownNFTs.findIndex((a) =>
-      a.equals(token.id)
-    );
-    tokenOwner.nft.ownNFTs.splice(ownerTokenIndex, 1);
+    // 6.remove nft and its approval from owner account
+    removeNFTFromAccount(tokenOwner, token.id);
     await stateStore.account.set(tokenOwnerAddress, tokenOwner);
 
     // 7.add nft to purchaser account
@@ -70,8 +66,9 @@ class PurchaseNFTAsset extends BaseAsset {
 
     token.ownerAddress = purchaserAddress;
     token.value = purchaseValue;
-    nftTokens[nftTokenIndex] = token;
-    await setAllNFTTokens(stateStore, nftTokens);
+    token.listed = false;
+    token.listingPrice = BigInt(0);
+    await setNFTToken(stateStore, token);
 
     // 8.debit LSK tokens from purchaser account
     await reducerHandler.invoke("token:debit", {
@@ -79,11 +76,8 @@ class PurchaseNFTAsset extends BaseAsset {
       amount: purchaseValue,
     });
 
-    // 9.credit LSK tokens to purchaser account
-    await reducerHandler.invoke("token:credit", {
-      address: tokenOwnerAddress,
-      amount: purchaseValue,
-    });
+    // 9.credit LSK tokens to the previous owner and the royalty to the creator
+    await payNFTSale(stateStore, reducerHandler, token, tokenOwnerAddress, purchaseValue);
   }
 }
 
@@ -0,0 +1,49 @@
+const { BaseAsset } = require("lisk-sdk");
+
+// 1.extend base asset to implement your custom asset
+class SetApprovalForAllAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "setApprovalForAll";
+  id = 13;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/setApprovalForAll",
+    type: "object",
+    required: ["operator", "approved"],
+    properties: {
+      operator: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+      approved: {
+        dataType: "boolean",
+        fieldNumber: 2,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.operator.length !== 20) {
+      throw new Error("The operator needs to be a 20 bytes address.");
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    const senderAddress = transaction.senderAddress;
+
+    // 4.verify that the sender does not make itself an operator
+    if (asset.operator.equals(senderAddress)) {
+      throw new Error("An account can not be an operator of itself.");
+    }
+
+    // 5.add or remove the operator on the sender account
+    const senderAccount = await stateStore.account.get(senderAddress);
+    senderAccount.nft.operators = senderAccount.nft.operators.filter(
+      (operator) => !operator.equals(asset.operator)
+    );
+    if (asset.approved) {
+      senderAccount.nft.operators.push(asset.operator);
+    }
+    await stateStore.account.set(senderAddress, senderAccount);
+  }
+}
+
+module.exports = SetApprovalForAllAsset;
@@ -0,0 +1,79 @@
+const { BaseAsset } = require("lisk-sdk");
+const { getNFTToken, setNFTToken } = require("../nft");
+const { createAuction, addAuction, MAX_AUCTION_DURATION } = require("../auction");
+
+// 1.extend base asset to implement your custom asset
+class StartAuctionAsset extends BaseAsset {
+  // 2.define unique asset name and id
+  name = "startAuction";
+  id = 6;
+  // 3.define asset schema for serialization
+  schema = {
+    $id: "lisk/nft/startAuction",
+    type: "object",
+    required: ["nftId", "reservePrice", "endHeight"],
+    properties: {
+      nftId: {
+        dataType: "bytes",
+        fieldNumber: 1,
+      },
+      reservePrice: {
+        dataType: "uint64",
+        fieldNumber: 2,
+      },
+      endHeight: {
+        dataType: "uint32",
+        fieldNumber: 3,
+      },
+    },
+  };
+  validate({asset}) {
+    if (asset.reservePrice <= 0) {
+      throw new Error("Auction reserve price is too low.");
+    }
+  };
+  async apply({ asset, stateStore, transaction }) {
+    const token = await getNFTToken(stateStore, asset.nftId);
+
+    // 4.verify if the nft exists
+    if (!token) {
+      throw new Error("Token id not found");
+    }
+
+    // 5.verify that the sender owns the nft and it is not already for sale
+    if (!token.ownerAddress.equals(transaction.senderAddress)) {
+      throw new Error("An NFT can only be auctioned by the owner of the NFT.");
+    }
+    if (token.listed) {
+      throw new Error("The NFT is listed for sale. Delist it before starting an auction.");
+    }
+    if (token.auctionId.length > 0) {
+      throw new Error("The NFT is already in an auction.");
+    }
+
+    // 6.verify that the auction ends in a future block within the maximum duration
+    const currentHeight = stateStore.chain.lastBlockHeaders[0].height;
+    if (asset.endHeight <= currentHeight + 1) {
+      throw new Error("Auction end height must be after the current height.");
+    }
+    if (asset.endHeight - currentHeight > MAX_AUCTION_DURATION) {
+      throw new Error(`Auction can not run for more than ${MAX_AUCTION_DURATION} blocks.`);
+    }
+
+    // 7.save the auction and lock the nft until it is settled
+    const auction = createAuction({
+      id: transaction.id,
+      nftId: token.id,
+      sellerAddress: token.ownerAddress,
+      reservePrice: asset.reservePrice,
+      startHeight: currentHeight + 1,
+      endHeight: asset.endHeight,
+    });
+    await addAuction(stateStore, auction);
+
+    token.auctionId = auction.id;
+    await setNFTToken(stateStore, token);
+  }
+}
+
+module.exports = StartAuctionAsset;
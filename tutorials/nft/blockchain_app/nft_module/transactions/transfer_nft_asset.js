@@ -1,5 +1,10 @@
 const { BaseAsset } = require("lisk-sdk");
-const { getAllNFTTokens, setAllNFTTokens } = require("../nft");
+const {
+  getNFTToken,
+  setNFTToken,
+  canTransferNFT,
+  removeNFTFromAccount,
+} = require("../nft");
 
 // 1.extend base asset to implement your custom asset
 class TransferNFTAsset extends BaseAsset {
@@ -28,28 +33,26 @@ class TransferNFTAsset extends BaseAsset {
   };
 
   async apply({ asset, stateStore, reducerHandler, transaction }) {
-    const nftTokens = await getAllNFTTokens(stateStore);
-    const nftTokenIndex = nftTokens.findIndex((t) => t.id.equals(asset.nftId));
+    const token = await getNFTToken(stateStore, asset.nftId);
 
     // 4.verify if the nft exists
-    if (nftTokenIndex < 0) {
+    if (!token) {
       throw new Error("Token id not found");
     }
-    const token = nftTokens[nftTokenIndex];
     const tokenOwnerAddress = token.ownerAddress;
     const senderAddress = transaction.senderAddress;
-    // 5.verify that the sender owns the nft
+    const tokenOwner = await stateStore.account.get(tokenOwnerAddress);
+    // 5.verify that the sender owns the nft or was approved to move it
 
-    if (!tokenOwnerAddress.equals(senderAddress)) {
-      throw new Error("An NFT can only be transferred by the owner of the NFT.");
+    if (!canTransferNFT(tokenOwner, token.id, senderAddress)) {
+      throw new Error("An NFT can only be transferred by the owner of the NFT or an approved account.");
+    }
+    if (token.auctionId.length > 0) {
+      throw new Error("An NFT in an auction can not be transferred.");
     }
 
-    const tokenOwner = await stateStore.account.get(tokenOwnerAddress);
-    // 6.remove nft from the owner account
-    const ownerTokenIndex = tokenOwner.nft.ownNFTs.findIndex((a) =>
-      a.equals(token.id)
-    );
-    tokenOwner.nft.ownNFTs.splice(ownerTokenIndex, 1);
+    // 6.remove nft and its approval from the owner account
+    removeNFTFromAccount(tokenOwner, token.id);
     await stateStore.account.set(tokenOwnerAddress, tokenOwner);
 
     // 7.add nft to the recipient account
@@ -58,9 +61,11 @@ class TransferNFTAsset extends BaseAsset {
     recipientAccount.nft.ownNFTs.push(token.id);
     await stateStore.account.set(recipientAddress, recipientAccount);
 
+    // 8.update the nft owner, a transferred nft is no longer for sale
     token.ownerAddress = recipientAddress;
-    nftTokens[nftTokenIndex] = token;
-    await setAllNFTTokens(stateStore, nftTokens);
+    token.listed = false;
+    token.listingPrice = BigInt(0);
+    await setNFTToken(stateStore, token);
   }
 }
 
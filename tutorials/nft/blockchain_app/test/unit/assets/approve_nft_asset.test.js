@@ -0,0 +1,81 @@
+const ApproveNFTAsset = require("../../../nft_module/transactions/approve_nft_asset");
+const {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+} = require("../../utils/assets");
+
+describe("ApproveNFTAsset", () => {
+  let owner;
+  let spender;
+  let stateStore;
+  let token;
+
+  const approve = (spenderAddress = spender.address, senderAddress = owner.address) =>
+    applyAsset(new ApproveNFTAsset(), {
+      asset: { nftId: token.id, spender: spenderAddress },
+      transaction: { senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    spender = createAccount();
+    stateStore = createStateStore([owner, spender]);
+    token = await mintToken(stateStore, owner);
+  });
+
+  describe("validate", () => {
+    it("should accept a 20 bytes address or an empty spender", () => {
+      const validate = (spenderAddress) =>
+        validateAsset(ApproveNFTAsset, { nftId: token.id, spender: spenderAddress });
+
+      expect(() => validate(spender.address)).not.toThrow();
+      expect(() => validate(Buffer.alloc(0))).not.toThrow();
+      expect(() => validate(Buffer.alloc(19))).toThrow(
+        "The spender needs to be a 20 bytes address or empty to revoke the approval."
+      );
+    });
+  });
+
+  describe("apply", () => {
+    const getApprovals = async () => (await stateStore.account.get(owner.address)).nft.tokenApprovals;
+
+    it("should replace the approval of the nft", async () => {
+      await approve(createAccount().address);
+      await approve();
+
+      expect(await getApprovals()).toEqual([{ nftId: token.id, spender: spender.address }]);
+    });
+
+    it("should revoke the approval with an empty spender", async () => {
+      await approve();
+      await approve(Buffer.alloc(0));
+
+      expect(await getApprovals()).toEqual([]);
+    });
+
+    it("should let an operator of the owner approve the nft", async () => {
+      const operator = createAccount();
+      const account = await stateStore.account.get(owner.address);
+      account.nft.operators = [operator.address];
+      await stateStore.account.set(owner.address, account);
+
+      await approve(spender.address, operator.address);
+
+      expect(await getApprovals()).toEqual([{ nftId: token.id, spender: spender.address }]);
+    });
+
+    it("should reject a sender who is neither the owner nor an operator", async () => {
+      await expect(approve(spender.address, spender.address)).rejects.toThrow(
+        "An NFT can only be approved by the owner of the NFT or an operator of the owner."
+      );
+    });
+
+    it("should reject the owner as spender", async () => {
+      await expect(approve(owner.address)).rejects.toThrow("The owner of the NFT can not be approved for it.");
+    });
+  });
+});
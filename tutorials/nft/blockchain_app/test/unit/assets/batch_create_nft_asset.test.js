@@ -0,0 +1,88 @@
+const BatchCreateNFTAsset = require("../../../nft_module/transactions/batch_create_nft_asset");
+const { getNFTToken, computeNFTTokenId, MAX_BATCH_SIZE } = require("../../../nft_module/nft");
+const { createCollection, addCollection, getCollection } = require("../../../nft_module/collection");
+const { createAccount, createStateStore, validateAsset, applyAsset } = require("../../utils/assets");
+
+describe("BatchCreateNFTAsset", () => {
+  const collectionId = Buffer.alloc(32, 9);
+  const nonce = BigInt(3);
+  const item = { name: "token", initValue: BigInt(100), minPurchaseMargin: 10 };
+  let owner;
+  let stateStore;
+  let reducerHandler;
+
+  const batchCreate = (items, senderAddress = owner.address) =>
+    applyAsset(new BatchCreateNFTAsset(), {
+      asset: { items },
+      transaction: { senderAddress, nonce },
+      stateStore,
+      reducerHandler,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner]);
+    await addCollection(
+      stateStore,
+      createCollection({ id: collectionId, name: "collection", symbol: "COL", maxSupply: 2, creatorAddress: owner.address })
+    );
+    reducerHandler = { invoke: jest.fn() };
+  });
+
+  describe("validate", () => {
+    const validate = (items) => validateAsset(BatchCreateNFTAsset, { items });
+
+    it("should reject empty and oversized batches", () => {
+      expect(() => validate([item])).not.toThrow();
+      expect(() => validate([])).toThrow(`A batch needs to contain between 1 and ${MAX_BATCH_SIZE} NFTs.`);
+      expect(() => validate(new Array(MAX_BATCH_SIZE + 1).fill(item))).toThrow(
+        `A batch needs to contain between 1 and ${MAX_BATCH_SIZE} NFTs.`
+      );
+    });
+
+    it("should reject the batch with the position of an invalid item", () => {
+      expect(() => validate([item, { ...item, initValue: BigInt(0) }])).toThrow(
+        "Item 1: NFT init value is too low."
+      );
+    });
+  });
+
+  describe("apply", () => {
+    it("should mint every item with its own id and debit their total value", async () => {
+      await batchCreate([item, { ...item, name: "second", initValue: BigInt(200) }]);
+
+      const ids = [0, 1].map((index) => computeNFTTokenId(owner.address, nonce, index));
+      expect(ids[0]).not.toEqual(ids[1]);
+      expect((await stateStore.account.get(owner.address)).nft.ownNFTs).toEqual(ids);
+      expect(await getNFTToken(stateStore, ids[1])).toMatchObject({ name: "second", value: BigInt(200) });
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:debit", {
+        address: owner.address,
+        amount: BigInt(300),
+      });
+    });
+
+    it("should add the items to their collection", async () => {
+      await batchCreate([{ ...item, collectionId }, item]);
+
+      expect((await getCollection(stateStore, collectionId)).tokenIds).toEqual([
+        computeNFTTokenId(owner.address, nonce, 0),
+      ]);
+    });
+
+    it("should reject the whole batch when it exceeds the supply of a collection", async () => {
+      await expect(batchCreate(new Array(3).fill({ ...item, collectionId }))).rejects.toThrow(
+        "The collection has reached its maximum supply of 2."
+      );
+      expect((await getCollection(stateStore, collectionId)).tokenIds).toEqual([]);
+    });
+
+    it("should reject minting into the collection of another creator", async () => {
+      const sender = createAccount();
+      await stateStore.account.set(sender.address, sender);
+
+      await expect(batchCreate([{ ...item, collectionId }], sender.address)).rejects.toThrow(
+        "Only the creator of the collection can mint into it."
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const BatchTransferNFTAsset = require("../../../nft_module/transactions/batch_transfer_nft_asset");
+const { getNFTToken, MAX_BATCH_SIZE } = require("../../../nft_module/nft");
+const {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+} = require("../../utils/assets");
+
+describe("BatchTransferNFTAsset", () => {
+  let owner;
+  let recipients;
+  let stateStore;
+  let tokens;
+
+  const batchTransfer = (items, senderAddress = owner.address) =>
+    applyAsset(new BatchTransferNFTAsset(), {
+      asset: { items },
+      transaction: { senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    recipients = [createAccount(), createAccount()];
+    stateStore = createStateStore([owner, ...recipients]);
+    tokens = [
+      await mintToken(stateStore, owner, { listed: true, listingPrice: BigInt(1500) }),
+      await mintToken(stateStore, owner),
+    ];
+  });
+
+  describe("validate", () => {
+    const validate = (items) => validateAsset(BatchTransferNFTAsset, { items });
+
+    it("should reject empty, oversized and repeated batches", () => {
+      const item = { nftId: Buffer.alloc(32, 1), recipient: Buffer.alloc(20) };
+
+      expect(() => validate([item])).not.toThrow();
+      expect(() => validate([])).toThrow(`A batch needs to contain between 1 and ${MAX_BATCH_SIZE} NFTs.`);
+      expect(() => validate([item, item])).toThrow("A batch can not transfer the same NFT more than once.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should move every nft to its recipient and close its listing", async () => {
+      await batchTransfer([
+        { nftId: tokens[0].id, recipient: recipients[0].address },
+        { nftId: tokens[1].id, recipient: recipients[1].address },
+      ]);
+
+      expect((await stateStore.account.get(owner.address)).nft.ownNFTs).toEqual([]);
+      expect((await stateStore.account.get(recipients[0].address)).nft.ownNFTs).toEqual([tokens[0].id]);
+      expect((await stateStore.account.get(recipients[1].address)).nft.ownNFTs).toEqual([tokens[1].id]);
+      expect(await getNFTToken(stateStore, tokens[0].id)).toMatchObject({
+        ownerAddress: recipients[0].address,
+        listed: false,
+        listingPrice: BigInt(0),
+      });
+    });
+
+    it("should let an operator of the owner move the nfts", async () => {
+      const account = await stateStore.account.get(owner.address);
+      account.nft.operators = [recipients[0].address];
+      await stateStore.account.set(owner.address, account);
+
+      await batchTransfer([{ nftId: tokens[1].id, recipient: recipients[1].address }], recipients[0].address);
+
+      expect((await getNFTToken(stateStore, tokens[1].id)).ownerAddress).toEqual(recipients[1].address);
+    });
+
+    it("should reject the batch when the sender can not move one of the nfts", async () => {
+      const otherToken = await mintToken(stateStore, recipients[0]);
+
+      await expect(
+        batchTransfer([
+          { nftId: tokens[0].id, recipient: recipients[1].address },
+          { nftId: otherToken.id, recipient: recipients[1].address },
+        ])
+      ).rejects.toThrow("An NFT can only be transferred by the owner of the NFT or an approved account.");
+    });
+
+    it("should reject an nft in an auction", async () => {
+      const auctionedToken = await mintToken(stateStore, owner, { auctionId: Buffer.alloc(32, 1) });
+
+      await expect(
+        batchTransfer([{ nftId: auctionedToken.id, recipient: recipients[0].address }])
+      ).rejects.toThrow("An NFT in an auction can not be transferred.");
+    });
+
+    it("should reject an unknown nft", async () => {
+      const nftId = Buffer.alloc(32);
+
+      await expect(batchTransfer([{ nftId, recipient: recipients[0].address }])).rejects.toThrow(
+        `Token id ${nftId.toString("hex")} not found`
+      );
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const BurnNFTAsset = require("../../../nft_module/transactions/burn_nft_asset");
+const { getNFTToken } = require("../../../nft_module/nft");
+const { createAccount, createStateStore, mintToken, applyAsset } = require("../../utils/assets");
+
+describe("BurnNFTAsset", () => {
+  let owner;
+  let stateStore;
+  let token;
+  let reducerHandler;
+
+  const burn = (asset = new BurnNFTAsset(), senderAddress = owner.address) =>
+    applyAsset(asset, {
+      asset: { nftId: token.id },
+      transaction: { senderAddress },
+      stateStore,
+      reducerHandler,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner]);
+    token = await mintToken(stateStore, owner);
+    reducerHandler = { invoke: jest.fn() };
+  });
+
+  it("should reject a refund percentage outside of 0 to 100", () => {
+    expect(() => new BurnNFTAsset(0)).not.toThrow();
+    expect(() => new BurnNFTAsset(101)).toThrow("The NFT burn refund percentage needs to be between 0 and 100.");
+    expect(() => new BurnNFTAsset(12.5)).toThrow("The NFT burn refund percentage needs to be between 0 and 100.");
+  });
+
+  describe("apply", () => {
+    it("should remove the nft and refund half of its value by default", async () => {
+      await burn();
+
+      expect(await getNFTToken(stateStore, token.id)).toBeUndefined();
+      expect((await stateStore.account.get(owner.address)).nft.ownNFTs).toEqual([]);
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: owner.address,
+        amount: BigInt(500),
+      });
+    });
+
+    it("should refund the configured share of the value", async () => {
+      await burn(new BurnNFTAsset(20));
+
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: owner.address,
+        amount: BigInt(200),
+      });
+    });
+
+    it("should not credit anything without a refund", async () => {
+      await burn(new BurnNFTAsset(0));
+
+      expect(reducerHandler.invoke).not.toHaveBeenCalled();
+    });
+
+    it("should reject an nft which was already burned", async () => {
+      await burn();
+
+      await expect(burn()).rejects.toThrow("Token id not found");
+    });
+
+    it("should reject a sender who does not own the nft", async () => {
+      await expect(burn(new BurnNFTAsset(), createAccount().address)).rejects.toThrow(
+        "An NFT can only be burned by the owner of the NFT."
+      );
+    });
+
+    it("should reject an nft in an auction", async () => {
+      token = await mintToken(stateStore, owner, { auctionId: Buffer.alloc(32, 1) });
+
+      await expect(burn()).rejects.toThrow("An NFT in an auction can not be burned.");
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const CreateCollectionAsset = require("../../../nft_module/transactions/create_collection_asset");
+const {
+  getCollection,
+  MAX_COLLECTION_NAME_LENGTH,
+  MAX_COLLECTION_SUPPLY,
+} = require("../../../nft_module/collection");
+const { createAccount, createStateStore, validateAsset, applyAsset } = require("../../utils/assets");
+
+describe("CreateCollectionAsset", () => {
+  const asset = { name: "collection", symbol: "COL1", maxSupply: 100 };
+
+  describe("validate", () => {
+    const validate = (properties) => validateAsset(CreateCollectionAsset, { ...asset, ...properties });
+
+    it("should reject names, symbols and supplies out of range", () => {
+      expect(() => validate({})).not.toThrow();
+      expect(() => validate({ name: "" })).toThrow(
+        `The collection name needs to be between 1 and ${MAX_COLLECTION_NAME_LENGTH} characters.`
+      );
+      expect(() => validate({ symbol: "col" })).toThrow(
+        "The collection symbol needs to be 1 to 10 uppercase letters or digits."
+      );
+      expect(() => validate({ symbol: "COLLECTIONS" })).toThrow(
+        "The collection symbol needs to be 1 to 10 uppercase letters or digits."
+      );
+      expect(() => validate({ maxSupply: 0 })).toThrow(
+        `The collection maximum supply needs to be between 1 and ${MAX_COLLECTION_SUPPLY}.`
+      );
+      expect(() => validate({ maxSupply: MAX_COLLECTION_SUPPLY + 1 })).toThrow(
+        `The collection maximum supply needs to be between 1 and ${MAX_COLLECTION_SUPPLY}.`
+      );
+    });
+  });
+
+  describe("apply", () => {
+    it("should save the collection under the transaction id with the sender as creator", async () => {
+      const creator = createAccount();
+      const stateStore = createStateStore([creator]);
+      const id = Buffer.alloc(32, 9);
+
+      await applyAsset(new CreateCollectionAsset(), {
+        asset,
+        transaction: { id, senderAddress: creator.address },
+        stateStore,
+      });
+
+      expect(await getCollection(stateStore, id)).toEqual({
+        id,
+        ...asset,
+        creatorAddress: creator.address,
+        tokenIds: [],
+      });
+    });
+  });
+});
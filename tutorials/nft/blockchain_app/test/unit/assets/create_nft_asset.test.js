@@ -0,0 +1,101 @@
+const { cryptography } = require("lisk-sdk");
+const CreateNFTAsset = require("../../../nft_module/transactions/create_nft_asset");
+const {
+  getNFTToken,
+  computeNFTTokenId,
+  MAX_ROYALTY_PERCENTAGE,
+  MAX_METADATA_URI_LENGTH,
+  MAX_ATTRIBUTES,
+} = require("../../../nft_module/nft");
+const { createAccount, createStateStore, validateAsset, applyAsset } = require("../../utils/assets");
+
+describe("CreateNFTAsset", () => {
+  const asset = {
+    name: "token",
+    initValue: BigInt(1000),
+    minPurchaseMargin: 10,
+    royaltyPercentage: 5,
+    metadataURI: "ipfs://token",
+    contentHash: cryptography.hash(Buffer.from("content")),
+    attributes: [{ key: "color", value: "blue" }],
+    collectionId: Buffer.alloc(0),
+  };
+
+  describe("validate", () => {
+    const validate = (properties) => validateAsset(CreateNFTAsset, { ...asset, ...properties });
+
+    it("should accept an nft with and without metadata", () => {
+      expect(() => validate({})).not.toThrow();
+      expect(() => validate({ metadataURI: "", contentHash: Buffer.alloc(0), attributes: [] })).not.toThrow();
+    });
+
+    it("should reject values, margins and royalties out of range", () => {
+      expect(() => validate({ initValue: BigInt(0) })).toThrow("NFT init value is too low.");
+      expect(() => validate({ minPurchaseMargin: 101 })).toThrow(
+        "The NFT minimum purchase value needs to be between 0 and 100."
+      );
+      expect(() => validate({ royaltyPercentage: MAX_ROYALTY_PERCENTAGE + 1 })).toThrow(
+        `The NFT royalty percentage needs to be between 0 and ${MAX_ROYALTY_PERCENTAGE}.`
+      );
+    });
+
+    it("should reject metadata over the size limits", () => {
+      expect(() => validate({ metadataURI: "a".repeat(MAX_METADATA_URI_LENGTH + 1) })).toThrow(
+        `The NFT metadata URI can not be longer than ${MAX_METADATA_URI_LENGTH} characters.`
+      );
+      expect(() => validate({ contentHash: Buffer.alloc(20) })).toThrow(
+        "The NFT content hash needs to be a 32 bytes sha256 hash."
+      );
+      expect(() =>
+        validate({
+          attributes: Array.from({ length: MAX_ATTRIBUTES + 1 }, (_, i) => ({ key: `key${i}`, value: "" })),
+        })
+      ).toThrow(`An NFT can not have more than ${MAX_ATTRIBUTES} attributes.`);
+      expect(() => validate({ attributes: [{ key: "", value: "blue" }] })).toThrow(
+        "An NFT attribute key needs to be between 1 and 32 characters."
+      );
+      expect(() =>
+        validate({ attributes: [{ key: "color", value: "blue" }, { key: "color", value: "red" }] })
+      ).toThrow("The NFT attribute color is defined more than once.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should mint the nft with its metadata, the sender as creator and debit its value", async () => {
+      const owner = createAccount();
+      const stateStore = createStateStore([owner]);
+      const reducerHandler = { invoke: jest.fn() };
+      const nonce = BigInt(3);
+      const id = computeNFTTokenId(owner.address, nonce);
+
+      await applyAsset(new CreateNFTAsset(), {
+        asset,
+        transaction: { senderAddress: owner.address, nonce },
+        stateStore,
+        reducerHandler,
+      });
+
+      expect(await getNFTToken(stateStore, id)).toEqual({
+        id,
+        name: "token",
+        value: BigInt(1000),
+        minPurchaseMargin: 10,
+        ownerAddress: owner.address,
+        listed: false,
+        listingPrice: BigInt(0),
+        auctionId: Buffer.alloc(0),
+        creatorAddress: owner.address,
+        royaltyPercentage: 5,
+        metadataURI: "ipfs://token",
+        contentHash: asset.contentHash,
+        attributes: [{ key: "color", value: "blue" }],
+        collectionId: Buffer.alloc(0),
+      });
+      expect((await stateStore.account.get(owner.address)).nft.ownNFTs).toEqual([id]);
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:debit", {
+        address: owner.address,
+        amount: BigInt(1000),
+      });
+    });
+  });
+});
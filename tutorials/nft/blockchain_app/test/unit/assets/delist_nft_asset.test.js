@@ -0,0 +1,51 @@
+const DelistNFTAsset = require("../../../nft_module/transactions/delist_nft_asset");
+const { getNFTToken } = require("../../../nft_module/nft");
+const { createAccount, createStateStore, mintToken, applyAsset } = require("../../utils/assets");
+
+describe("DelistNFTAsset", () => {
+  let owner;
+  let stateStore;
+  let token;
+
+  const delist = (senderAddress = owner.address) =>
+    applyAsset(new DelistNFTAsset(), {
+      asset: { nftId: token.id },
+      transaction: { senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner]);
+    token = await mintToken(stateStore, owner, { listed: true, listingPrice: BigInt(1500) });
+  });
+
+  describe("apply", () => {
+    it("should remove the listing", async () => {
+      await delist();
+
+      expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+        listed: false,
+        listingPrice: BigInt(0),
+      });
+    });
+
+    it("should reject a sender who does not own the nft", async () => {
+      await expect(delist(createAccount().address)).rejects.toThrow(
+        "An NFT can only be delisted by the owner of the NFT."
+      );
+    });
+
+    it("should reject an nft which is not listed", async () => {
+      await delist();
+
+      await expect(delist()).rejects.toThrow("The NFT is not listed.");
+    });
+
+    it("should reject an unknown nft", async () => {
+      token = { id: Buffer.alloc(32) };
+
+      await expect(delist()).rejects.toThrow("Token id not found");
+    });
+  });
+});
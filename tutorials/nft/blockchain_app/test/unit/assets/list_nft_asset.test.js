@@ -0,0 +1,72 @@
+const ListNFTAsset = require("../../../nft_module/transactions/list_nft_asset");
+const { getNFTToken } = require("../../../nft_module/nft");
+const {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+} = require("../../utils/assets");
+
+describe("ListNFTAsset", () => {
+  let owner;
+  let stateStore;
+  let token;
+
+  const list = (price, senderAddress = owner.address) =>
+    applyAsset(new ListNFTAsset(), {
+      asset: { nftId: token.id, price },
+      transaction: { senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner]);
+    token = await mintToken(stateStore, owner);
+  });
+
+  describe("validate", () => {
+    it("should reject a price of zero", () => {
+      const validate = (price) => validateAsset(ListNFTAsset, { nftId: token.id, price });
+
+      expect(() => validate(BigInt(1))).not.toThrow();
+      expect(() => validate(BigInt(0))).toThrow("NFT listing price is too low.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should list the nft at the asking price", async () => {
+      await list(BigInt(1100));
+
+      expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+        listed: true,
+        listingPrice: BigInt(1100),
+      });
+    });
+
+    it("should reject a price below the minimum purchase value", async () => {
+      await expect(list(BigInt(1099))).rejects.toThrow("NFT listing price is too low. Minimum value: 1100");
+    });
+
+    it("should reject a sender who does not own the nft", async () => {
+      await expect(list(BigInt(1100), createAccount().address)).rejects.toThrow(
+        "An NFT can only be listed by the owner of the NFT."
+      );
+    });
+
+    it("should reject an nft which is already listed", async () => {
+      await list(BigInt(1100));
+
+      await expect(list(BigInt(1200))).rejects.toThrow(
+        "The NFT is already listed. Update the listing price instead."
+      );
+    });
+
+    it("should reject an nft in an auction", async () => {
+      token = await mintToken(stateStore, owner, { auctionId: Buffer.alloc(32, 1) });
+
+      await expect(list(BigInt(1100))).rejects.toThrow("An NFT in an auction can not be listed.");
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const PlaceBidAsset = require("../../../nft_module/transactions/place_bid_asset");
+const { createAuction, addAuction, getAuction } = require("../../../nft_module/auction");
+const {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+} = require("../../utils/assets");
+
+describe("PlaceBidAsset", () => {
+  const auctionId = Buffer.alloc(32, 7);
+  let seller;
+  let bidders;
+  let stateStore;
+  let token;
+  let reducerHandler;
+
+  const bid = (amount, senderAddress = bidders[0].address) =>
+    applyAsset(new PlaceBidAsset(), {
+      asset: { nftId: token.id, amount },
+      transaction: { senderAddress },
+      stateStore,
+      reducerHandler,
+    });
+
+  beforeEach(async () => {
+    seller = createAccount();
+    bidders = [createAccount(), createAccount()];
+    stateStore = createStateStore([seller, ...bidders], 10);
+    token = await mintToken(stateStore, seller, { auctionId });
+    await addAuction(
+      stateStore,
+      createAuction({
+        id: auctionId,
+        nftId: token.id,
+        sellerAddress: seller.address,
+        reservePrice: BigInt(500),
+        startHeight: 5,
+        endHeight: 20,
+      })
+    );
+    reducerHandler = { invoke: jest.fn() };
+  });
+
+  describe("validate", () => {
+    it("should reject an amount of zero", () => {
+      const validate = (amount) => validateAsset(PlaceBidAsset, { nftId: token.id, amount });
+
+      expect(() => validate(BigInt(1))).not.toThrow();
+      expect(() => validate(BigInt(0))).toThrow("Bid amount is too low.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should lock the bid and record it as the highest bid", async () => {
+      await bid(BigInt(500));
+
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:debit", {
+        address: bidders[0].address,
+        amount: BigInt(500),
+      });
+      expect(await getAuction(stateStore, auctionId)).toMatchObject({
+        highestBid: BigInt(500),
+        highestBidder: bidders[0].address,
+        bids: [{ bidder: bidders[0].address, amount: BigInt(500), height: 11 }],
+      });
+    });
+
+    it("should refund the previous highest bidder when outbid", async () => {
+      await bid(BigInt(500));
+      reducerHandler.invoke.mockClear();
+
+      await bid(BigInt(600), bidders[1].address);
+
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: bidders[0].address,
+        amount: BigInt(500),
+      });
+      expect((await getAuction(stateStore, auctionId)).highestBidder).toEqual(bidders[1].address);
+    });
+
+    it("should reject a bid below the reserve price", async () => {
+      await expect(bid(BigInt(499))).rejects.toThrow("Bid is lower than the reserve price: 500");
+    });
+
+    it("should reject a bid which does not beat the highest bid", async () => {
+      await bid(BigInt(600));
+
+      await expect(bid(BigInt(600), bidders[1].address)).rejects.toThrow(
+        "Bid must be higher than the current highest bid: 600"
+      );
+    });
+
+    it("should reject a bid of the seller", async () => {
+      await expect(bid(BigInt(500), seller.address)).rejects.toThrow(
+        "The seller can not bid on their own auction."
+      );
+    });
+
+    it("should reject a bid after the end height", async () => {
+      stateStore.chain.lastBlockHeaders = [{ height: 20 }];
+
+      await expect(bid(BigInt(500))).rejects.toThrow("The auction has ended.");
+    });
+
+    it("should reject an nft which is not in an auction", async () => {
+      token = await mintToken(stateStore, seller);
+
+      await expect(bid(BigInt(500))).rejects.toThrow("The NFT is not in an auction.");
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const PurchaseNFTAsset = require("../../../nft_module/transactions/purchase_nft_asset");
+const { getNFTToken, getRoyaltiesAsJSON } = require("../../../nft_module/nft");
+const { createAccount, createStateStore, mintToken, applyAsset } = require("../../utils/assets");
+
+describe("PurchaseNFTAsset", () => {
+  let creator;
+  let seller;
+  let purchaser;
+  let stateStore;
+  let token;
+  let reducerHandler;
+
+  const purchase = (purchaseValue, senderAddress = purchaser.address) =>
+    applyAsset(new PurchaseNFTAsset(), {
+      asset: { nftId: token.id, purchaseValue },
+      transaction: { senderAddress },
+      stateStore,
+      reducerHandler,
+    });
+
+  beforeEach(async () => {
+    creator = createAccount();
+    seller = createAccount();
+    purchaser = createAccount();
+    stateStore = createStateStore([creator, seller, purchaser]);
+    token = await mintToken(stateStore, seller, {
+      creatorAddress: creator.address,
+      royaltyPercentage: 10,
+      listed: true,
+      listingPrice: BigInt(2000),
+    });
+    reducerHandler = { invoke: jest.fn() };
+  });
+
+  describe("apply", () => {
+    it("should move the nft to the purchaser and close the listing", async () => {
+      await purchase(BigInt(2000));
+
+      expect((await stateStore.account.get(seller.address)).nft.ownNFTs).toEqual([]);
+      expect((await stateStore.account.get(purchaser.address)).nft.ownNFTs).toEqual([token.id]);
+      expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+        ownerAddress: purchaser.address,
+        value: BigInt(2000),
+        listed: false,
+        listingPrice: BigInt(0),
+      });
+    });
+
+    it("should pay the seller and the royalty of the creator", async () => {
+      await purchase(BigInt(2000));
+
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:debit", {
+        address: purchaser.address,
+        amount: BigInt(2000),
+      });
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: seller.address,
+        amount: BigInt(1800),
+      });
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: creator.address,
+        amount: BigInt(200),
+      });
+      const dataAccess = { getChainState: (key) => stateStore.chain.get(key) };
+      expect(await getRoyaltiesAsJSON(dataAccess, creator.address)).toEqual({
+        creatorAddress: creator.address.toString("hex"),
+        total: "200",
+      });
+    });
+
+    it("should pay the whole price to the seller of an nft without a creator", async () => {
+      token = await mintToken(stateStore, seller, {
+        creatorAddress: Buffer.alloc(0),
+        royaltyPercentage: 10,
+        listed: true,
+        listingPrice: BigInt(2000),
+      });
+
+      await purchase(BigInt(2000));
+
+      expect(reducerHandler.invoke).toHaveBeenCalledTimes(2);
+      expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+        address: seller.address,
+        amount: BigInt(2000),
+      });
+    });
+
+    it("should drop the approval given for the nft", async () => {
+      const spender = createAccount().address;
+      const account = await stateStore.account.get(seller.address);
+      account.nft.tokenApprovals = [{ nftId: token.id, spender }];
+      await stateStore.account.set(seller.address, account);
+
+      await purchase(BigInt(2000));
+
+      expect((await stateStore.account.get(seller.address)).nft.tokenApprovals).toEqual([]);
+    });
+
+    it("should reject a purchase value below the listing price", async () => {
+      await expect(purchase(BigInt(1999))).rejects.toThrow(
+        "Token can not be purchased. Purchase value is too low. Listing price: 2000"
+      );
+    });
+
+    it("should reject an nft which is not listed", async () => {
+      token = await mintToken(stateStore, seller);
+
+      await expect(purchase(BigInt(2000))).rejects.toThrow("This NFT token is not listed for sale");
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const SetApprovalForAllAsset = require("../../../nft_module/transactions/set_approval_for_all_asset");
+const { createAccount, createStateStore, validateAsset, applyAsset } = require("../../utils/assets");
+
+describe("SetApprovalForAllAsset", () => {
+  let owner;
+  let operator;
+  let stateStore;
+
+  const setApprovalForAll = (approved, operatorAddress = operator.address) =>
+    applyAsset(new SetApprovalForAllAsset(), {
+      asset: { operator: operatorAddress, approved },
+      transaction: { senderAddress: owner.address },
+      stateStore,
+    });
+
+  const getOperators = async () => (await stateStore.account.get(owner.address)).nft.operators;
+
+  beforeEach(() => {
+    owner = createAccount();
+    operator = createAccount();
+    stateStore = createStateStore([owner]);
+  });
+
+  describe("validate", () => {
+    it("should reject an operator which is not a 20 bytes address", () => {
+      const validate = (operatorAddress) =>
+        validateAsset(SetApprovalForAllAsset, { operator: operatorAddress, approved: true });
+
+      expect(() => validate(operator.address)).not.toThrow();
+      expect(() => validate(Buffer.alloc(0))).toThrow("The operator needs to be a 20 bytes address.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should add the operator once", async () => {
+      await setApprovalForAll(true);
+      await setApprovalForAll(true);
+
+      expect(await getOperators()).toEqual([operator.address]);
+    });
+
+    it("should remove the operator", async () => {
+      await setApprovalForAll(true);
+      await setApprovalForAll(false);
+
+      expect(await getOperators()).toEqual([]);
+    });
+
+    it("should reject the sender as its own operator", async () => {
+      await expect(setApprovalForAll(true, owner.address)).rejects.toThrow(
+        "An account can not be an operator of itself."
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const StartAuctionAsset = require("../../../nft_module/transactions/start_auction_asset");
+const { getNFTToken } = require("../../../nft_module/nft");
+const { getAuction, getAuctionsEndingAt, MAX_AUCTION_DURATION } = require("../../../nft_module/auction");
+const {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+} = require("../../utils/assets");
+
+describe("StartAuctionAsset", () => {
+  const transactionId = Buffer.alloc(32, 7);
+  let owner;
+  let stateStore;
+  let token;
+
+  const start = (asset = {}, senderAddress = owner.address) =>
+    applyAsset(new StartAuctionAsset(), {
+      asset: { nftId: token.id, reservePrice: BigInt(500), endHeight: 20, ...asset },
+      transaction: { id: transactionId, senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner], 10);
+    token = await mintToken(stateStore, owner);
+  });
+
+  describe("validate", () => {
+    it("should reject a reserve price of zero", () => {
+      const validate = (reservePrice) =>
+        validateAsset(StartAuctionAsset, { nftId: token.id, reservePrice, endHeight: 20 });
+
+      expect(() => validate(BigInt(1))).not.toThrow();
+      expect(() => validate(BigInt(0))).toThrow("Auction reserve price is too low.");
+    });
+  });
+
+  describe("apply", () => {
+    it("should save the auction, lock the nft and index the auction by its end height", async () => {
+      await start();
+
+      expect(await getAuction(stateStore, transactionId)).toMatchObject({
+        nftId: token.id,
+        sellerAddress: owner.address,
+        reservePrice: BigInt(500),
+        startHeight: 11,
+        endHeight: 20,
+        settled: false,
+      });
+      expect((await getNFTToken(stateStore, token.id)).auctionId).toEqual(transactionId);
+      expect((await getAuctionsEndingAt(stateStore, 20)).map((auction) => auction.id)).toEqual([transactionId]);
+    });
+
+    it("should reject an end height which is not after the next block", async () => {
+      await expect(start({ endHeight: 11 })).rejects.toThrow(
+        "Auction end height must be after the current height."
+      );
+    });
+
+    it("should reject an auction longer than the maximum duration", async () => {
+      await expect(start({ endHeight: 11 + MAX_AUCTION_DURATION })).rejects.toThrow(
+        `Auction can not run for more than ${MAX_AUCTION_DURATION} blocks.`
+      );
+    });
+
+    it("should reject a sender who does not own the nft", async () => {
+      await expect(start({}, createAccount().address)).rejects.toThrow(
+        "An NFT can only be auctioned by the owner of the NFT."
+      );
+    });
+
+    it("should reject a listed nft", async () => {
+      token = await mintToken(stateStore, owner, { listed: true, listingPrice: BigInt(1500) });
+
+      await expect(start()).rejects.toThrow(
+        "The NFT is listed for sale. Delist it before starting an auction."
+      );
+    });
+
+    it("should reject an nft which is already in an auction", async () => {
+      await start();
+
+      await expect(start()).rejects.toThrow("The NFT is already in an auction.");
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const UpdateNFTListingPriceAsset = require("../../../nft_module/transactions/update_nft_listing_price_asset");
+const { getNFTToken } = require("../../../nft_module/nft");
+const { createAccount, createStateStore, mintToken, applyAsset } = require("../../utils/assets");
+
+describe("UpdateNFTListingPriceAsset", () => {
+  let owner;
+  let stateStore;
+  let token;
+
+  const update = (price, senderAddress = owner.address) =>
+    applyAsset(new UpdateNFTListingPriceAsset(), {
+      asset: { nftId: token.id, price },
+      transaction: { senderAddress },
+      stateStore,
+    });
+
+  beforeEach(async () => {
+    owner = createAccount();
+    stateStore = createStateStore([owner]);
+    token = await mintToken(stateStore, owner, { listed: true, listingPrice: BigInt(1500) });
+  });
+
+  describe("apply", () => {
+    it("should replace the asking price", async () => {
+      await update(BigInt(1200));
+
+      expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+        listed: true,
+        listingPrice: BigInt(1200),
+      });
+    });
+
+    it("should reject a price below the minimum purchase value", async () => {
+      await expect(update(BigInt(1000))).rejects.toThrow("NFT listing price is too low. Minimum value: 1100");
+    });
+
+    it("should reject a sender who does not own the nft", async () => {
+      await expect(update(BigInt(1200), createAccount().address)).rejects.toThrow(
+        "An NFT listing can only be updated by the owner of the NFT."
+      );
+    });
+
+    it("should reject an nft which is not listed", async () => {
+      token = await mintToken(stateStore, owner);
+
+      await expect(update(BigInt(1200))).rejects.toThrow("The NFT is not listed.");
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { getNFTToken } = require("../../nft_module/nft");
+const {
+  createAuction,
+  addAuction,
+  getAuction,
+  setAuction,
+  settleAuctionsEndingAt,
+} = require("../../nft_module/auction");
+const { createAccount, createStateStore, mintToken } = require("../utils/assets");
+
+describe("settleAuctionsEndingAt", () => {
+  const auctionId = Buffer.alloc(32, 7);
+  let creator;
+  let seller;
+  let bidder;
+  let stateStore;
+  let token;
+  let auction;
+  let reducerHandler;
+
+  beforeEach(async () => {
+    creator = createAccount();
+    seller = createAccount();
+    bidder = createAccount();
+    stateStore = createStateStore([creator, seller, bidder], 19);
+    token = await mintToken(stateStore, seller, {
+      auctionId,
+      creatorAddress: creator.address,
+      royaltyPercentage: 5,
+    });
+    auction = createAuction({
+      id: auctionId,
+      nftId: token.id,
+      sellerAddress: seller.address,
+      reservePrice: BigInt(500),
+      startHeight: 5,
+      endHeight: 20,
+    });
+    await addAuction(stateStore, auction);
+    reducerHandler = { invoke: jest.fn() };
+  });
+
+  it("should hand the nft to the highest bidder and pay the seller and the creator", async () => {
+    await setAuction(stateStore, { ...auction, highestBid: BigInt(1000), highestBidder: bidder.address });
+
+    await settleAuctionsEndingAt(stateStore, reducerHandler, 20);
+
+    expect((await stateStore.account.get(seller.address)).nft.ownNFTs).toEqual([]);
+    expect((await stateStore.account.get(bidder.address)).nft.ownNFTs).toEqual([token.id]);
+    expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+      ownerAddress: bidder.address,
+      value: BigInt(1000),
+      auctionId: Buffer.alloc(0),
+    });
+    expect(await getAuction(stateStore, auctionId)).toMatchObject({
+      settled: true,
+      winnerAddress: bidder.address,
+    });
+    expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+      address: seller.address,
+      amount: BigInt(950),
+    });
+    expect(reducerHandler.invoke).toHaveBeenCalledWith("token:credit", {
+      address: creator.address,
+      amount: BigInt(50),
+    });
+  });
+
+  it("should unlock the nft for the seller when nobody bid", async () => {
+    await settleAuctionsEndingAt(stateStore, reducerHandler, 20);
+
+    expect((await stateStore.account.get(seller.address)).nft.ownNFTs).toEqual([token.id]);
+    expect(await getNFTToken(stateStore, token.id)).toMatchObject({
+      ownerAddress: seller.address,
+      auctionId: Buffer.alloc(0),
+    });
+    expect(await getAuction(stateStore, auctionId)).toMatchObject({
+      settled: true,
+      winnerAddress: Buffer.alloc(0),
+    });
+    expect(reducerHandler.invoke).not.toHaveBeenCalled();
+  });
+
+  it("should leave auctions ending at other heights", async () => {
+    expect(await settleAuctionsEndingAt(stateStore, reducerHandler, 21)).toEqual([]);
+    expect((await getAuction(stateStore, auctionId)).settled).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+const { testing, cryptography } = require("lisk-sdk");
+const { createNFTToken, setNFTToken } = require("../../nft_module/nft");
+
+// Account with a random address and no nfts, `nft` replaces its fields
+const createAccount = (nft = {}) => ({
+  address: cryptography.getRandomBytes(20),
+  nft: {
+    ownNFTs: [],
+    tokenApprovals: [],
+    operators: [],
+    ...nft,
+  },
+});
+
+// State store of the accounts with the given height as the last block
+const createStateStore = (accounts, height = 10) =>
+  new testing.mocks.StateStoreMock({
+    accounts,
+    lastBlockHeaders: [{ height }],
+  });
+
+// Mints a token of `owner` with the given properties and adds it to the owner account
+const mintToken = async (stateStore, owner, props = {}) => {
+  const token = {
+    ...createNFTToken({
+      name: "token",
+      ownerAddress: owner.address,
+      nonce: BigInt(Math.floor(Math.random() * 1e9)),
+      value: BigInt(1000),
+      minPurchaseMargin: 10,
+    }),
+    ...props,
+  };
+  await setNFTToken(stateStore, token);
+
+  const account = await stateStore.account.get(owner.address);
+  account.nft.ownNFTs.push(token.id);
+  await stateStore.account.set(owner.address, account);
+
+  return token;
+};
+
+const validateAsset = (Asset, asset, transaction) =>
+  new Asset().validate(testing.createValidateAssetContext({ asset, transaction }));
+
+// Applies the asset on the state store of the context, which is returned to check the changed accounts and chain state
+const applyAsset = async (asset, params) => {
+  const context = testing.createApplyAssetContext({
+    reducerHandler: { invoke: jest.fn() },
+    ...params,
+  });
+  await asset.apply(context);
+  return context;
+};
+
+module.exports = {
+  createAccount,
+  createStateStore,
+  mintToken,
+  validateAsset,
+  applyAsset,
+};
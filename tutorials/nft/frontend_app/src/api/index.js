@@ -22,10 +22,11 @@ export const sendTransactions = async (tx) => {
     .then((res) => res.data);
 };
 
-export const fetchAllNFTTokens = async () => {
-  return fetch("http://localhost:8080/api/nft_tokens")
+export const fetchNFTTokens = async (params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return fetch(`http://localhost:8080/api/nft_tokens?${query}`)
     .then((res) => res.json())
-    .then((res) => res.data);
+    .then((res) => ({ data: res.data, meta: res.meta }));
 };
 
 export const fetchNFTToken = async (id) => {
@@ -34,10 +35,21 @@ export const fetchNFTToken = async (id) => {
     .then((res) => res.data);
 };
 
-export const getAllTransactions = async () => {
-  return fetch(`http://localhost:8080/api/transactions`)
+// Calls the handler of each event type, e.g. `{ created: (event) => {} }`, for the NFT events of every
+// new block, optionally filtered by `nftId` or `owner`. Returns a function closing the subscription.
+export const subscribeToNFTEvents = (params, handlers) => {
+  const query = new URLSearchParams(params).toString();
+  const source = new EventSource(`http://localhost:8080/api/events?${query}`);
+  for (const [type, handler] of Object.entries(handlers)) {
+    source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+  }
+
+  return () => source.close();
+};
+
+export const fetchTransactions = async (params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return fetch(`http://localhost:8080/api/transactions?${query}`)
     .then((res) => res.json())
-    .then((res) => {
-      return res.data;
-    });
+    .then((res) => ({ data: res.data, meta: res.meta }));
 };
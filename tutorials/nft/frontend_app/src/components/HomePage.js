@@ -1,17 +1,42 @@
 import React, { Fragment, useEffect, useState } from "react";
 import NFTToken from "./NFTToken";
 import { Grid } from "@material-ui/core";
-import { fetchAllNFTTokens } from "../api";
+import TablePagination from "@material-ui/core/TablePagination";
+import { fetchNFTTokens, subscribeToNFTEvents } from "../api";
 
 function HomePage() {
   const [NFTAccounts, setNFTAccounts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(12);
+  const [updates, setUpdates] = useState(0);
+
+  // reload the page when tokens are created or burned, the tokens themselves follow their own changes
+  useEffect(() => {
+    const reload = () => setUpdates((count) => count + 1);
+    return subscribeToNFTEvents({}, { created: reload, burned: reload });
+  }, []);
 
   useEffect(() => {
     async function fetchData() {
-      setNFTAccounts(await fetchAllNFTTokens());
+      const { data, meta } = await fetchNFTTokens({
+        offset: page * rowsPerPage,
+        limit: rowsPerPage,
+      });
+      setNFTAccounts(data);
+      setTotal(meta.total);
     }
     fetchData();
-  }, []);
+  }, [page, rowsPerPage, updates]);
+
+  const handleChangePage = (event, newPage) => {
+    setPage(newPage);
+  };
+
+  const handleChangeRowsPerPage = (event) => {
+    setRowsPerPage(+event.target.value);
+    setPage(0);
+  };
 
   return (
     <Fragment>
@@ -22,6 +47,15 @@ function HomePage() {
           </Grid>
         ))}
       </Grid>
+      <TablePagination
+        rowsPerPageOptions={[12, 24, 48]}
+        component="div"
+        count={total}
+        rowsPerPage={rowsPerPage}
+        page={page}
+        onChangePage={handleChangePage}
+        onChangeRowsPerPage={handleChangeRowsPerPage}
+      />
     </Fragment>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   Card,
   CardContent,
@@ -14,6 +14,9 @@ import { transactions, cryptography, Buffer } from "@liskhq/lisk-client";
 
 import PurchaseNFTTokenDialog from "./dialogs/PurchaseNFTTokenDialog";
 import TransferNFTDialog from "./dialogs/TransferNFTDialog";
+import ListNFTDialog from "./dialogs/ListNFTDialog";
+import DelistNFTDialog from "./dialogs/DelistNFTDialog";
+import { fetchNFTToken, subscribeToNFTEvents } from "../api";
 
 const useStyles = makeStyles((theme) => ({
   propertyList: {
@@ -44,24 +47,82 @@ export default function NFTToken(props) {
   const classes = useStyles();
   const [openPurchase, setOpenPurchase] = useState(false);
   const [openTransfer, setOpenTransfer] = useState(false);
-  const base32UIAddress = cryptography.getBase32AddressFromAddress(Buffer.from(props.item.ownerAddress, 'hex'), 'lsk').toString('binary');
+  const [openList, setOpenList] = useState(false);
+  const [openDelist, setOpenDelist] = useState(false);
+  const [item, setItem] = useState(props.item);
+
+  useEffect(() => {
+    setItem(props.item);
+  }, [props.item]);
+
+  // reload the token when it is sold, transferred or its listing changes
+  useEffect(() => {
+    const reload = async () => {
+      const token = await fetchNFTToken(props.item.id);
+      if (token) {
+        setItem(token);
+      }
+    };
+    return subscribeToNFTEvents(
+      { nftId: props.item.id },
+      { purchased: reload, transferred: reload, priceChanged: reload },
+    );
+  }, [props.item.id]);
+  const base32UIAddress = cryptography.getBase32AddressFromAddress(Buffer.from(item.ownerAddress, 'hex'), 'lsk').toString('binary');
+  const base32CreatorAddress = item.creatorAddress
+    ? cryptography.getBase32AddressFromAddress(Buffer.from(item.creatorAddress, 'hex'), 'lsk').toString('binary')
+    : undefined;
   return (
     <Card>
       <CardContent>
-        <Typography variant="h6">{props.item.name}</Typography>
+        <Typography variant="h6">{item.name}</Typography>
         <Divider />
         <dl className={classes.propertyList}>
           <li>
             <dt>Token ID</dt>
-            <dd>{props.item.id}</dd>
+            <dd>{item.id}</dd>
           </li>
           <li>
             <dt>Token value</dt>
-            <dd>{transactions.convertBeddowsToLSK(props.item.value)}</dd>
+            <dd>{transactions.convertBeddowsToLSK(item.value)}</dd>
           </li>
           <li>
             <dt>Minimum Purchase Margin</dt>
-            <dd>{props.item.minPurchaseMargin}</dd>
+            <dd>{item.minPurchaseMargin}</dd>
+          </li>
+          {item.metadataURI && (
+            <li>
+              <dt>Metadata</dt>
+              <dd>
+                <Link href={item.metadataURI} target="_blank" rel="noopener">
+                  {item.metadataURI}
+                </Link>
+              </dd>
+            </li>
+          )}
+          {item.contentHash && (
+            <li>
+              <dt>Content Hash</dt>
+              <dd>{item.contentHash}</dd>
+            </li>
+          )}
+          {item.attributes && item.attributes.map((attribute) => (
+            <li key={attribute.key}>
+              <dt>{attribute.key}</dt>
+              <dd>{attribute.value}</dd>
+            </li>
+          ))}
+          <li>
+            <dt>Creator Royalty</dt>
+            <dd>{item.royaltyPercentage}%</dd>
+          </li>
+          <li>
+            <dt>Listing price</dt>
+            <dd>
+              {item.listed
+                ? transactions.convertBeddowsToLSK(item.listingPrice)
+                : "Not listed"}
+            </dd>
           </li>
           {!props.minimum && (
             <li>
@@ -76,24 +137,43 @@ export default function NFTToken(props) {
               </dd>
             </li>
           )}
-        </dl>
-        <Typography variant="h6">NFT History</Typography>
-        <Divider />
-        {props.item.tokenHistory.map((base32UIAddress) => (
-          <dl className={classes.propertyList}>
+          {!props.minimum && base32CreatorAddress && (
             <li>
+              <dt>Creator</dt>
               <dd>
                 <Link
                   component={RouterLink}
-                  to={`/accounts/${base32UIAddress}`}
+                  to={`/accounts/${base32CreatorAddress}`}
                 >
-                  {base32UIAddress}
+                  {base32CreatorAddress}
                 </Link>
               </dd>
             </li>
+          )}
+        </dl>
+        <Typography variant="h6">NFT History</Typography>
+        <Divider />
+        {item.tokenHistory.map((record) => (
+          <dl
+            className={classes.propertyList}
+            key={`${record.transactionId}-${record.height}-${record.type}`}
+          >
+            <li>
+              <dt>
+                {record.type} at height {record.height}
+                {record.type === "purchased" &&
+                  ` for ${transactions.convertBeddowsToLSK(record.price)} LSK`}
+              </dt>
+              {record.to && (
+                <dd>
+                  <Link component={RouterLink} to={`/accounts/${record.to}`}>
+                    {record.to}
+                  </Link>
+                </dd>
+              )}
+            </li>
           </dl>
         ))}
-
       </CardContent>
       <CardActions>
         <>
@@ -111,11 +191,45 @@ export default function NFTToken(props) {
             handleClose={() => {
               setOpenTransfer(false);
             }}
-            token={props.item}
+            token={item}
           />
         </>
-        {props.item.minPurchaseMargin > 0 ? (
+        <>
+          <Button
+            size="small"
+            color="primary"
+            onClick={() => {
+              setOpenList(true);
+            }}
+          >
+            {item.listed ? "Change Price" : "List NFT"}
+          </Button>
+          <ListNFTDialog
+            open={openList}
+            handleClose={() => {
+              setOpenList(false);
+            }}
+            token={item}
+          />
+        </>
+        {item.listed ? (
           <>
+            <Button
+              size="small"
+              color="primary"
+              onClick={() => {
+                setOpenDelist(true);
+              }}
+            >
+              Delist NFT
+            </Button>
+            <DelistNFTDialog
+              open={openDelist}
+              handleClose={() => {
+                setOpenDelist(false);
+              }}
+              token={item}
+            />
             <Button
               size="small"
               color="primary"
@@ -130,11 +244,11 @@ export default function NFTToken(props) {
               handleClose={() => {
                 setOpenPurchase(false);
               }}
-              token={props.item}
+              token={item}
             />
           </>
         ) : (
-          <Typography variant="body">Can't purchase this token</Typography>
+          <Typography variant="body">Not for sale</Typography>
         )}
       </CardActions>
     </Card>
@@ -8,7 +8,7 @@ import TableContainer from '@material-ui/core/TableContainer';
 import TableHead from '@material-ui/core/TableHead';
 import TablePagination from '@material-ui/core/TablePagination';
 import TableRow from '@material-ui/core/TableRow';
-import { getAllTransactions } from "../api";
+import { fetchTransactions } from "../api";
 import { cryptography, Buffer } from '@liskhq/lisk-client';
 
 const columns = [
@@ -32,13 +32,19 @@ export default function TransactionsPage() {
   const [page, setPage] = React.useState(0);
   const [rowsPerPage, setRowsPerPage] = React.useState(10);
   const [Transactions, setTransactions] = React.useState([]);
+  const [total, setTotal] = React.useState(0);
 
   React.useEffect(() => {
     async function fetchData() {
-      setTransactions(await getAllTransactions());
+      const { data, meta } = await fetchTransactions({
+        offset: page * rowsPerPage,
+        limit: rowsPerPage,
+      });
+      setTransactions(data);
+      setTotal(meta.total);
     }
     fetchData();
-  }, []);
+  }, [page, rowsPerPage]);
 
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
@@ -67,7 +73,7 @@ export default function TransactionsPage() {
             </TableRow>
           </TableHead>
           <TableBody>
-            {Transactions.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage).map((row) => {
+            {Transactions.map((row) => {
               return (
                 <TableRow hover role="checkbox" tabIndex={-1} key={row.code}>
                   {columns.map((column) => {
@@ -99,7 +105,7 @@ export default function TransactionsPage() {
       <TablePagination
         rowsPerPageOptions={[10, 25, 100]}
         component="div"
-        count={Transactions.length}
+        count={total}
         rowsPerPage={rowsPerPage}
         page={page}
         onChangePage={handleChangePage}
@@ -6,10 +6,16 @@ import {
   TextField,
   Button,
   DialogActions,
+  FormControlLabel,
+  Switch,
 } from "@material-ui/core";
 import { makeStyles } from "@material-ui/core/styles";
 import { NodeInfoContext } from "../../context";
 import { createNFTToken } from "../../utils/transactions/create_nft_token";
+import {
+  batchCreateNFTTokens,
+  parseNFTCsv,
+} from "../../utils/transactions/batch_create_nft_tokens";
 import * as api from "../../api";
 
 const useStyles = makeStyles((theme) => ({
@@ -27,18 +33,51 @@ export default function CreateNFTTokenDialog(props) {
     name: "",
     initValue: "",
     minPurchaseMargin: "",
+    royaltyPercentage: "",
+    metadataURI: "",
+    contentHash: "",
+    attributes: "",
+    collectionId: "",
+    csv: "",
     fee: "",
     passphrase: "",
   });
+  const [csvMode, setCsvMode] = useState(false);
 
   const handleChange = (event) => {
     event.persist();
     setData({ ...data, [event.target.name]: event.target.value });
   };
 
+  const handleCsvFile = (event) => {
+    const [file] = event.target.files;
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setData({ ...data, csv: reader.result });
+    reader.readAsText(file);
+  };
+
   const handleSend = async (event) => {
     event.preventDefault();
 
+    if (csvMode) {
+      const batches = await batchCreateNFTTokens({
+        items: parseNFTCsv(data.csv),
+        collectionId: data.collectionId,
+        passphrase: data.passphrase,
+        fee: data.fee,
+        networkIdentifier: nodeInfo.networkIdentifier,
+        minFeePerByte: nodeInfo.minFeePerByte,
+      });
+      for (const res of batches) {
+        await api.sendTransactions(res.tx);
+      }
+      props.handleClose();
+      return;
+    }
+
     const res = await createNFTToken({
       ...data,
       networkIdentifier: nodeInfo.networkIdentifier,
@@ -54,25 +93,94 @@ export default function CreateNFTTokenDialog(props) {
         <DialogTitle id="alert-dialog-title">{"Create NFT"}</DialogTitle>
         <DialogContent>
           <form className={classes.root} noValidate autoComplete="off">
-            <TextField
-              label="Name"
-              value={data.name}
-              name="name"
-              onChange={handleChange}
-              fullWidth
-            />
-            <TextField
-              label="Initial Token value"
-              value={data.initValue}
-              name="initValue"
-              onChange={handleChange}
-              fullWidth
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={csvMode}
+                  onChange={(event) => setCsvMode(event.target.checked)}
+                  color="primary"
+                />
+              }
+              label="Import from CSV"
             />
+            {csvMode ? (
+              <>
+                <Button component="label" size="small" color="primary">
+                  Upload CSV
+                  <input type="file" accept=".csv,text/csv" hidden onChange={handleCsvFile} />
+                </Button>
+                <TextField
+                  label="CSV"
+                  value={data.csv}
+                  name="csv"
+                  onChange={handleChange}
+                  helperText="name,initValue,minPurchaseMargin,royaltyPercentage,metadataURI,contentHash,attributes (key=value;key=value), one NFT per line"
+                  multiline
+                  rows={8}
+                  fullWidth
+                />
+              </>
+            ) : (
+              <>
+                <TextField
+                  label="Name"
+                  value={data.name}
+                  name="name"
+                  onChange={handleChange}
+                  fullWidth
+                />
+                <TextField
+                  label="Initial Token value"
+                  value={data.initValue}
+                  name="initValue"
+                  onChange={handleChange}
+                  fullWidth
+                />
+                <TextField
+                  label="Minimum Purchase Margin (0 - 100)"
+                  value={data.minPurchaseMargin}
+                  name="minPurchaseMargin"
+                  onChange={handleChange}
+                  fullWidth
+                />
+                <TextField
+                  label="Creator Royalty Percentage (0 - 50)"
+                  value={data.royaltyPercentage}
+                  name="royaltyPercentage"
+                  onChange={handleChange}
+                  fullWidth
+                />
+                <TextField
+                  label="Metadata URI (optional)"
+                  value={data.metadataURI}
+                  name="metadataURI"
+                  onChange={handleChange}
+                  fullWidth
+                />
+                <TextField
+                  label="Content Hash (optional)"
+                  value={data.contentHash}
+                  name="contentHash"
+                  onChange={handleChange}
+                  helperText="Hex encoded sha256 hash of the file the NFT represents."
+                  fullWidth
+                />
+                <TextField
+                  label="Attributes (optional)"
+                  value={data.attributes}
+                  name="attributes"
+                  onChange={handleChange}
+                  helperText="Comma separated key=value pairs, e.g. color=red, size=large"
+                  fullWidth
+                />
+              </>
+            )}
             <TextField
-              label="Minimum Purchase Margin (0 - 100)"
-              value={data.minPurchaseMargin}
-              name="minPurchaseMargin"
+              label="Collection ID (optional)"
+              value={data.collectionId}
+              name="collectionId"
               onChange={handleChange}
+              helperText="Only the creator of a collection can mint into it."
               fullWidth
             />
             <TextField
@@ -92,7 +200,7 @@ export default function CreateNFTTokenDialog(props) {
           </form>
         </DialogContent>
         <DialogActions>
-          <Button onClick={handleSend}>Create NFT</Button>
+          <Button onClick={handleSend}>{csvMode ? "Create NFTs" : "Create NFT"}</Button>
         </DialogActions>
       </Dialog>
     </Fragment>
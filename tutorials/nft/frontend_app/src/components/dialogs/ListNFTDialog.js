@@ -0,0 +1,112 @@
+import React, { Fragment, useContext, useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  TextField,
+  Button,
+  DialogActions,
+} from "@material-ui/core";
+import { makeStyles } from "@material-ui/core/styles";
+import { NodeInfoContext } from "../../context";
+import { listNFT, updateNFTListingPrice } from "../../utils/transactions/list_nft";
+import * as api from "../../api";
+import { transactions } from "@liskhq/lisk-client";
+
+const useStyles = makeStyles((theme) => ({
+  root: {
+    "& .MuiTextField-root": {
+      margin: theme.spacing(1),
+    },
+  },
+}));
+
+// Lists the token for sale, or changes the asking price when it is already listed
+export default function ListNFTDialog(props) {
+  const nodeInfo = useContext(NodeInfoContext);
+  const classes = useStyles();
+  const currentValue = parseFloat(
+    transactions.convertBeddowsToLSK(props.token.value)
+  );
+  const minPurchaseMargin = parseFloat(props.token.minPurchaseMargin);
+  const minListingPrice =
+    currentValue + (currentValue * minPurchaseMargin) / 100.0;
+  const title = props.token.listed ? "Change listing price" : "List NFT for sale";
+
+  const [data, setData] = useState({
+    name: props.token.name,
+    nftId: props.token.id,
+    price: "",
+    fee: "",
+    passphrase: "",
+  });
+
+  const handleChange = (event) => {
+    event.persist();
+    setData({ ...data, [event.target.name]: event.target.value });
+  };
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+
+    const createTransaction = props.token.listed ? updateNFTListingPrice : listNFT;
+    const res = await createTransaction({
+      ...data,
+      networkIdentifier: nodeInfo.networkIdentifier,
+      minFeePerByte: nodeInfo.minFeePerByte,
+    });
+    await api.sendTransactions(res.tx);
+    props.handleClose();
+  };
+
+  return (
+    <Fragment>
+      <Dialog open={props.open} onBackdropClick={props.handleClose}>
+        <DialogTitle id="alert-dialog-title">{title}</DialogTitle>
+        <DialogContent>
+          <form className={classes.root} noValidate autoComplete="off">
+            <TextField
+              label="Token Name"
+              value={data.name}
+              name="name"
+              onChange={handleChange}
+              fullWidth
+            />
+            <TextField
+              label="Token ID"
+              value={data.nftId}
+              name="nftId"
+              onChange={handleChange}
+              fullWidth
+            />
+            <TextField
+              label="Asking Price"
+              value={data.price}
+              name="price"
+              onChange={handleChange}
+              helperText={`Minimum listing price: ${minListingPrice}`}
+              fullWidth
+            />
+            <TextField
+              label="Fee"
+              value={data.fee}
+              name="fee"
+              onChange={handleChange}
+              fullWidth
+            />
+            <TextField
+              label="Passphrase"
+              value={data.passphrase}
+              name="passphrase"
+              onChange={handleChange}
+              fullWidth
+            />
+          </form>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleSend}>{title}</Button>
+        </DialogActions>
+      </Dialog>
+    </Fragment>
+  );
+}
@@ -24,12 +24,7 @@ const useStyles = makeStyles((theme) => ({
 export default function PurchaseNFTTokenDialog(props) {
   const nodeInfo = useContext(NodeInfoContext);
   const classes = useStyles();
-  const currentValue = parseFloat(
-    transactions.convertBeddowsToLSK(props.token.value)
-  );
-  const minPurchaseMargin = parseFloat(props.token.minPurchaseMargin);
-  const minPurchaseValue =
-    currentValue + (currentValue * minPurchaseMargin) / 100.0;
+  const listingPrice = transactions.convertBeddowsToLSK(props.token.listingPrice);
 
   const [data, setData] = useState({
     name: props.token.name,
@@ -83,7 +78,7 @@ export default function PurchaseNFTTokenDialog(props) {
               value={data.purchaseValue}
               name="purchaseValue"
               onChange={handleChange}
-              helperText={`Minimum purchase value: ${minPurchaseValue}`}
+              helperText={`Listing price: ${listingPrice}`}
               fullWidth
             />
             <TextField
@@ -0,0 +1,113 @@
+/* global BigInt */
+
+import { transactions, codec, cryptography } from "@liskhq/lisk-client";
+import { getFullAssetSchema, calcMinTxFee } from "../common";
+import { fetchAccountInfo } from "../../api";
+import { createNFTTokenSchema } from "./create_nft_token";
+
+// Largest number of NFTs the blockchain app accepts in one batch transaction
+export const MAX_BATCH_SIZE = 50;
+
+export const batchCreateNFTTokensSchema = {
+  $id: "lisk/nft/batchCreate",
+  type: "object",
+  required: ["items"],
+  properties: {
+    items: {
+      type: "array",
+      fieldNumber: 1,
+      items: {
+        type: "object",
+        required: createNFTTokenSchema.required,
+        properties: createNFTTokenSchema.properties,
+      },
+    },
+  },
+};
+
+// One NFT per line: name,initValue,minPurchaseMargin,royaltyPercentage,metadataURI,contentHash,attributes
+// where attributes are key=value pairs separated by ";". A header line starting with "name" is skipped.
+export const parseNFTCsv = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.toLowerCase().startsWith("name,"))
+    .map((line) => {
+      const [
+        name,
+        initValue,
+        minPurchaseMargin,
+        royaltyPercentage,
+        metadataURI,
+        contentHash,
+        attributes,
+      ] = line.split(",").map((cell) => cell.trim());
+
+      return {
+        name,
+        initValue: BigInt(transactions.convertLSKToBeddows(initValue)),
+        minPurchaseMargin: parseInt(minPurchaseMargin || 0),
+        royaltyPercentage: parseInt(royaltyPercentage || 0),
+        metadataURI: metadataURI || "",
+        contentHash: Buffer.from(contentHash || "", "hex"),
+        attributes: (attributes || "")
+          .split(";")
+          .filter((pair) => pair.length > 0)
+          .map((pair) => {
+            const [key, ...value] = pair.split("=");
+            return { key: key.trim(), value: value.join("=").trim() };
+          }),
+      };
+    });
+
+// Signs one batchCreateNFT transaction per MAX_BATCH_SIZE items with consecutive nonces,
+// all items are minted into `collectionId` when it is given
+export const batchCreateNFTTokens = async ({
+  items,
+  collectionId,
+  passphrase,
+  fee,
+  networkIdentifier,
+  minFeePerByte,
+}) => {
+  const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
+    passphrase
+  );
+  const address = cryptography.getAddressFromPassphrase(passphrase).toString("hex");
+
+  const {
+    sequence: { nonce },
+  } = await fetchAccountInfo(address);
+
+  const batches = [];
+  for (let i = 0; i < items.length; i += MAX_BATCH_SIZE) {
+    batches.push(items.slice(i, i + MAX_BATCH_SIZE));
+  }
+
+  return batches.map((batch, index) => {
+    const { id, ...rest } = transactions.signTransaction(
+      batchCreateNFTTokensSchema,
+      {
+        moduleID: 1024,
+        assetID: 9,
+        nonce: BigInt(nonce) + BigInt(index),
+        fee: BigInt(transactions.convertLSKToBeddows(fee)),
+        senderPublicKey: publicKey,
+        asset: {
+          items: batch.map((item) => ({
+            ...item,
+            collectionId: Buffer.from(collectionId || "", "hex"),
+          })),
+        },
+      },
+      Buffer.from(networkIdentifier, "hex"),
+      passphrase
+    );
+
+    return {
+      id: id.toString("hex"),
+      tx: codec.codec.toJSON(getFullAssetSchema(batchCreateNFTTokensSchema), rest),
+      minFee: calcMinTxFee(batchCreateNFTTokensSchema, minFeePerByte, rest),
+    };
+  });
+};
@@ -21,13 +21,63 @@ export const createNFTTokenSchema = {
       dataType: "string",
       fieldNumber: 3,
     },
+    royaltyPercentage: {
+      dataType: "uint32",
+      fieldNumber: 4,
+    },
+    metadataURI: {
+      dataType: "string",
+      fieldNumber: 5,
+    },
+    contentHash: {
+      dataType: "bytes",
+      fieldNumber: 6,
+    },
+    attributes: {
+      type: "array",
+      fieldNumber: 7,
+      items: {
+        type: "object",
+        required: ["key", "value"],
+        properties: {
+          key: {
+            dataType: "string",
+            fieldNumber: 1,
+          },
+          value: {
+            dataType: "string",
+            fieldNumber: 2,
+          },
+        },
+      },
+    },
+    collectionId: {
+      dataType: "bytes",
+      fieldNumber: 8,
+    },
   },
 };
 
+// "key=value" pairs separated by commas become the attribute list of the token
+export const parseAttributes = (text = "") =>
+  text
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.length > 0)
+    .map((pair) => {
+      const [key, ...value] = pair.split("=");
+      return { key: key.trim(), value: value.join("=").trim() };
+    });
+
 export const createNFTToken = async ({
   name,
   initValue,
   minPurchaseMargin,
+  royaltyPercentage,
+  metadataURI,
+  contentHash,
+  attributes,
+  collectionId,
   passphrase,
   fee,
   networkIdentifier,
@@ -54,6 +104,11 @@ export const createNFTToken = async ({
         name,
         initValue: BigInt(transactions.convertLSKToBeddows(initValue)),
         minPurchaseMargin: parseInt(minPurchaseMargin),
+        royaltyPercentage: parseInt(royaltyPercentage || 0),
+        metadataURI: metadataURI || "",
+        contentHash: Buffer.from(contentHash || "", "hex"),
+        attributes: parseAttributes(attributes),
+        collectionId: Buffer.from(collectionId || "", "hex"),
       },
     },
     Buffer.from(networkIdentifier, "hex"),
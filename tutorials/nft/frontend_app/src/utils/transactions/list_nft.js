@@ -0,0 +1,119 @@
+/* global BigInt */
+
+import { transactions, codec, cryptography } from "@liskhq/lisk-client";
+import { getFullAssetSchema, calcMinTxFee } from "../common";
+import { fetchAccountInfo } from "../../api";
+
+export const listNFTSchema = {
+  $id: "lisk/nft/list",
+  type: "object",
+  required: ["nftId", "price"],
+  properties: {
+    nftId: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+    price: {
+      dataType: "uint64",
+      fieldNumber: 2,
+    },
+  },
+};
+
+export const updateNFTListingPriceSchema = {
+  $id: "lisk/nft/updateListingPrice",
+  type: "object",
+  required: ["nftId", "price"],
+  properties: {
+    nftId: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+    price: {
+      dataType: "uint64",
+      fieldNumber: 2,
+    },
+  },
+};
+
+export const delistNFTSchema = {
+  $id: "lisk/nft/delist",
+  type: "object",
+  required: ["nftId"],
+  properties: {
+    nftId: {
+      dataType: "bytes",
+      fieldNumber: 1,
+    },
+  },
+};
+
+const signNFTListingTransaction = async ({
+  schema,
+  assetID,
+  asset,
+  passphrase,
+  fee,
+  networkIdentifier,
+  minFeePerByte,
+}) => {
+  const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
+    passphrase
+  );
+  const address = cryptography.getAddressFromPassphrase(passphrase);
+  const {
+    sequence: { nonce },
+  } = await fetchAccountInfo(address.toString("hex"));
+
+  const { id, ...rest } = transactions.signTransaction(
+    schema,
+    {
+      moduleID: 1024,
+      assetID,
+      nonce: BigInt(nonce),
+      fee: BigInt(transactions.convertLSKToBeddows(fee)),
+      senderPublicKey: publicKey,
+      asset,
+    },
+    Buffer.from(networkIdentifier, "hex"),
+    passphrase
+  );
+
+  return {
+    id: id.toString("hex"),
+    tx: codec.codec.toJSON(getFullAssetSchema(schema), rest),
+    minFee: calcMinTxFee(schema, minFeePerByte, rest),
+  };
+};
+
+export const listNFT = async ({ nftId, price, ...options }) =>
+  signNFTListingTransaction({
+    ...options,
+    schema: listNFTSchema,
+    assetID: 3,
+    asset: {
+      nftId: Buffer.from(nftId, "hex"),
+      price: BigInt(transactions.convertLSKToBeddows(price)),
+    },
+  });
+
+export const updateNFTListingPrice = async ({ nftId, price, ...options }) =>
+  signNFTListingTransaction({
+    ...options,
+    schema: updateNFTListingPriceSchema,
+    assetID: 4,
+    asset: {
+      nftId: Buffer.from(nftId, "hex"),
+      price: BigInt(transactions.convertLSKToBeddows(price)),
+    },
+  });
+
+export const delistNFT = async ({ nftId, ...options }) =>
+  signNFTListingTransaction({
+    ...options,
+    schema: delistNFTSchema,
+    assetID: 5,
+    asset: {
+      nftId: Buffer.from(nftId, "hex"),
+    },
+  });
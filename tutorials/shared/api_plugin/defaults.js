@@ -0,0 +1,76 @@
+// Options of the http api shared by the api plugins of the tutorials, `properties`, `required` and `defaults`
+// add the options of a plugin
+const createAPIConfig = ({ properties = {}, required = [], defaults = {} } = {}) => ({
+  type: 'object',
+  properties: {
+    port: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 65535,
+    },
+    host: {
+      type: 'string',
+      format: 'ip',
+    },
+    // ips allowed to use the api, every ip is allowed when it is empty
+    whiteList: {
+      type: 'array',
+      items: {
+        type: 'string',
+        format: 'ip',
+      },
+    },
+    cors: {
+      type: 'object',
+      properties: {
+        origin: {
+          anyOf: [
+            { type: 'string' },
+            { type: 'boolean' },
+            { type: 'array', items: { type: 'string' } },
+          ],
+        },
+        methods: {
+          type: 'array',
+          items: {
+            type: 'string',
+          },
+        },
+      },
+      required: ['origin'],
+    },
+    // requests allowed per ip within `windowMs` milliseconds, `max` 0 disables the limit
+    limits: {
+      type: 'object',
+      properties: {
+        max: {
+          type: 'integer',
+          minimum: 0,
+        },
+        windowMs: {
+          type: 'integer',
+          minimum: 1,
+        },
+      },
+      required: ['max', 'windowMs'],
+    },
+    ...properties,
+  },
+  required: ['port', 'host', 'whiteList', 'cors', 'limits', ...required],
+  default: {
+    port: 8080,
+    host: '0.0.0.0',
+    whiteList: [],
+    cors: {
+      origin: '*',
+      methods: ['GET', 'POST', 'PUT'],
+    },
+    limits: {
+      max: 0,
+      windowMs: 60000,
+    },
+    ...defaults,
+  },
+});
+
+module.exports = { createAPIConfig };
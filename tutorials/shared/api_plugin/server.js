@@ -0,0 +1,70 @@
+// ips of ipv4 clients connected over ipv6 are reported as ::ffff:<ipv4>
+const getClientIp = (req) => req.ip.replace(/^::ffff:/, '');
+
+// Rejects requests from ips which are not in the white list, an empty white list allows every ip
+const whiteListMiddleware = (whiteList) => (req, res, next) => {
+  if (whiteList.length > 0 && !whiteList.includes(getClientIp(req))) {
+    res.status(403).json({ errors: [{ message: 'Access denied' }] });
+    return;
+  }
+  next();
+};
+
+// Rejects requests of an ip once it sent `max` requests within the current window of `windowMs` milliseconds
+const rateLimitMiddleware = ({ max, windowMs }) => {
+  const requests = new Map();
+  let windowStart = Date.now();
+
+  return (req, res, next) => {
+    if (max === 0) {
+      next();
+      return;
+    }
+    if (Date.now() - windowStart >= windowMs) {
+      requests.clear();
+      windowStart = Date.now();
+    }
+    const ip = getClientIp(req);
+    const count = (requests.get(ip) || 0) + 1;
+    requests.set(ip, count);
+    if (count > max) {
+      res.status(429).json({ errors: [{ message: 'Too many requests, try again later' }] });
+      return;
+    }
+    next();
+  };
+};
+
+// Responds to request bodies which are not valid json like the validation errors of the request schemas
+const jsonErrorMiddleware = (err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') {
+    next(err);
+    return;
+  }
+  res.status(400).json({ errors: [{ message: 'Request body is not valid JSON.', path: '' }] });
+};
+
+// Starts the http server of an express app, a port which is already in use fails with a clear error
+const listen = (app, { port, host }, alias) =>
+  new Promise((resolve, reject) => {
+    const server = app.listen(port, host);
+    server.once('listening', () => {
+      resolve(server);
+    });
+    server.once('error', (err) => {
+      if (err.code === 'EADDRINUSE') {
+        reject(
+          new Error(`Port ${port} on ${host} is already in use. Set another port in the options of the ${alias} plugin.`)
+        );
+        return;
+      }
+      reject(err);
+    });
+  });
+
+module.exports = {
+  whiteListMiddleware,
+  rateLimitMiddleware,
+  jsonErrorMiddleware,
+  listen,
+};
@@ -0,0 +1,164 @@
+// Same as the default of the token module when the genesis config does not set it
+const DEFAULT_MIN_REMAINING_BALANCE = '5000000';
+
+// State store reading the current chain state, the changes of a dry run are only kept in memory
+const createDryRunStateStore = async (dataAccess) => {
+  const chainState = new Map();
+  const accounts = new Map();
+  const getAccount = async (address) => {
+    const key = address.toString('hex');
+    if (!accounts.has(key)) {
+      accounts.set(key, await dataAccess.getAccountByAddress(address));
+    }
+    return accounts.get(key);
+  };
+
+  return {
+    chain: {
+      lastBlockHeaders: [await dataAccess.getLastBlockHeader()],
+      get: async (key) => (chainState.has(key) ? chainState.get(key) : dataAccess.getChainState(key)),
+      set: async (key, value) => {
+        chainState.set(key, value);
+      },
+    },
+    account: {
+      get: getAccount,
+      set: async (address, account) => {
+        accounts.set(address.toString('hex'), account);
+      },
+    },
+  };
+};
+
+// Reducers of the token module the assets of the tutorials use, working on the balances of the dry run state store.
+// The assets only change balances of accounts which exist, like the sender, sellers, creators and lost accounts.
+const createDryRunReducerHandler = (stateStore, minRemainingBalance) => {
+  const changeBalance = async (address, amount) => {
+    const account = await stateStore.account.get(address);
+    account.token.balance += amount;
+    if (account.token.balance < minRemainingBalance) {
+      throw new Error(`Remaining balance must be greater than ${minRemainingBalance.toString()}`);
+    }
+    await stateStore.account.set(address, account);
+  };
+
+  return {
+    invoke: async (name, params) => {
+      switch (name) {
+        case 'token:credit':
+          return changeBalance(params.address, params.amount);
+        case 'token:debit':
+          return changeBalance(params.address, -params.amount);
+        case 'token:getBalance':
+          return (await stateStore.account.get(params.address)).token.balance;
+        case 'token:getMinRemainingBalance':
+          return minRemainingBalance;
+        default:
+          throw new Error(`Reducer ${name} is not available in a dry run`);
+      }
+    },
+  };
+};
+
+// Checks a transaction of the module against the current chain state without applying it. The asset
+// schema, the `validate` and `apply` of the asset, the nonce and the balance of the sender are checked.
+// Returns the errors the transaction would fail with and, once its asset is decoded, its minimum fee computed with the
+// `minFeePerByte` and the `baseFees` of the genesis config. Unsigned transactions are checked as if they had a single signature.
+// The helper is shared by the modules of the tutorials, which pass the `lisk-sdk` of their application.
+const createDryRunTransaction = (liskSDK) => async (module, encodedTransaction) => {
+  const { Transaction, codec, transactions, validator } = liskSDK;
+  const transaction = Transaction.decode(Buffer.from(encodedTransaction, 'hex'));
+  if (transaction.moduleID !== module.id) {
+    throw new Error(`Transaction is not a transaction of the ${module.name} module.`);
+  }
+  const minRemainingBalance = BigInt(module.config.minRemainingBalance || DEFAULT_MIN_REMAINING_BALANCE);
+  const errors = [];
+  let minFee;
+  const result = () => ({
+    errors: errors.map((message) => ({ message })),
+    minFee: minFee === undefined ? undefined : minFee.toString(),
+  });
+
+  const transactionAsset = module.transactionAssets.find((a) => a.id === transaction.assetID);
+  if (!transactionAsset) {
+    errors.push(`Asset id ${transaction.assetID} is not registered in the ${module.name} module.`);
+    return result();
+  }
+
+  // 1.the asset has to match the asset schema and pass the validation of the asset
+  let asset;
+  try {
+    asset = codec.decode(transactionAsset.schema, transaction.asset);
+  } catch (err) {
+    errors.push(`Asset can not be decoded: ${err.message}`);
+    return result();
+  }
+  minFee = transactions.computeMinFee(
+    transactionAsset.schema,
+    {
+      moduleID: transaction.moduleID,
+      assetID: transaction.assetID,
+      nonce: transaction.nonce,
+      fee: transaction.fee,
+      senderPublicKey: transaction.senderPublicKey,
+      asset,
+    },
+    {
+      minFeePerByte: module.config.minFeePerByte,
+      baseFees: module.config.baseFees,
+      numberOfSignatures: Math.max(transaction.signatures.length, 1),
+    },
+  );
+  if (transaction.fee < minFee) {
+    errors.push(`Insufficient transaction fee. Minimum required fee is: ${minFee.toString()}`);
+  }
+  const schemaErrors = validator.validator.validate(transactionAsset.schema, asset);
+  if (schemaErrors.length > 0) {
+    errors.push(...schemaErrors.map((error) => `${error.dataPath} ${error.message}`.trim()));
+    return result();
+  }
+  try {
+    // validate is optional for assets
+    if (transactionAsset.validate) {
+      transactionAsset.validate({ asset, transaction });
+    }
+  } catch (err) {
+    errors.push(err.message);
+    return result();
+  }
+
+  // 2.the sender pays the fee from an existing account with the next nonce
+  const stateStore = await createDryRunStateStore(module._dataAccess);
+  const reducerHandler = createDryRunReducerHandler(stateStore, minRemainingBalance);
+  let sender;
+  try {
+    sender = await stateStore.account.get(transaction.senderAddress);
+  } catch (err) {
+    errors.push(`Account ${transaction.senderAddress.toString('hex')} does not exist.`);
+    return result();
+  }
+  if (transaction.nonce < sender.sequence.nonce) {
+    errors.push(
+      `Transaction nonce ${transaction.nonce.toString()} is lower than account nonce ${sender.sequence.nonce.toString()}.`
+    );
+  }
+  sender.token.balance -= transaction.fee;
+
+  // 3.apply the asset on the dry run state store and check the balance the sender keeps
+  try {
+    await transactionAsset.apply({ asset, transaction, stateStore, reducerHandler });
+  } catch (err) {
+    errors.push(err.message);
+    return result();
+  }
+  const { token } = await stateStore.account.get(transaction.senderAddress);
+  if (token.balance < minRemainingBalance) {
+    errors.push(
+      `Account ${sender.address.toString('hex')} does not meet the minimum remaining balance requirement: ${minRemainingBalance.toString()}.`
+    );
+  }
+
+  return result();
+};
+
+module.exports = { createDryRunTransaction };
@@ -22,11 +22,16 @@ genesisBlockDevnet.header.asset.accounts = genesisBlockDevnet.header.asset.accou
 					friends: [],
 					recoveryThreshold: 0,
 					delayPeriod: 0,
+					delayUnit: '',
+					cancelThreshold: 0,
 				},
 				status: {
 					active: false,
 					vouchList: [],
+					cancelVotes: [],
 					created: 0,
+					createdAt: 0,
+					expiresAt: 0,
 					deposit: BigInt(0),
 					rescuer: Buffer.from(''),
 				},
@@ -38,7 +43,10 @@ genesisBlockDevnet.header.asset.accounts = genesisBlockDevnet.header.asset.accou
 // and communityIdentifier to mitigate transaction replay
 const appConfig = utils.objects.mergeDeep({}, configDevnet, {
 	label: 'srs-app',
-	genesisConfig: { communityIdentifier: 'SRS' }, //In order to have a unique networkIdentifier
+	genesisConfig: {
+		communityIdentifier: 'SRS', //In order to have a unique networkIdentifier
+		srsRecoveryExpiryPeriod: 8640, //Blocks after the delay period until an unclaimed recovery expires
+	},
 	logger: {
 		consoleLogLevel: 'info',
 	},
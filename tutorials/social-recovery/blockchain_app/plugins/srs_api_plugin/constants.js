@@ -5,6 +5,9 @@ const SRS_VOUCH_ASSET_ID = 2;
 const SRS_CLAIM_ASSET_ID = 3;
 const SRS_CLOSE_ASSET_ID = 4;
 const SRS_REMOVE_ASSET_ID = 5;
+const SRS_UPDATE_ASSET_ID = 6;
+const SRS_UNVOUCH_ASSET_ID = 7;
+const SRS_CANCEL_ASSET_ID = 8;
 const DEFAULT_FEE = BigInt('200000');
 const TOKEN_MODULE_ID = 2;
 const TOKEN_TRANSFER_ASSET_ID = 0;
@@ -20,4 +23,7 @@ module.exports = {
     SRS_CLAIM_ASSET_ID,
     SRS_CLOSE_ASSET_ID,
     SRS_REMOVE_ASSET_ID,
+    SRS_UPDATE_ASSET_ID,
+    SRS_UNVOUCH_ASSET_ID,
+    SRS_CANCEL_ASSET_ID,
 };
@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { closeRecoverySchema } = require('../schemas');
 const { SRS_MODULE_ID, DEFAULT_FEE, SRS_CLOSE_ASSET_ID } = require('../constants');
 
@@ -30,7 +31,7 @@ const closeRecovery = (
                 moduleID: SRS_MODULE_ID,
                 assetID: SRS_CLOSE_ASSET_ID,
                 nonce: BigInt(nonce),
-                fee: fee || DEFAULT_FEE,
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
                 senderPublicKey: publicKey,
                 asset,
             },
@@ -45,9 +46,7 @@ const closeRecovery = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { createRecoverySchema } = require('../schemas');
 const { SRS_CREATE_ASSET_ID, SRS_MODULE_ID, DEFAULT_FEE } = require('../constants');
 
@@ -10,11 +11,13 @@ const createRecoveryConfigTrs = (
     nodeInfo,
 ) => async (req, res) => {
     try {
-        const { passphrase, friends, delayPeriod, recoveryThreshold, fee } = req.body;
+        const { passphrase, friends, delayPeriod, delayUnit, recoveryThreshold, cancelThreshold, fee } = req.body;
         const asset = {
             friends: friends.map(f => Buffer.from(f, 'hex')),
             delayPeriod: +delayPeriod,
+            delayUnit: delayUnit || '',
             recoveryThreshold: +recoveryThreshold,
+            cancelThreshold: cancelThreshold ? +cancelThreshold : 0,
         };
 
         const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
@@ -32,7 +35,7 @@ const createRecoveryConfigTrs = (
                 moduleID: SRS_MODULE_ID,
                 assetID: SRS_CREATE_ASSET_ID,
                 nonce: BigInt(nonce),
-                fee: fee || DEFAULT_FEE,
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
                 senderPublicKey: publicKey,
                 asset,
             },
@@ -47,9 +50,7 @@ const createRecoveryConfigTrs = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
@@ -0,0 +1,39 @@
+const { transactions } = require('@liskhq/lisk-client');
+const { decodeSignedTransaction } = require('./signed_transaction_api');
+
+// Checks the transaction of the request body against the current chain state without posting it. The
+// transaction may be unsigned, the response lists the errors it would fail with and its minimum fee.
+const dryRunTransaction = (
+    channel,
+    { moduleID, assetID, assetSchema },
+) => async (req, res) => {
+    let encodedTransaction;
+    try {
+        const transaction = decodeSignedTransaction(req.body.transaction, assetSchema);
+        if (transaction.moduleID !== moduleID || transaction.assetID !== assetID) {
+            throw new Error(`Transaction must have moduleID ${moduleID} and assetID ${assetID}.`);
+        }
+        encodedTransaction = transactions.getBytes(assetSchema, transaction).toString('hex');
+    } catch (err) {
+        res.status(400).json({
+            errors: [{ message: `Transaction can not be decoded: ${err.message}`, path: 'transaction' }],
+        });
+        return;
+    }
+
+    try {
+        const result = await channel.invoke('srs:dryRunTransaction', {
+            transaction: encodedTransaction,
+        });
+
+        res.status(200).json({ data: result, meta: {} });
+    } catch (err) {
+        res.status(400).json({
+            errors: [{ message: err.message }],
+        });
+    }
+};
+
+module.exports = {
+    dryRunTransaction,
+};
@@ -1,17 +1,33 @@
 const { initiateRecovery } = require('./initiate_recovery_api');
 const { transferToken } = require('./transfer_token_api');
 const { createRecoveryConfigTrs } = require('./create_recovery_api');
+const { updateRecoveryConfigTrs } = require('./update_recovery_api');
 const { vouchRecovery } = require('./vouch_recovery_api');
+const { unvouchRecovery } = require('./unvouch_recovery_api');
+const { cancelRecovery } = require('./cancel_recovery_api');
 const { claimRecovery } = require('./claim_recovery_api');
 const { closeRecovery } = require('./close_recovery_api');
 const { removeRecovery } = require('./remove_recovery_api');
+const { signedTransaction } = require('./signed_transaction_api');
+const { dryRunTransaction } = require('./dry_run_api');
+const { validateRequest } = require('./validate_request');
+const { getRecovery, getRecoveriesByRescuer, getRecoveriesByFriend } = require('./recovery_query_api');
 
 module.exports = {
     initiateRecovery,
     transferToken,
     createRecoveryConfigTrs,
+    updateRecoveryConfigTrs,
     vouchRecovery,
+    unvouchRecovery,
+    cancelRecovery,
     claimRecovery,
     closeRecovery,
     removeRecovery,
+    signedTransaction,
+    dryRunTransaction,
+    validateRequest,
+    getRecovery,
+    getRecoveriesByRescuer,
+    getRecoveriesByFriend,
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { initiateRecoverySchema } = require('../schemas');
 const { SRS_INITIATE_ASSET_ID, SRS_MODULE_ID, DEFAULT_FEE } = require('../constants');
 
@@ -30,7 +31,7 @@ const initiateRecovery = (
                 moduleID: SRS_MODULE_ID,
                 assetID: SRS_INITIATE_ASSET_ID,
                 nonce: BigInt(nonce),
-                fee: fee || DEFAULT_FEE,
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
                 senderPublicKey: publicKey,
                 asset,
             },
@@ -44,9 +45,7 @@ const initiateRecovery = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
@@ -0,0 +1,38 @@
+const ADDRESS_REGEX = /^[0-9a-f]{40}$/i;
+
+// Responds with the result of an action of the srs module for the hex address of the route
+const recoveryQuery = (
+    channel,
+    action,
+) => async (req, res) => {
+    const { address } = req.params;
+    if (!ADDRESS_REGEX.test(address)) {
+        res.status(400).json({
+            errors: [{ message: 'Address must be a hex string of 20 bytes.', path: 'address' }],
+        });
+        return;
+    }
+
+    try {
+        const result = await channel.invoke(`srs:${action}`, { address });
+
+        res.status(200).json({ data: result, meta: {} });
+    } catch (err) {
+        // accounts which never received a transaction are not found in the chain
+        res.status(/does not exist/.test(err.message) ? 404 : 500).json({
+            errors: [{ message: err.message }],
+        });
+    }
+};
+
+const getRecovery = (channel) => recoveryQuery(channel, 'getRecovery');
+
+const getRecoveriesByRescuer = (channel) => recoveryQuery(channel, 'getRecoveriesByRescuer');
+
+const getRecoveriesByFriend = (channel) => recoveryQuery(channel, 'getRecoveriesByFriend');
+
+module.exports = {
+    getRecovery,
+    getRecoveriesByRescuer,
+    getRecoveriesByFriend,
+};
@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { SRS_MODULE_ID, DEFAULT_FEE, SRS_REMOVE_ASSET_ID } = require('../constants');
 const { removeRecoverySchema } = require('../schemas')
 const removeRecovery = (
@@ -8,34 +9,34 @@ const removeRecovery = (
     channel,
     nodeInfo,
 ) => async (req, res) => {
-    const { passphrase, lostAccount, fee } = req.body;
-    const asset = {
-      lostAccount: Buffer.from(lostAccount, 'hex'),
-    }
-    const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
-        passphrase
-    );
-    const address = cryptography.getAddressFromPassphrase(passphrase);
-    const account = await channel.invoke('app:getAccount', {
-        address,
-    });
-    const { sequence: { nonce } } = codec.decodeAccount(account);
+    try {
+        const { passphrase, lostAccount, fee } = req.body;
+        const asset = {
+          lostAccount: Buffer.from(lostAccount, 'hex'),
+        }
+        const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
+            passphrase
+        );
+        const address = cryptography.getAddressFromPassphrase(passphrase);
+        const account = await channel.invoke('app:getAccount', {
+            address,
+        });
+        const { sequence: { nonce } } = codec.decodeAccount(account);
 
-    const { id, ...tx } = transactions.signTransaction(
-        removeRecoverySchema,
-        {
-            moduleID: SRS_MODULE_ID,
-            assetID: SRS_REMOVE_ASSET_ID,
-            nonce: BigInt(nonce),
-            fee: fee || DEFAULT_FEE,
-            senderPublicKey: publicKey,
-            asset,
-        },
-        Buffer.from(nodeInfo.networkIdentifier, 'hex'),
-        passphrase,
-    );
+        const { id, ...tx } = transactions.signTransaction(
+            removeRecoverySchema,
+            {
+                moduleID: SRS_MODULE_ID,
+                assetID: SRS_REMOVE_ASSET_ID,
+                nonce: BigInt(nonce),
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
+                senderPublicKey: publicKey,
+                asset,
+            },
+            Buffer.from(nodeInfo.networkIdentifier, 'hex'),
+            passphrase,
+        );
 
-    try {
         const encodedTransaction = codec.encodeTransaction(tx);
         const result = await channel.invoke('app:postTransaction', {
           transaction: encodedTransaction,
@@ -43,9 +44,7 @@ const removeRecovery = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
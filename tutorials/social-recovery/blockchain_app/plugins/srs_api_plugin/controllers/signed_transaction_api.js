@@ -0,0 +1,113 @@
+const { transactions, cryptography, codec, validator } = require('@liskhq/lisk-client');
+const { baseAssetSchema } = require('../schemas');
+const { toFieldErrors } = require('./validate_request');
+const { sendTransactionError } = require('./transaction_errors');
+
+// Decodes a signed transaction given either as hex string or as JSON object with a JSON asset
+const decodeSignedTransaction = (transaction, assetSchema) => {
+    if (typeof transaction === 'string') {
+        if (!/^([0-9a-f]{2})+$/i.test(transaction)) {
+            throw new Error('Transaction hex string is invalid.');
+        }
+        const decoded = codec.codec.decode(baseAssetSchema, Buffer.from(transaction, 'hex'));
+        return { ...decoded, asset: codec.codec.decode(assetSchema, decoded.asset) };
+    }
+    if (typeof transaction !== 'object' || transaction === null || typeof transaction.asset !== 'object') {
+        throw new Error('Transaction must be a hex string or a JSON object with an asset object.');
+    }
+
+    return {
+        ...codec.codec.fromJSON(baseAssetSchema, { ...transaction, asset: '' }),
+        asset: codec.codec.fromJSON(assetSchema, transaction.asset),
+    };
+};
+
+// Validates a transaction signed by the client against the asset schema and the network identifier
+// of the node, and returns it encoded as hex
+const getSignedTransactionBytes = (transaction, { moduleID, assetID, assetSchema }, networkIdentifier) => {
+    let transactionObject;
+    try {
+        transactionObject = decodeSignedTransaction(transaction, assetSchema);
+    } catch (err) {
+        throw new Error(`Transaction can not be decoded: ${err.message}`);
+    }
+    if (transactionObject.moduleID !== moduleID || transactionObject.assetID !== assetID) {
+        throw new Error(`Transaction must have moduleID ${moduleID} and assetID ${assetID}.`);
+    }
+    // the asset is validated on its own first, its errors have to point to the asset in the transaction
+    const assetErrors = validator.validator.validate(assetSchema, transactionObject.asset);
+    if (assetErrors.length > 0) {
+        throw new validator.LiskValidationError(
+            assetErrors.map((error) => ({ ...error, dataPath: `.asset${error.dataPath}` })),
+        );
+    }
+    const validationError = transactions.validateTransaction(assetSchema, transactionObject);
+    if (validationError) {
+        throw validationError;
+    }
+    if (transactionObject.signatures.length === 0) {
+        throw new Error('Transaction is not signed.');
+    }
+    const signingBytes = Buffer.concat([
+        networkIdentifier,
+        transactions.getSigningBytes(assetSchema, transactionObject),
+    ]);
+    if (!cryptography.verifyData(signingBytes, transactionObject.signatures[0], transactionObject.senderPublicKey)) {
+        throw new Error('Transaction signature is invalid for the network identifier of this node.');
+    }
+
+    return transactions.getBytes(assetSchema, transactionObject).toString('hex');
+};
+
+// Posts the transaction of the request body when it is signed already. Other requests are passed on to the
+// controller signing with the passphrase of the body, unless passphrase mode is disabled.
+const signedTransaction = (
+    channel,
+    nodeInfo,
+    transactionType,
+    enablePassphraseMode,
+) => async (req, res, next) => {
+    const { transaction } = req.body;
+    if (transaction === undefined) {
+        if (!enablePassphraseMode) {
+            res.status(400).json({
+                errors: [{ message: 'Passphrase mode is disabled, send a signed transaction instead.', path: 'transaction' }],
+            });
+            return;
+        }
+        next();
+        return;
+    }
+
+    let encodedTransaction;
+    try {
+        encodedTransaction = getSignedTransactionBytes(
+            transaction,
+            transactionType,
+            Buffer.from(nodeInfo.networkIdentifier, 'hex'),
+        );
+    } catch (err) {
+        // schema errors of the transaction or its asset point to their field in the transaction
+        res.status(400).json({
+            errors: Array.isArray(err.errors)
+                ? toFieldErrors(transactionType.assetSchema, err.errors, 'transaction')
+                : [{ message: err.message, path: 'transaction' }],
+        });
+        return;
+    }
+
+    try {
+        const result = await channel.invoke('app:postTransaction', {
+            transaction: encodedTransaction,
+        });
+
+        res.status(200).json({ data: result, meta: {} });
+    } catch (err) {
+        sendTransactionError(res, err);
+    }
+};
+
+module.exports = {
+    decodeSignedTransaction,
+    signedTransaction,
+};
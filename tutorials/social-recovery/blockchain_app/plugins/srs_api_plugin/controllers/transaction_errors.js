@@ -0,0 +1,30 @@
+// Error codes of transactions rejected by the node, matched by the message as the error class does not
+// pass the channel. The first matching code is used.
+const TRANSACTION_ERROR_CODES = [
+    { code: 'INVALID_TRANSACTION', pattern: /Lisk validator found|does not exist in module/i },
+    // accounts missing in the database are reported with their key
+    { code: 'ACCOUNT_NOT_FOUND', pattern: /does not exist|^accounts:address:/i },
+    { code: 'POOL_FULL', pattern: /pool is full|maximum transaction limit|fee priority/i },
+    { code: 'DUPLICATE_TRANSACTION', pattern: /already (exists|in pool)/i },
+    { code: 'INVALID_NONCE', pattern: /nonce/i },
+    { code: 'INVALID_SIGNATURE', pattern: /signature/i },
+    { code: 'INSUFFICIENT_FEE', pattern: /fee/i },
+    { code: 'INSUFFICIENT_BALANCE', pattern: /balance/i },
+];
+
+const getTransactionErrorCode = (message) => {
+    const errorCode = TRANSACTION_ERROR_CODES.find(({ pattern }) => pattern.test(message));
+    return errorCode ? errorCode.code : 'TRANSACTION_REJECTED';
+};
+
+// Responds with the error of a transaction the node did not accept
+const sendTransactionError = (res, err) => {
+    res.status(409).json({
+        errors: [{ message: err.message, code: getTransactionErrorCode(err.message) }],
+    });
+};
+
+module.exports = {
+    getTransactionErrorCode,
+    sendTransactionError,
+};
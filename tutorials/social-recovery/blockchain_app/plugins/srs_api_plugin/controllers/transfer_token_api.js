@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { tokenTransferSchema } = require('../schemas');
 const { DEFAULT_FEE, TOKEN_MODULE_ID, TOKEN_TRANSFER_ASSET_ID } = require('../constants')
 
@@ -14,7 +15,7 @@ const transferToken = (
         const asset = {
             recipientAddress: Buffer.from(recipientAddress, 'hex'),
             amount: BigInt(amount),
-            data,
+            data: data || '',
         };
 
         const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
@@ -32,7 +33,7 @@ const transferToken = (
                 moduleID: TOKEN_MODULE_ID,
                 assetID: TOKEN_TRANSFER_ASSET_ID,
                 nonce: BigInt(nonce),
-                fee: fee || DEFAULT_FEE,
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
                 senderPublicKey: publicKey,
                 asset,
             },
@@ -46,9 +47,7 @@ const transferToken = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
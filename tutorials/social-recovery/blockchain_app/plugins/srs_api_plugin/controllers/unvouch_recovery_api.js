@@ -0,0 +1,55 @@
+/* global BigInt */
+
+const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
+const { unvouchRecoverySchema } = require('../schemas');
+const { SRS_UNVOUCH_ASSET_ID, SRS_MODULE_ID, DEFAULT_FEE } = require('../constants');
+
+const unvouchRecovery = (
+    codec,
+    channel,
+    nodeInfo,
+) => async (req, res) => {
+    try {
+        const { passphrase, lostAccount, rescuer, fee } = req.body;
+        const asset = {
+            lostAccount: Buffer.from(lostAccount, 'hex'),
+            rescuer: Buffer.from(rescuer, 'hex'),
+        };
+
+        const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(
+            passphrase
+        );
+        const address = cryptography.getAddressFromPassphrase(passphrase);
+        const account = await channel.invoke('app:getAccount', {
+            address,
+        });
+        const { sequence: { nonce } } = codec.decodeAccount(account);
+
+        const { id, ...tx } = transactions.signTransaction(
+            unvouchRecoverySchema,
+            {
+                moduleID: SRS_MODULE_ID,
+                assetID: SRS_UNVOUCH_ASSET_ID,
+                nonce: BigInt(nonce),
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
+                senderPublicKey: publicKey,
+                asset,
+            },
+            Buffer.from(nodeInfo.networkIdentifier, 'hex'),
+            passphrase,
+        );
+        const encodedTransaction = codec.encodeTransaction(tx);
+        const result = await channel.invoke('app:postTransaction', {
+          transaction: encodedTransaction,
+        });
+
+        res.status(200).json({ data: result, meta: {} });
+      } catch (err) {
+        sendTransactionError(res, err);
+      }
+};
+
+module.exports = {
+    unvouchRecovery,
+};
@@ -0,0 +1,41 @@
+const { validator } = require('@liskhq/lisk-client');
+const { signedTransactionRequestSchema } = require('../request_schemas');
+
+// Schema at the `schemaPath` of a validation error, e.g. `#/properties/delayPeriod/anyOf`
+const getSchemaAtPath = (schema, schemaPath) => schemaPath
+    .split('/')
+    .slice(1)
+    .reduce((subSchema, key) => (subSchema ? subSchema[key] : undefined), schema);
+
+// Converts validation errors into the `{ message, path }` errors of the api, `path` is the field of the
+// request body with the error. Errors of the single schemas of an `anyOf` are reported as one error.
+const toFieldErrors = (schema, errors, basePath = '') => errors
+    .filter((error) => !error.schemaPath.includes('/anyOf/'))
+    .map((error) => {
+        const field = error.params.missingProperty || error.params.additionalProperty;
+        const path = [basePath, error.dataPath.replace(/^\./, ''), field].filter(Boolean).join('.');
+        if (error.keyword === 'anyOf') {
+            const { description } = getSchemaAtPath(schema, error.schemaPath.replace(/\/anyOf$/, '')) || {};
+            return { message: description || error.message, path };
+        }
+
+        return { message: error.message, path };
+    });
+
+// Rejects request bodies which do not match the schema of a signed transaction or, without a
+// `transaction` in the body, the request schema of the route
+const validateRequest = (requestSchema) => (req, res, next) => {
+    const body = req.body || {};
+    const schema = body.transaction === undefined ? requestSchema : signedTransactionRequestSchema;
+    const errors = validator.validator.validate(schema, body);
+    if (errors.length > 0) {
+        res.status(400).json({ errors: toFieldErrors(schema, errors) });
+        return;
+    }
+    next();
+};
+
+module.exports = {
+    toFieldErrors,
+    validateRequest,
+};
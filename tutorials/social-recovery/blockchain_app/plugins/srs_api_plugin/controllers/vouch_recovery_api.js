@@ -1,6 +1,7 @@
 /* global BigInt */
 
 const { transactions, cryptography } = require('@liskhq/lisk-client');
+const { sendTransactionError } = require('./transaction_errors');
 const { vouchRecoverySchema } = require('../schemas');
 const { SRS_VOUCH_ASSET_ID, SRS_MODULE_ID, DEFAULT_FEE } = require('../constants');
 
@@ -31,7 +32,7 @@ const vouchRecovery = (
                 moduleID: SRS_MODULE_ID,
                 assetID: SRS_VOUCH_ASSET_ID,
                 nonce: BigInt(nonce),
-                fee: fee || DEFAULT_FEE,
+                fee: fee ? BigInt(fee) : DEFAULT_FEE,
                 senderPublicKey: publicKey,
                 asset,
             },
@@ -45,9 +46,7 @@ const vouchRecovery = (
 
         res.status(200).json({ data: result, meta: {} });
       } catch (err) {
-        res.status(409).json({
-          errors: [{ message: err.message }],
-        });
+        sendTransactionError(res, err);
       }
 };
 
@@ -0,0 +1,16 @@
+const { createAPIConfig } = require('../../../../shared/api_plugin/defaults');
+
+const defaultConfig = createAPIConfig({
+  properties: {
+    // sign transactions with a passphrase sent in the request body, only signed transactions are accepted when disabled
+    enablePassphraseMode: {
+      type: 'boolean',
+    },
+  },
+  required: ['enablePassphraseMode'],
+  defaults: {
+    enablePassphraseMode: true,
+  },
+});
+
+module.exports = { defaultConfig };
@@ -0,0 +1,159 @@
+// JSON schemas of the request bodies of the api, a body either has a `transaction` signed by the client
+// or the `passphrase` and the asset fields of the transaction which the api signs. The `description` of
+// an `anyOf` schema is the error message when none of its schemas match.
+
+const address = {
+  type: 'string',
+  format: 'hex',
+  minLength: 40,
+  maxLength: 40,
+};
+
+// numbers may be sent as json numbers or as numeric strings
+const uint32 = {
+  description: 'should be an integer or a numeric string',
+  anyOf: [
+    { type: 'integer', minimum: 0, maximum: 4294967295 },
+    { type: 'string', format: 'uint32' },
+  ],
+};
+
+const uint64 = {
+  type: 'string',
+  format: 'uint64',
+};
+
+const passphraseRequestProperties = {
+  passphrase: {
+    type: 'string',
+    minLength: 1,
+  },
+  fee: uint64,
+};
+
+const passphraseRequestSchema = ($id, properties, required) => ({
+  $id,
+  type: 'object',
+  required: ['passphrase', ...required],
+  properties: {
+    ...passphraseRequestProperties,
+    ...properties,
+  },
+});
+
+const signedTransactionRequestSchema = {
+  $id: 'srs/api/signedTransaction',
+  type: 'object',
+  required: ['transaction'],
+  properties: {
+    transaction: {
+      description: 'should be a hex string or a JSON object with an asset',
+      anyOf: [
+        { type: 'string', format: 'hex', minLength: 2 },
+        { type: 'object', required: ['asset'], properties: { asset: { type: 'object' } } },
+      ],
+    },
+  },
+};
+
+const tokenTransferRequestSchema = passphraseRequestSchema(
+  'srs/api/token/transfer',
+  {
+    amount: uint64,
+    recipientAddress: address,
+    data: {
+      type: 'string',
+      maxLength: 64,
+    },
+  },
+  ['amount', 'recipientAddress'],
+);
+
+// fields of a recovery configuration, set on creation and replaced by an update
+const recoveryConfigProperties = {
+  friends: {
+    type: 'array',
+    minItems: 1,
+    // MAX_RECOVERY_FRIENDS of the srs module
+    maxItems: 10,
+    uniqueItems: true,
+    items: address,
+  },
+  delayPeriod: uint32,
+  // the delay period counts blocks by default
+  delayUnit: {
+    type: 'string',
+    enum: ['blocks', 'seconds'],
+  },
+  recoveryThreshold: uint32,
+  // votes of friends needed to cancel a recovery, 0 (default) when friends cannot cancel recoveries
+  cancelThreshold: uint32,
+};
+
+const createRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/create',
+  recoveryConfigProperties,
+  ['friends', 'delayPeriod', 'recoveryThreshold'],
+);
+
+const updateRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/update',
+  recoveryConfigProperties,
+  ['friends', 'delayPeriod', 'recoveryThreshold'],
+);
+
+const initiateRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/initiate',
+  { lostAccount: address },
+  ['lostAccount'],
+);
+
+const vouchRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/vouch',
+  { rescuer: address, lostAccount: address },
+  ['rescuer', 'lostAccount'],
+);
+
+const unvouchRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/unvouch',
+  { rescuer: address, lostAccount: address },
+  ['rescuer', 'lostAccount'],
+);
+
+const cancelRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/cancel',
+  { rescuer: address, lostAccount: address },
+  ['rescuer', 'lostAccount'],
+);
+
+const claimRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/claim',
+  { lostAccount: address },
+  ['lostAccount'],
+);
+
+const closeRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/close',
+  { rescuer: address },
+  ['rescuer'],
+);
+
+const removeRecoveryRequestSchema = passphraseRequestSchema(
+  'srs/api/recovery/remove',
+  { lostAccount: address },
+  ['lostAccount'],
+);
+
+module.exports = {
+  signedTransactionRequestSchema,
+  tokenTransferRequestSchema,
+  createRecoveryRequestSchema,
+  updateRecoveryRequestSchema,
+  initiateRecoveryRequestSchema,
+  vouchRecoveryRequestSchema,
+  unvouchRecoveryRequestSchema,
+  cancelRecoveryRequestSchema,
+  claimRecoveryRequestSchema,
+  closeRecoveryRequestSchema,
+  removeRecoveryRequestSchema,
+};
@@ -57,6 +57,45 @@ const createRecoverySchema = {
 			dataType: 'uint32',
 			fieldNumber: 3,
 		},
+		delayUnit: {
+			dataType: 'string',
+			fieldNumber: 4,
+		},
+		cancelThreshold: {
+			dataType: 'uint32',
+			fieldNumber: 5,
+		},
+	},
+};
+
+const updateRecoverySchema = {
+	$id: 'srs/recovery/update',
+	type: 'object',
+	required: ['friends', 'recoveryThreshold', 'delayPeriod'],
+	properties: {
+		friends: {
+			type: 'array',
+			fieldNumber: 1,
+			items: {
+				dataType: 'bytes',
+			},
+		},
+		recoveryThreshold: {
+			dataType: 'uint32',
+			fieldNumber: 2,
+		},
+		delayPeriod: {
+			dataType: 'uint32',
+			fieldNumber: 3,
+		},
+		delayUnit: {
+			dataType: 'string',
+			fieldNumber: 4,
+		},
+		cancelThreshold: {
+			dataType: 'uint32',
+			fieldNumber: 5,
+		},
 	},
 };
 
@@ -113,6 +152,38 @@ const vouchRecoverySchema = {
 	},
 };
 
+const unvouchRecoverySchema = {
+	$id: 'srs/recovery/unvouch',
+	type: 'object',
+	required: ['lostAccount', 'rescuer'],
+	properties: {
+		rescuer: {
+			dataType: 'bytes',
+			fieldNumber: 1,
+		},
+		lostAccount: {
+			dataType: 'bytes',
+			fieldNumber: 2,
+		},
+	},
+};
+
+const cancelRecoverySchema = {
+	$id: 'srs/recovery/cancel',
+	type: 'object',
+	required: ['lostAccount', 'rescuer'],
+	properties: {
+		rescuer: {
+			dataType: 'bytes',
+			fieldNumber: 1,
+		},
+		lostAccount: {
+			dataType: 'bytes',
+			fieldNumber: 2,
+		},
+	},
+};
+
 const claimRecoverySchema = {
 	$id: 'srs/recovery/claim',
 	type: 'object',
@@ -152,9 +223,12 @@ const removeRecoverySchema = {
 module.exports = {
     baseAssetSchema,
     createRecoverySchema,
+	updateRecoverySchema,
 	tokenTransferSchema,
 	initiateRecoverySchema,
 	vouchRecoverySchema,
+	unvouchRecoverySchema,
+	cancelRecoverySchema,
 	closeRecoverySchema,
 	claimRecoverySchema,
 	removeRecoverySchema,
@@ -3,6 +3,52 @@ const cors = require('cors');
 const { BasePlugin } = require('lisk-sdk');
 const pJSON = require('../../package.json');
 const controllers = require('./controllers');
+const { defaultConfig } = require('./defaults');
+const {
+  whiteListMiddleware,
+  rateLimitMiddleware,
+  jsonErrorMiddleware,
+  listen,
+} = require('../../../../shared/api_plugin/server');
+const {
+  createRecoverySchema,
+  updateRecoverySchema,
+  initiateRecoverySchema,
+  vouchRecoverySchema,
+  unvouchRecoverySchema,
+  cancelRecoverySchema,
+  claimRecoverySchema,
+  closeRecoverySchema,
+  removeRecoverySchema,
+} = require('../../srs_module/schemas');
+const { tokenTransferSchema } = require('./schemas');
+const {
+  signedTransactionRequestSchema,
+  tokenTransferRequestSchema,
+  createRecoveryRequestSchema,
+  updateRecoveryRequestSchema,
+  initiateRecoveryRequestSchema,
+  vouchRecoveryRequestSchema,
+  unvouchRecoveryRequestSchema,
+  cancelRecoveryRequestSchema,
+  claimRecoveryRequestSchema,
+  closeRecoveryRequestSchema,
+  removeRecoveryRequestSchema,
+} = require('./request_schemas');
+const {
+  SRS_MODULE_ID,
+  SRS_CREATE_ASSET_ID,
+  SRS_UPDATE_ASSET_ID,
+  SRS_INITIATE_ASSET_ID,
+  SRS_VOUCH_ASSET_ID,
+  SRS_UNVOUCH_ASSET_ID,
+  SRS_CANCEL_ASSET_ID,
+  SRS_CLAIM_ASSET_ID,
+  SRS_CLOSE_ASSET_ID,
+  SRS_REMOVE_ASSET_ID,
+  TOKEN_MODULE_ID,
+  TOKEN_TRANSFER_ASSET_ID,
+} = require('./constants');
 
 // 1.plugin can be a daemon/HTTP/Websocket service for off-chain processing
 class SRSAPIPlugin extends BasePlugin {
@@ -25,7 +71,7 @@ class SRSAPIPlugin extends BasePlugin {
   }
 
   get defaults() {
-    return {};
+    return defaultConfig;
   }
 
   get events() {
@@ -41,18 +87,106 @@ class SRSAPIPlugin extends BasePlugin {
     this._channel = channel;
     this._nodeInfo = await this._channel.invoke('app:getNodeInfo');
 
-    this._app.use(cors({ origin: '*', methods: ['GET', 'POST', 'PUT'] }));
+    this._app.use(whiteListMiddleware(this.options.whiteList));
+    this._app.use(rateLimitMiddleware(this.options.limits));
+    this._app.use(cors(this.options.cors));
     this._app.use(express.json());
 
-    this._app.post('/api/token/transfer', controllers.transferToken(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/create', controllers.createRecoveryConfigTrs(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/initiate', controllers.initiateRecovery(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/vouch', controllers.vouchRecovery(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/claim', controllers.claimRecovery(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/close', controllers.closeRecovery(this.codec, this._channel, this._nodeInfo));
-    this._app.post('/api/recovery/remove', controllers.removeRecovery(this.codec, this._channel, this._nodeInfo));
+    // every route accepts a transaction signed by the client in `transaction`, or signs it with `passphrase`.
+    // Request bodies are validated first, invalid bodies are rejected with the errors of their fields.
+    const signed = (moduleID, assetID, assetSchema) => controllers.signedTransaction(
+      this._channel,
+      this._nodeInfo,
+      { moduleID, assetID, assetSchema },
+      this.options.enablePassphraseMode,
+    );
+    this._app.post(
+      '/api/token/transfer',
+      controllers.validateRequest(tokenTransferRequestSchema),
+      signed(TOKEN_MODULE_ID, TOKEN_TRANSFER_ASSET_ID, tokenTransferSchema),
+      controllers.transferToken(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/create',
+      controllers.validateRequest(createRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_CREATE_ASSET_ID, createRecoverySchema),
+      controllers.createRecoveryConfigTrs(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/update',
+      controllers.validateRequest(updateRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_UPDATE_ASSET_ID, updateRecoverySchema),
+      controllers.updateRecoveryConfigTrs(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/initiate',
+      controllers.validateRequest(initiateRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_INITIATE_ASSET_ID, initiateRecoverySchema),
+      controllers.initiateRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/vouch',
+      controllers.validateRequest(vouchRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_VOUCH_ASSET_ID, vouchRecoverySchema),
+      controllers.vouchRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/unvouch',
+      controllers.validateRequest(unvouchRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_UNVOUCH_ASSET_ID, unvouchRecoverySchema),
+      controllers.unvouchRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/cancel',
+      controllers.validateRequest(cancelRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_CANCEL_ASSET_ID, cancelRecoverySchema),
+      controllers.cancelRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/claim',
+      controllers.validateRequest(claimRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_CLAIM_ASSET_ID, claimRecoverySchema),
+      controllers.claimRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/close',
+      controllers.validateRequest(closeRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_CLOSE_ASSET_ID, closeRecoverySchema),
+      controllers.closeRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+    this._app.post(
+      '/api/recovery/remove',
+      controllers.validateRequest(removeRecoveryRequestSchema),
+      signed(SRS_MODULE_ID, SRS_REMOVE_ASSET_ID, removeRecoverySchema),
+      controllers.removeRecovery(this.codec, this._channel, this._nodeInfo),
+    );
+
+    // recovery transactions can be checked against the current chain state before posting them
+    [
+      ['create', SRS_CREATE_ASSET_ID, createRecoverySchema],
+      ['update', SRS_UPDATE_ASSET_ID, updateRecoverySchema],
+      ['initiate', SRS_INITIATE_ASSET_ID, initiateRecoverySchema],
+      ['vouch', SRS_VOUCH_ASSET_ID, vouchRecoverySchema],
+      ['unvouch', SRS_UNVOUCH_ASSET_ID, unvouchRecoverySchema],
+      ['cancel', SRS_CANCEL_ASSET_ID, cancelRecoverySchema],
+      ['claim', SRS_CLAIM_ASSET_ID, claimRecoverySchema],
+      ['close', SRS_CLOSE_ASSET_ID, closeRecoverySchema],
+      ['remove', SRS_REMOVE_ASSET_ID, removeRecoverySchema],
+    ].forEach(([action, assetID, assetSchema]) => {
+      this._app.post(
+        `/api/recovery/${action}/dryRun`,
+        controllers.validateRequest(signedTransactionRequestSchema),
+        controllers.dryRunTransaction(this._channel, { moduleID: SRS_MODULE_ID, assetID, assetSchema }),
+      );
+    });
+
+    // recovery state read from the srs module
+    this._app.get('/api/recovery/rescuer/:address', controllers.getRecoveriesByRescuer(this._channel));
+    this._app.get('/api/recovery/friend/:address', controllers.getRecoveriesByFriend(this._channel));
+    this._app.get('/api/recovery/:address', controllers.getRecovery(this._channel));
+    this._app.use(jsonErrorMiddleware);
 
-    this._server = this._app.listen(8080, '0.0.0.0');
+    this._server = await listen(this._app, this.options, SRSAPIPlugin.alias);
   }
 
   async unload() {
@@ -1,10 +1,21 @@
-const { BasePlugin, db, codec } = require('lisk-sdk');
+const { BasePlugin, db, codec, cryptography } = require('lisk-sdk');
 const pJSON = require('../../package.json');
 const fs_extra = require("fs-extra");
+const axios = require('axios');
 const os = require("os");
 const path = require("path");
+const { DEFAULT_RECOVERY_EXPIRY_PERIOD } = require('../../srs_module/constants');
+const { getRecoveryExpiryHeight } = require('../../srs_module/recovery_expiry');
 
 const DB_KEY_CONFIGACCOUNTS = "srs:configAccounts";
+const DB_KEY_INDEXED_BLOCK_PREFIX = "srs:indexedBlock:";
+const DB_KEY_LAST_INDEXED_BLOCK = "srs:lastIndexedBlock";
+const DB_KEY_INBOX_PREFIX = "srs:inbox:";
+const DB_KEY_INBOX_EXPIRING_PREFIX = "srs:inboxExpiringAt:";
+// Number of blocks requested at once while catching up with the chain
+const RESYNC_BATCH_SIZE = 100;
+// Milliseconds to wait for the webhook to answer a notification
+const WEBHOOK_TIMEOUT = 5000;
 
 const getDBInstance = async (dataPath = '~/.lisk/srs-app/', dbName = 'srs_data_plugin.db') => {
   const dirPath = path.join(dataPath.replace('~', os.homedir()), 'plugins/data', dbName);
@@ -12,6 +23,18 @@ const getDBInstance = async (dataPath = '~/.lisk/srs-app/', dbName = 'srs_data_p
   return new db.KVStore(dirPath);
 };
 
+const defaultConfig = {
+  type: 'object',
+  properties: {
+    // url notifications of the inboxes of friends are posted to, no notifications are sent without it
+    webhookUrl: {
+      type: 'string',
+      pattern: '^https?://',
+    },
+  },
+  default: {},
+};
+
 const encodedConfigAccountsSchema = {
   $id: 'srs:configAccounts',
   type: 'object',
@@ -41,6 +64,14 @@ const encodedConfigAccountsSchema = {
           delayPeriod: {
             dataType: 'uint32',
             fieldNumber: 4
+          },
+          delayUnit: {
+            dataType: 'string',
+            fieldNumber: 5
+          },
+          cancelThreshold: {
+            dataType: 'uint32',
+            fieldNumber: 6
           }
         }
       },
@@ -48,6 +79,130 @@ const encodedConfigAccountsSchema = {
   },
 };
 
+// A recovery of a lost account which a friend of it can vouch for, it is resolved once the friend
+// vouched or voted to cancel it, or the recovery was claimed, closed, expired or canceled
+const inboxItemSchema = {
+  type: 'object',
+  required: ['lostAccount', 'rescuer', 'height', 'transactionId', 'resolution'],
+  properties: {
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    rescuer: {
+      dataType: 'bytes',
+      fieldNumber: 2,
+    },
+    // height of the block which initiated the recovery
+    height: {
+      dataType: 'uint32',
+      fieldNumber: 3,
+    },
+    transactionId: {
+      dataType: 'bytes',
+      fieldNumber: 4,
+    },
+    // empty while pending, otherwise `vouched`, `cancelVoted`, `claimed`, `closed`, `expired` or `cancelled`
+    resolution: {
+      dataType: 'string',
+      fieldNumber: 5,
+    },
+    // height of the block the recovery expires in, 0 for items indexed before it was kept
+    expiresAt: {
+      dataType: 'uint32',
+      fieldNumber: 6,
+    },
+  },
+};
+
+const inboxSchema = {
+  $id: 'srs:inbox',
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      fieldNumber: 1,
+      items: inboxItemSchema,
+    },
+  },
+};
+
+// Config and inbox changes of an indexed block, to undo them when the block is deleted
+const indexedBlockSchema = {
+  $id: 'srs:indexedBlock',
+  type: 'object',
+  required: ['id', 'height', 'previousConfigs', 'addedAddresses'],
+  properties: {
+    id: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    height: {
+      dataType: 'uint32',
+      fieldNumber: 2,
+    },
+    // configs the block changed or removed, as they were before the block
+    previousConfigs: {
+      type: 'array',
+      fieldNumber: 3,
+      items: encodedConfigAccountsSchema.properties.accounts.items,
+    },
+    // accounts which had no config before the block
+    addedAddresses: {
+      type: 'array',
+      fieldNumber: 4,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+    // inboxes the block changed, as they were before the block
+    previousInboxes: {
+      type: 'array',
+      fieldNumber: 5,
+      items: {
+        type: 'object',
+        required: ['friend', 'items'],
+        properties: {
+          friend: {
+            dataType: 'bytes',
+            fieldNumber: 1,
+          },
+          items: {
+            type: 'array',
+            fieldNumber: 2,
+            items: inboxItemSchema,
+          },
+        },
+      },
+    },
+    // lost accounts whose recoveries expired at the height of the block, as they were before the block
+    expiringAccounts: {
+      type: 'array',
+      fieldNumber: 6,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+  },
+};
+
+// Lost accounts whose recoveries expire at a height, to resolve expiries of blocks indexed while catching up
+const expiringAccountsSchema = {
+  $id: 'srs:inboxExpiring',
+  type: 'object',
+  required: ['addresses'],
+  properties: {
+    addresses: {
+      type: 'array',
+      fieldNumber: 1,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+  },
+};
+
 const getConfigAccounts = async (database) => {
   try {
     const encodedConfigAccounts = await database.get(DB_KEY_CONFIGACCOUNTS);
@@ -65,9 +220,86 @@ const saveConfigAccounts = async (database, accounts) => {
   await database.put(DB_KEY_CONFIGACCOUNTS, encodedConfigs);
 };
 
+const getInboxKey = (friend) => `${DB_KEY_INBOX_PREFIX}${friend.toString('hex')}`;
+
+const getInbox = async (database, friend) => {
+  try {
+    const encodedInbox = await database.get(getInboxKey(friend));
+    return codec.decode(inboxSchema, encodedInbox).items;
+  }
+  catch (error) {
+    return [];
+  }
+};
+
+const saveInbox = async (database, friend, items) => {
+  if (items.length === 0) {
+    await database.del(getInboxKey(friend));
+    return;
+  }
+  await database.put(getInboxKey(friend), codec.encode(inboxSchema, { items }));
+};
+
+const inboxItemToJSON = (item) => ({
+  lostAccount: item.lostAccount.toString('hex'),
+  rescuer: item.rescuer.toString('hex'),
+  height: item.height,
+  transactionId: item.transactionId.toString('hex'),
+  expiresAt: item.expiresAt,
+});
+
+const getExpiringAccountsKey = (height) => `${DB_KEY_INBOX_EXPIRING_PREFIX}${height}`;
+
+const getExpiringAccounts = async (database, height) => {
+  try {
+    const encodedAccounts = await database.get(getExpiringAccountsKey(height));
+    return codec.decode(expiringAccountsSchema, encodedAccounts).addresses;
+  }
+  catch (error) {
+    return [];
+  }
+};
+
+const saveExpiringAccounts = async (database, height, addresses) => {
+  if (addresses.length === 0) {
+    await database.del(getExpiringAccountsKey(height));
+    return;
+  }
+  await database.put(getExpiringAccountsKey(height), codec.encode(expiringAccountsSchema, { addresses }));
+};
+
+// item of the last recovery of the lost account in the inbox of a friend
+const getLastInboxItem = (items, lostAccount) => [...items].reverse().find(item => item.lostAccount.equals(lostAccount));
+
+const getIndexedBlockKey = (height) => `${DB_KEY_INDEXED_BLOCK_PREFIX}${height}`;
+
+const getIndexedBlock = async (database, key) => {
+  try {
+    const encodedIndexedBlock = await database.get(key);
+    return codec.decode(indexedBlockSchema, encodedIndexedBlock);
+  }
+  catch (error) {
+    return undefined;
+  }
+};
+
+const saveIndexedBlock = async (database, indexedBlock) => {
+  const encodedIndexedBlock = codec.encode(indexedBlockSchema, indexedBlock);
+
+  await database.put(getIndexedBlockKey(indexedBlock.height), encodedIndexedBlock);
+  await database.put(DB_KEY_LAST_INDEXED_BLOCK, encodedIndexedBlock);
+};
+
 class SRSDataPlugin extends BasePlugin {
   _accountsWithConfig = undefined;
   _db = undefined;
+  _channel = undefined;
+  _nodeInfo = undefined;
+  _webhookUrl = undefined;
+  _expiryPeriod = undefined;
+  _indexQueue = Promise.resolve();
+  // expiries and cancellations are not transactions, the srs module publishes them before the block arrives
+  _pendingEvents = [];
 
   static get alias() {
     return 'SRSData';
@@ -82,7 +314,7 @@ class SRSDataPlugin extends BasePlugin {
   }
 
   get defaults() {
-    return {};
+    return defaultConfig;
   }
 
   get events() {
@@ -91,48 +323,351 @@ class SRSDataPlugin extends BasePlugin {
 
   get actions() {
     return {
-      getAllRecoveryConfigs: () => {
-        let stringAccounts = this._accountsWithConfig.map((account) => {
-          account.address = account.address.toString('hex');
-          account.friends = account.friends.map(friend => friend.toString('hex'));
-          return account;
-        });
-        return stringAccounts;
+      getAllRecoveryConfigs: () => this._accountsWithConfig.map((account) => ({
+        ...account,
+        address: account.address.toString('hex'),
+        friends: account.friends.map(friend => friend.toString('hex')),
+        // configs indexed before delay units were introduced count blocks
+        delayUnit: account.delayUnit || 'blocks',
+      })),
+      // recoveries the friend with the address has not vouched for or voted to cancel yet, while they are active
+      getPendingVouches: async ({ address }) => {
+        const items = await getInbox(this._db, Buffer.from(address, 'hex'));
+        return items.filter(item => item.resolution === '').map(inboxItemToJSON);
       },
     };
   }
 
   async load(channel) {
-    this._db = await getDBInstance();
+    this._channel = channel;
+    this._webhookUrl = this.options.webhookUrl;
+    // the application sets the data path of the plugin options to its own
+    this._db = await getDBInstance(this.options.dataPath);
     this._accountsWithConfig =  await getConfigAccounts(this._db);
-    channel.subscribe('srs:configCreated', async (info) => {
+    this._nodeInfo = await channel.invoke('app:getNodeInfo');
+    this._expiryPeriod = this._nodeInfo.genesisConfig.srsRecoveryExpiryPeriod || DEFAULT_RECOVERY_EXPIRY_PERIOD;
+    // schemas are only set by the base plugin once the app is ready, the resync below needs them earlier
+    this.schemas = await channel.invoke('app:getSchema');
 
-      let duplicate = false;
-      for (let i = 0; i < this._accountsWithConfig.length; i++) {
-        if (this._accountsWithConfig[i].address.toString('hex') === info.address) {
-          duplicate = true;
-          return;
+    // the recovery configs and the inboxes of friends are indexed from the transactions of every block,
+    // only new blocks notify the webhook
+    channel.subscribe('app:block:new', ({ block }) => {
+      this._enqueue(() => this._indexBlock(block, true));
+    });
+    for (const name of ['recoveryExpired', 'recoveryCancelled']) {
+      channel.subscribe(`srs:${name}`, (data) => {
+        this._pendingEvents.push({ name, data });
+      });
+    }
+    // the friends of an updated config learn about the new friend list and thresholds, the config itself is
+    // indexed from the transactions of the block. The notification is queued so it follows the ones of the
+    // blocks before.
+    channel.subscribe('srs:configUpdated', (config) => {
+      this._enqueue(async () => {
+        this._notify(config.friends.map(friend => ({
+          event: 'configUpdated',
+          friend,
+          lostAccount: config.address,
+          friends: config.friends,
+          recoveryThreshold: config.recoveryThreshold,
+          delayPeriod: config.delayPeriod,
+          delayUnit: config.delayUnit,
+          cancelThreshold: config.cancelThreshold,
+        })));
+      });
+    });
+    channel.subscribe('app:block:delete', ({ block }) => {
+      this._enqueue(() => this._revertBlock(block));
+    });
+    // index the blocks added or deleted while the plugin was not running
+    this._enqueue(() => this._resync());
+  }
+
+  // indexing runs one block at a time so the configs change in the order of the chain
+  _enqueue(task) {
+    this._indexQueue = this._indexQueue
+      .then(task)
+      .catch((err) => this._logger.error({ err }, 'Failed to index recovery configs'));
+  }
+
+  // Removes the received srs events of the blocks up to `height` and returns the ones of the block at `height`
+  _takeEvents(height) {
+    const events = this._pendingEvents.filter(({ data }) => data.height === height);
+    this._pendingEvents = this._pendingEvents.filter(({ data }) => data.height > height);
+    return events;
+  }
+
+  // Only a new block notifies the webhook, its expiries and cancellations are taken from the srs events. While
+  // catching up with the chain they are derived from the expiry heights of the inbox items and the chain state.
+  async _indexBlock(encodedBlock, isNewBlock = false) {
+    const block = this.codec.decodeBlock(encodedBlock);
+    const { height } = block.header;
+    const events = this._takeEvents(height);
+    const lastIndexed = await getIndexedBlock(this._db, DB_KEY_LAST_INDEXED_BLOCK);
+    const nextHeight = lastIndexed ? lastIndexed.height + 1 : 0;
+    if (height < nextHeight) {
+      return;
+    }
+    // blocks were missed, catching up indexes this block as well
+    if (height > nextHeight) {
+      await this._resync();
+      return;
+    }
+
+    const srsModule = this._nodeInfo.registeredModules.find(m => m.name === 'srs');
+    const previousConfigs = [];
+    const addedAddresses = [];
+    // remembers the config of an account before the first change in this block
+    const changeConfig = (address, config) => {
+      const index = this._accountsWithConfig.findIndex(account => account.address.equals(address));
+      const changed = [...previousConfigs.map(c => c.address), ...addedAddresses].some(a => a.equals(address));
+      if (!changed) {
+        if (index === -1) {
+          addedAddresses.push(address);
+        } else {
+          previousConfigs.push(this._accountsWithConfig[index]);
         }
       }
-      if (!duplicate){
-        info.address = Buffer.from(info.address, 'hex');
-        info.friends = info.friends.map(friend => Buffer.from(friend, 'hex'));
-        this._accountsWithConfig.push(info);
+      if (index !== -1) {
+        this._accountsWithConfig.splice(index, 1);
       }
-      await saveConfigAccounts(this._db, this._accountsWithConfig);
-    });
-    channel.subscribe('srs:configRemoved', async (info) => {
-      for (let i = 0; i < this._accountsWithConfig.length; i++) {
-        if (this._accountsWithConfig[i].address.toString('hex') === info.address) {
-          this._accountsWithConfig.splice(i, 1);
-          return;
+      if (config) {
+        this._accountsWithConfig.push({ address, ...config });
+      }
+    };
+
+    const inboxes = new Map();
+    const previousInboxes = [];
+    const notifications = [];
+    // loads the inbox of a friend once per block and remembers it as it was before the block
+    const getBlockInbox = async (friend) => {
+      const key = friend.toString('hex');
+      if (!inboxes.has(key)) {
+        const items = await getInbox(this._db, friend);
+        previousInboxes.push({ friend, items: items.map(item => ({ ...item })) });
+        inboxes.set(key, { friend, items });
+      }
+      return inboxes.get(key).items;
+    };
+    // resolves the pending items of the lost account, only the ones expiring at `expiresAt` when it is given
+    const resolveInboxItems = async (friend, lostAccount, resolution, expiresAt) => {
+      const items = await getBlockInbox(friend);
+      const pendingItems = items.filter(i => i.resolution === '' && i.lostAccount.equals(lostAccount)
+        && (expiresAt === undefined || i.expiresAt === expiresAt));
+      for (const item of pendingItems) {
+        item.resolution = resolution;
+        notifications.push({ event: 'recoveryResolved', friend: friend.toString('hex'), resolution, ...inboxItemToJSON(item) });
+      }
+    };
+    const getConfig = (lostAccount) => this._accountsWithConfig.find(account => account.address.equals(lostAccount));
+    const getFriends = (lostAccount) => {
+      const config = getConfig(lostAccount);
+      return config ? config.friends : [];
+    };
+    const resolveRecovery = async (lostAccount, resolution, expiresAt) => {
+      for (const friend of getFriends(lostAccount)) {
+        await resolveInboxItems(friend, lostAccount, resolution, expiresAt);
+      }
+    };
+    // the cancel vote of a friend ended the recovery when it reached the cancel threshold
+    const isCancelledBy = async (trx, friend, lostAccount) => {
+      if (isNewBlock) {
+        return events.some(({ name, data }) => name === 'recoveryCancelled' && data.transactionId === trx.id);
+      }
+      // the events of the block are gone, a vote for a recovery which is no longer the active one of the lost
+      // account is taken as the one which cancelled it. A recovery is created at the height before its initiation.
+      const item = getLastInboxItem(await getBlockInbox(friend), lostAccount);
+      const recovery = await this._channel.invoke('srs:getRecovery', { address: lostAccount.toString('hex') });
+      return Boolean(item) && (!recovery.active || recovery.created !== item.height - 1);
+    };
+
+    for (const trx of block.payload) {
+      if (trx.moduleID !== srsModule.id) {
+        continue;
+      }
+      const { name } = srsModule.transactionAssets.find(a => a.id === trx.assetID);
+      const senderAddress = cryptography.getAddressFromPublicKey(Buffer.from(trx.senderPublicKey, 'hex'));
+      if (name === 'initiateRecovery') {
+        const lostAccount = Buffer.from(trx.asset.lostAccount, 'hex');
+        const config = getConfig(lostAccount);
+        if (!config) {
+          continue;
+        }
+        // the srs module creates the recovery at the height before its initiation
+        const expiresAt = getRecoveryExpiryHeight(
+          config,
+          height - 1,
+          this._expiryPeriod,
+          this._nodeInfo.genesisConfig.blockTime,
+        );
+        for (const friend of config.friends) {
+          const item = {
+            lostAccount,
+            rescuer: senderAddress,
+            height,
+            transactionId: Buffer.from(trx.id, 'hex'),
+            resolution: '',
+            expiresAt,
+          };
+          (await getBlockInbox(friend)).push(item);
+          notifications.push({ event: 'recoveryInitiated', friend: friend.toString('hex'), ...inboxItemToJSON(item) });
+        }
+        const expiringAccounts = await getExpiringAccounts(this._db, expiresAt);
+        if (!expiringAccounts.some(a => a.equals(lostAccount))) {
+          await saveExpiringAccounts(this._db, expiresAt, [...expiringAccounts, lostAccount]);
         }
+      } else if (name === 'vouchRecovery') {
+        await resolveInboxItems(senderAddress, Buffer.from(trx.asset.lostAccount, 'hex'), 'vouched');
+      } else if (name === 'unvouchRecovery') {
+        // the friend can vouch again
+        const item = getLastInboxItem(await getBlockInbox(senderAddress), Buffer.from(trx.asset.lostAccount, 'hex'));
+        if (item && item.resolution === 'vouched') {
+          item.resolution = '';
+          notifications.push({ event: 'vouchRevoked', friend: senderAddress.toString('hex'), ...inboxItemToJSON(item) });
+        }
+      } else if (name === 'cancelRecovery') {
+        const lostAccount = Buffer.from(trx.asset.lostAccount, 'hex');
+        await resolveInboxItems(senderAddress, lostAccount, 'cancelVoted');
+        if (await isCancelledBy(trx, senderAddress, lostAccount)) {
+          await resolveRecovery(lostAccount, 'cancelled');
+        }
+      } else if (name === 'closeRecovery') {
+        await resolveRecovery(senderAddress, 'closed');
+      } else if (name === 'claimRecovery') {
+        // before the config of the claimed account is removed below
+        await resolveRecovery(Buffer.from(trx.asset.lostAccount, 'hex'), 'claimed');
+      }
+
+      // an update replaces the config like a creation
+      if (name === 'createRecovery' || name === 'updateRecovery') {
+        changeConfig(senderAddress, {
+          friends: trx.asset.friends.map(friend => Buffer.from(friend, 'hex')),
+          recoveryThreshold: trx.asset.recoveryThreshold,
+          delayPeriod: trx.asset.delayPeriod,
+          delayUnit: trx.asset.delayUnit || 'blocks',
+          cancelThreshold: trx.asset.cancelThreshold || 0,
+        });
+      } else if (name === 'removeRecovery') {
+        changeConfig(senderAddress);
+      } else if (name === 'claimRecovery') {
+        changeConfig(Buffer.from(trx.asset.lostAccount, 'hex'));
       }
+    }
+
+    // recoveries expire after the transactions of the block were applied, the expiry index of the height is
+    // removed once it is indexed. Items reverted after they were added to it are no longer found.
+    const expiringAccounts = await getExpiringAccounts(this._db, height);
+    if (isNewBlock) {
+      for (const { data } of events.filter(({ name }) => name === 'recoveryExpired')) {
+        await resolveRecovery(Buffer.from(data.address, 'hex'), 'expired');
+      }
+    } else {
+      for (const lostAccount of expiringAccounts) {
+        await resolveRecovery(lostAccount, 'expired', height);
+      }
+    }
+    await saveExpiringAccounts(this._db, height, []);
+
+    if (previousConfigs.length > 0 || addedAddresses.length > 0) {
       await saveConfigAccounts(this._db, this._accountsWithConfig);
+    }
+    for (const { friend, items } of inboxes.values()) {
+      await saveInbox(this._db, friend, items);
+    }
+    await saveIndexedBlock(this._db, {
+      id: Buffer.from(block.header.id, 'hex'),
+      height,
+      previousConfigs,
+      addedAddresses,
+      previousInboxes,
+      expiringAccounts,
     });
+    if (isNewBlock) {
+      this._notify(notifications);
+    }
+  }
+
+  // Posts notifications to the webhook, a webhook which does not answer does not hold up the indexing
+  _notify(notifications) {
+    if (!this._webhookUrl) {
+      return;
+    }
+    for (const notification of notifications) {
+      axios.post(this._webhookUrl, notification, { timeout: WEBHOOK_TIMEOUT })
+        .catch((err) => this._logger.error({ err }, 'Failed to post notification to the webhook'));
+    }
+  }
+
+  // Restores the configs as they were before the block at `height` and makes the block below it the last indexed one
+  async _revertIndexedBlock(height) {
+    const indexedBlock = await getIndexedBlock(this._db, getIndexedBlockKey(height));
+    if (indexedBlock) {
+      const revertedAddresses = [
+        ...indexedBlock.addedAddresses,
+        ...indexedBlock.previousConfigs.map(config => config.address),
+      ];
+      this._accountsWithConfig = [
+        ...this._accountsWithConfig.filter(account => !revertedAddresses.some(a => a.equals(account.address))),
+        ...indexedBlock.previousConfigs,
+      ];
+      await saveConfigAccounts(this._db, this._accountsWithConfig);
+      for (const { friend, items } of indexedBlock.previousInboxes) {
+        await saveInbox(this._db, friend, items);
+      }
+      await saveExpiringAccounts(this._db, height, indexedBlock.expiringAccounts);
+      await this._db.del(getIndexedBlockKey(height));
+    }
+
+    const previousBlock = height > 0 ? await getIndexedBlock(this._db, getIndexedBlockKey(height - 1)) : undefined;
+    if (previousBlock) {
+      await this._db.put(DB_KEY_LAST_INDEXED_BLOCK, codec.encode(indexedBlockSchema, previousBlock));
+    } else {
+      await this._db.del(DB_KEY_LAST_INDEXED_BLOCK);
+    }
+  }
+
+  async _revertBlock(encodedBlock) {
+    const { header } = this.codec.decodeBlock(encodedBlock);
+    let lastIndexed = await getIndexedBlock(this._db, DB_KEY_LAST_INDEXED_BLOCK);
+    // blocks are deleted from the top, undo every indexed block down to the deleted one
+    while (lastIndexed && lastIndexed.height >= header.height) {
+      await this._revertIndexedBlock(lastIndexed.height);
+      lastIndexed = await getIndexedBlock(this._db, DB_KEY_LAST_INDEXED_BLOCK);
+    }
+  }
+
+  // Undoes indexed blocks which are no longer on the chain and indexes the blocks after the last indexed one
+  async _resync() {
+    const lastBlock = this.codec.decodeBlock(await this._channel.invoke('app:getLastBlock'));
+    let lastIndexed = await getIndexedBlock(this._db, DB_KEY_LAST_INDEXED_BLOCK);
+    while (lastIndexed) {
+      if (lastIndexed.height <= lastBlock.header.height) {
+        const { header } = this.codec.decodeBlock(
+          await this._channel.invoke('app:getBlockByHeight', { height: lastIndexed.height }),
+        );
+        if (header.id === lastIndexed.id.toString('hex')) {
+          break;
+        }
+      }
+      await this._revertIndexedBlock(lastIndexed.height);
+      lastIndexed = await getIndexedBlock(this._db, DB_KEY_LAST_INDEXED_BLOCK);
+    }
+
+    let from = lastIndexed ? lastIndexed.height + 1 : 0;
+    while (from <= lastBlock.header.height) {
+      const to = Math.min(from + RESYNC_BATCH_SIZE - 1, lastBlock.header.height);
+      const blocks = await this._channel.invoke('app:getBlocksByHeightBetween', { from, to });
+      // blocks are returned from the highest one down
+      for (const block of blocks.reverse()) {
+        await this._indexBlock(block);
+      }
+      from = to + 1;
+    }
   }
 
   async unload() {
+    await this._indexQueue;
+    await this._db.close();
   }
 }
 
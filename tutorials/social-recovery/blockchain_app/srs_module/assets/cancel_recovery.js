@@ -0,0 +1,69 @@
+const { BaseAsset } = require('lisk-sdk');
+const { cancelRecoverySchema } = require('../schemas');
+const { CANCEL_RECOVERY_ASSET_ID } = require('../constants');
+const { removeRecoveryExpiry } = require('../recovery_expiry');
+const { validateAddress } = require('../validation');
+
+class CancelRecoveryAsset extends BaseAsset {
+	name = 'cancelRecovery';
+	id = CANCEL_RECOVERY_ASSET_ID;
+	schema = cancelRecoverySchema;
+
+    validate({ asset }) {
+        validateAddress(asset.rescuer, 'Rescuer');
+        validateAddress(asset.lostAccount, 'Lost account');
+    }
+
+    async apply({
+		asset,
+		transaction,
+		stateStore,
+        reducerHandler,
+	}) {
+        const lostAccount = await stateStore.account.get(asset.lostAccount);
+        const { config, status } = lostAccount.srs;
+        if (config.cancelThreshold === 0) {
+            throw new Error('The recovery configuration of the lost account does not let friends cancel recoveries.');
+        }
+        if (!status.active) {
+            throw new Error(`No active recovery found for address ${lostAccount.address.toString('hex')}.`);
+        }
+        if (!status.rescuer.equals(asset.rescuer)) {
+            throw new Error(`Rescuer address is incorrect for the recovery of ${lostAccount.address.toString('hex')}`);
+        }
+
+        // Make sure friend is present in the configuration
+        if (!config.friends.some(f => f.equals(transaction.senderAddress))) {
+            throw new Error('The sender is not part of friends who can cancel the recovery.');
+        }
+        if (status.vouchList.some(f => f.equals(transaction.senderAddress))) {
+            throw new Error('The sender has vouched for the rescuer, unvouch before voting to cancel the recovery.');
+        }
+        if (status.cancelVotes.some(f => f.equals(transaction.senderAddress))) {
+            throw new Error('The sender has already voted to cancel the recovery.');
+        }
+
+        status.cancelVotes.push(transaction.senderAddress);
+        if (status.cancelVotes.length >= config.cancelThreshold) {
+            // Slash the deposit of the rescuer to the lost account
+            await reducerHandler.invoke('token:credit', {
+                address: lostAccount.address,
+                amount: status.deposit,
+            });
+            await removeRecoveryExpiry(stateStore, status.expiresAt, lostAccount.address);
+
+            // Reset recovery status
+            lostAccount.srs.status.active = false;
+            lostAccount.srs.status.rescuer = Buffer.from('');
+            lostAccount.srs.status.created = 0;
+            lostAccount.srs.status.createdAt = 0;
+            lostAccount.srs.status.expiresAt = 0;
+            lostAccount.srs.status.deposit = BigInt('0');
+            lostAccount.srs.status.vouchList = [];
+            lostAccount.srs.status.cancelVotes = [];
+        }
+        await stateStore.account.set(lostAccount.address, lostAccount);
+    }
+}
+
+module.exports = CancelRecoveryAsset;
@@ -1,12 +1,22 @@
 const { BaseAsset } = require('lisk-sdk');
 const { claimRecoverySchema } = require('../schemas');
-const { CLAIM_RECOVERY_ASSET_ID } = require('../constants');
+const { CLAIM_RECOVERY_ASSET_ID, DELAY_UNIT_SECONDS } = require('../constants');
+const { removeRecoveryAccount } = require('../recovery_accounts');
+const { removeRecoveryExpiry } = require('../recovery_expiry');
+const { validateAddress } = require('../validation');
 
 class ClaimRecoveryAsset extends BaseAsset {
 	name = 'claimRecovery';
 	id = CLAIM_RECOVERY_ASSET_ID;
 	schema = claimRecoverySchema;
 
+    validate({ asset, transaction }) {
+        validateAddress(asset.lostAccount, 'Lost account');
+        if (asset.lostAccount.equals(transaction.senderAddress)) {
+            throw new Error('You cannot claim your own account.');
+        }
+    }
+
     async apply({
 		asset,
 		transaction,
@@ -16,13 +26,22 @@ class ClaimRecoveryAsset extends BaseAsset {
         const rescuer = await stateStore.account.get(transaction.senderAddress);
         const lostAccount = await stateStore.account.get(asset.lostAccount);
 
-        const currentHeight = stateStore.chain.lastBlockHeaders[0].height;
+        // Anyone else could take the funds of the lost account once the friends vouched
+        if (!lostAccount.srs.status.active || !lostAccount.srs.status.rescuer.equals(rescuer.address)) {
+            throw new Error('Only the rescuer of an active recovery can claim the lost account.');
+        }
+
+        const { height: currentHeight, timestamp: currentTimestamp } = stateStore.chain.lastBlockHeaders[0];
         const delayPeriod = lostAccount.srs.config.delayPeriod;
         const recoveryThreshold = lostAccount.srs.config.recoveryThreshold;
         const deposit = lostAccount.srs.config.deposit;
 
-        // Check if the delay period is passed to claim the recovery
-        if ((currentHeight - rescuer.srs.status.created) < delayPeriod) {
+        // Check if the delay period is passed to claim the recovery, in seconds it is compared to block timestamps
+        if (lostAccount.srs.config.delayUnit === DELAY_UNIT_SECONDS) {
+            if ((currentTimestamp - lostAccount.srs.status.createdAt) < delayPeriod) {
+                throw new Error(`Cannot claim account before delay period of ${delayPeriod} seconds.`);
+            }
+        } else if ((currentHeight - lostAccount.srs.status.created) < delayPeriod) {
             throw new Error(`Cannot claim account before delay period of ${delayPeriod}.`);
         }
 
@@ -49,19 +68,27 @@ class ClaimRecoveryAsset extends BaseAsset {
             amount: BigInt(2) * deposit + lostAccountBalance - minBalance,
         });
 
+        await removeRecoveryExpiry(stateStore, lostAccount.srs.status.expiresAt, lostAccount.address);
+
         // Reset recovery status
         await stateStore.account.set(rescuer.address, rescuer);
         // Reset all recovery values in the lost account
         lostAccount.srs.config.friends = [];
         lostAccount.srs.config.delayPeriod = 0;
+        lostAccount.srs.config.delayUnit = '';
+        lostAccount.srs.config.cancelThreshold = 0;
         lostAccount.srs.config.recoveryThreshold = 0;
         lostAccount.srs.config.deposit = BigInt('0');
         lostAccount.srs.status.active = false;
         lostAccount.srs.status.rescuer = Buffer.from('');
         lostAccount.srs.status.created = 0;
+        lostAccount.srs.status.createdAt = 0;
+        lostAccount.srs.status.expiresAt = 0;
         lostAccount.srs.status.deposit = BigInt('0');
         lostAccount.srs.status.vouchList = [];
+        lostAccount.srs.status.cancelVotes = [];
         await stateStore.account.set(lostAccount.address, lostAccount);
+        await removeRecoveryAccount(stateStore, lostAccount.address);
 	}
 }
 
@@ -1,12 +1,18 @@
 const { BaseAsset } = require('lisk-sdk');
 const { closeRecoverySchema } = require('../schemas');
 const { CLOSE_RECOVERY_ASSET_ID } = require('../constants');
+const { removeRecoveryExpiry } = require('../recovery_expiry');
+const { validateAddress } = require('../validation');
 
 class CloseRecoveryAsset extends BaseAsset {
 	name = 'closeRecovery';
 	id = CLOSE_RECOVERY_ASSET_ID;
 	schema = closeRecoverySchema;
 
+    validate({ asset }) {
+        validateAddress(asset.rescuer, 'Rescuer');
+    }
+
     async apply({
 		asset,
 		transaction,
@@ -26,13 +32,17 @@ class CloseRecoveryAsset extends BaseAsset {
             address: lostAccount.address,
             amount: lostAccount.srs.config.deposit,
           });
+        await removeRecoveryExpiry(stateStore, lostAccount.srs.status.expiresAt, lostAccount.address);
 
         // Reset recovery status
         lostAccount.srs.status.active = false;
         lostAccount.srs.status.rescuer = Buffer.from('');
         lostAccount.srs.status.created = 0;
+        lostAccount.srs.status.createdAt = 0;
+        lostAccount.srs.status.expiresAt = 0;
         lostAccount.srs.status.deposit = BigInt('0');
         lostAccount.srs.status.vouchList = [];
+        lostAccount.srs.status.cancelVotes = [];
         await stateStore.account.set(lostAccount.address, lostAccount);
     }
 }
@@ -1,12 +1,23 @@
 const { BaseAsset, transactions } = require('lisk-sdk');
 const { createRecoverySchema } = require('../schemas');
-const { BASE_RECOVERY_DEPOSIT, FRIEND_FACTOR_FEE, CREATE_RECOVERY_ASSET_ID } = require('../constants');
+const {
+    BASE_RECOVERY_DEPOSIT,
+    FRIEND_FACTOR_FEE,
+    CREATE_RECOVERY_ASSET_ID,
+    DELAY_UNIT_BLOCKS,
+} = require('../constants');
+const { addRecoveryAccount } = require('../recovery_accounts');
+const { validateRecoveryConfig } = require('../validation');
 
 class CreateRecoveryAsset extends BaseAsset {
 	name = 'createRecovery';
 	id = CREATE_RECOVERY_ASSET_ID;
 	schema = createRecoverySchema;
 
+    validate({ asset, transaction }) {
+        validateRecoveryConfig(asset, transaction.senderAddress);
+    }
+
     async apply({
 		asset,
 		transaction,
@@ -16,21 +27,21 @@ class CreateRecoveryAsset extends BaseAsset {
         if (sender.srs.config && sender.srs.config.friends.length !== 0) {
             throw Error('Account already has a recovery configuration.')
         }
-        const sameAccount = asset.friends.find(f => f === sender.address);
-        if (sameAccount) {
-            throw new Error('You cannot add yourself to the friend list.');
-        }
         // Add friends to the list
         sender.srs.config.friends = [...asset.friends.sort()];
         // Minimum number of friends required to vouch
         sender.srs.config.recoveryThreshold = asset.recoveryThreshold;
-        // Minimum number of blocks after recovery process when account will be recoverable
+        // Minimum number of blocks or seconds after recovery process when account will be recoverable
         sender.srs.config.delayPeriod = asset.delayPeriod;
+        sender.srs.config.delayUnit = asset.delayUnit || DELAY_UNIT_BLOCKS;
+        // Number of friends who can cancel a recovery together, 0 when friends cannot cancel
+        sender.srs.config.cancelThreshold = asset.cancelThreshold;
         // Set the deposit based on number of friends, 10 + friends.length * 2
         const deposit = BigInt(BASE_RECOVERY_DEPOSIT) + BigInt(transactions.convertLSKToBeddows((sender.srs.config.friends.length * FRIEND_FACTOR_FEE).toString()));
         sender.srs.config.deposit = deposit;
         // Save the value in stateStore
         await stateStore.account.set(sender.address, sender);
+        await addRecoveryAccount(stateStore, sender.address);
     }
 }
 
@@ -1,6 +1,8 @@
 const { BaseAsset } = require('lisk-sdk');
 const { initiateRecoverySchema } = require('../schemas');
-const { INITIATE_RECOVERY_ASSET_ID } = require('../constants');
+const { INITIATE_RECOVERY_ASSET_ID, DEFAULT_RECOVERY_EXPIRY_PERIOD } = require('../constants');
+const { getRecoveryExpiryHeight, addRecoveryExpiry } = require('../recovery_expiry');
+const { validateAddress } = require('../validation');
 
 
 class InitiateRecoveryAsset extends BaseAsset {
@@ -8,6 +10,23 @@ class InitiateRecoveryAsset extends BaseAsset {
 	id = INITIATE_RECOVERY_ASSET_ID;
 	schema = initiateRecoverySchema;
 
+    // Expiry period in blocks and block time in seconds of the genesis config
+    constructor(expiryPeriod = DEFAULT_RECOVERY_EXPIRY_PERIOD, blockTime) {
+        super();
+        if (!Number.isInteger(expiryPeriod) || expiryPeriod <= 0) {
+            throw new Error('The recovery expiry period needs to be a positive number of blocks.');
+        }
+        this._expiryPeriod = expiryPeriod;
+        this._blockTime = blockTime;
+    }
+
+    validate({ asset, transaction }) {
+        validateAddress(asset.lostAccount, 'Lost account');
+        if (asset.lostAccount.equals(transaction.senderAddress)) {
+            throw new Error('You cannot recover your own account.');
+        }
+    }
+
     async apply({
 		asset,
 		transaction,
@@ -17,9 +36,9 @@ class InitiateRecoveryAsset extends BaseAsset {
         const rescuer = await stateStore.account.get(transaction.senderAddress);
         const lostAccount = await stateStore.account.get(asset.lostAccount);
 
-        const sameAccount = lostAccount.srs.config.friends.find(f => f === rescuer.address);
-        if (sameAccount) {
-            throw new Error('You cannot recover your own account.');
+        // A friend could vouch for its own recovery
+        if (lostAccount.srs.config.friends.some(f => f.equals(rescuer.address))) {
+            throw new Error('A friend of the lost account cannot be its rescuer.');
         }
 
         // Check if recovery configuration is present for the lost account or not
@@ -27,7 +46,12 @@ class InitiateRecoveryAsset extends BaseAsset {
             throw Error('Lost account has no recovery configuration.')
         }
 
-        const currentHeight = stateStore.chain.lastBlockHeaders[0].height;
+        // The deposit of the rescuer of an active recovery is only returned when it is closed, claimed or expired
+        if (lostAccount.srs.status.active) {
+            throw new Error('There is already an active recovery for the lost account.');
+        }
+
+        const { height: currentHeight, timestamp: currentTimestamp } = stateStore.chain.lastBlockHeaders[0];
         const deposit = lostAccount.srs.config.deposit;
 
         // Check if rescuer account has enough balance
@@ -48,11 +72,20 @@ class InitiateRecoveryAsset extends BaseAsset {
         lostAccount.srs.status.active = true;
         lostAccount.srs.status.rescuer = rescuer.address;
         lostAccount.srs.status.created = currentHeight;
+        lostAccount.srs.status.createdAt = currentTimestamp;
         lostAccount.srs.status.deposit = deposit;
         lostAccount.srs.status.vouchList = [];
+        lostAccount.srs.status.cancelVotes = [];
+        lostAccount.srs.status.expiresAt = getRecoveryExpiryHeight(
+            lostAccount.srs.config,
+            currentHeight,
+            this._expiryPeriod,
+            this._blockTime,
+        );
 
         // Save lost account values to stateStore
         await stateStore.account.set(lostAccount.address, lostAccount);
+        await addRecoveryExpiry(stateStore, lostAccount.srs.status.expiresAt, lostAccount.address);
     }
 }
 
@@ -3,12 +3,22 @@ const {
 } = require('lisk-sdk');
 const { removeRecoverySchema } = require('../schemas');
 const { REMOVE_RECOVERY_ASSET_ID } = require('../constants');
+const { removeRecoveryAccount } = require('../recovery_accounts');
+const { validateAddress } = require('../validation');
 
 class RemoveRecoveryAsset extends BaseAsset {
 	name = 'removeRecovery';
 	id = REMOVE_RECOVERY_ASSET_ID;
 	schema = removeRecoverySchema;
 
+	validate({ asset, transaction }) {
+		validateAddress(asset.lostAccount, 'Lost account');
+		// Only the configuration of the sender can be removed
+		if (!asset.lostAccount.equals(transaction.senderAddress)) {
+			throw new Error('Lost account must be the sender of the transaction.');
+		}
+	}
+
 	async apply({
 		transaction,
 		stateStore,
@@ -28,13 +38,19 @@ class RemoveRecoveryAsset extends BaseAsset {
 		lostAccount.srs.config.friends = [];
 		lostAccount.srs.config.recoveryThreshold = 0;
 		lostAccount.srs.config.delayPeriod = 0;
+		lostAccount.srs.config.delayUnit = '';
+		lostAccount.srs.config.cancelThreshold = 0;
 		lostAccount.srs.config.deposit = BigInt('0');
 		lostAccount.srs.status.rescuer = Buffer.from('');
 		lostAccount.srs.status.deposit = BigInt('0');
 		lostAccount.srs.status.vouchList = [];
+		lostAccount.srs.status.cancelVotes = [];
 		lostAccount.srs.status.created = 0;
+		lostAccount.srs.status.createdAt = 0;
+		lostAccount.srs.status.expiresAt = 0;
 		lostAccount.srs.status.active = false;
 		await stateStore.account.set(lostAccount.address, lostAccount);
+		await removeRecoveryAccount(stateStore, lostAccount.address);
 	}
 }
 
@@ -0,0 +1,41 @@
+const { BaseAsset } = require('lisk-sdk');
+const { unvouchRecoverySchema } = require('../schemas');
+const { UNVOUCH_RECOVERY_ASSET_ID } = require('../constants');
+const { validateAddress } = require('../validation');
+
+class UnvouchRecoveryAsset extends BaseAsset {
+	name = 'unvouchRecovery';
+	id = UNVOUCH_RECOVERY_ASSET_ID;
+	schema = unvouchRecoverySchema;
+
+    validate({ asset }) {
+        validateAddress(asset.rescuer, 'Rescuer');
+        validateAddress(asset.lostAccount, 'Lost account');
+    }
+
+    async apply({
+		asset,
+		transaction,
+		stateStore,
+	}) {
+        const lostAccount = await stateStore.account.get(asset.lostAccount);
+        if (!lostAccount.srs.status.active) {
+            throw new Error(`No active recovery found for address ${lostAccount.address.toString('hex')}.`);
+        }
+        if (!lostAccount.srs.status.rescuer.equals(asset.rescuer)) {
+            throw new Error(`Rescuer address is incorrect for the recovery of ${lostAccount.address.toString('hex')}`);
+        }
+
+        const { vouchList } = lostAccount.srs.status;
+        // Make sure the friend has vouched for the rescuer
+        if (!vouchList.some(f => f.equals(transaction.senderAddress))) {
+            throw new Error('The sender has not vouched for the rescuer for recovery process.');
+        }
+
+        // Remove signature from vouch list
+        lostAccount.srs.status.vouchList = vouchList.filter(f => !f.equals(transaction.senderAddress));
+        await stateStore.account.set(lostAccount.address, lostAccount);
+    }
+}
+
+module.exports = UnvouchRecoveryAsset;
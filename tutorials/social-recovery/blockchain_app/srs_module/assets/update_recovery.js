@@ -0,0 +1,39 @@
+const { BaseAsset } = require('lisk-sdk');
+const { updateRecoverySchema } = require('../schemas');
+const { UPDATE_RECOVERY_ASSET_ID, DELAY_UNIT_BLOCKS } = require('../constants');
+const { validateRecoveryConfig } = require('../validation');
+
+class UpdateRecoveryAsset extends BaseAsset {
+	name = 'updateRecovery';
+	id = UPDATE_RECOVERY_ASSET_ID;
+	schema = updateRecoverySchema;
+
+    validate({ asset, transaction }) {
+        validateRecoveryConfig(asset, transaction.senderAddress);
+    }
+
+    async apply({
+		asset,
+		transaction,
+		stateStore,
+	}) {
+        const sender = await stateStore.account.get(transaction.senderAddress);
+        if (sender.srs.config.friends.length === 0) {
+            throw Error('Account does not have a recovery configuration.')
+        }
+        // Friends who vouched and the deposit of the rescuer belong to the current configuration
+        if (sender.srs.status.active) {
+            throw Error('There is active recovery in process. Please close the recovery to update recovery configuration.')
+        }
+
+        // The configuration is replaced in place, the deposit stays as it was set on creation
+        sender.srs.config.friends = [...asset.friends.sort()];
+        sender.srs.config.recoveryThreshold = asset.recoveryThreshold;
+        sender.srs.config.delayPeriod = asset.delayPeriod;
+        sender.srs.config.delayUnit = asset.delayUnit || DELAY_UNIT_BLOCKS;
+        sender.srs.config.cancelThreshold = asset.cancelThreshold;
+        await stateStore.account.set(sender.address, sender);
+    }
+}
+
+module.exports = UpdateRecoveryAsset;
@@ -1,12 +1,21 @@
 const { BaseAsset } = require('lisk-sdk');
 const { vouchRecoverySchema } = require('../schemas');
 const { VOUCH_RECOVERY_ASSET_ID } = require('../constants');
+const { validateAddress } = require('../validation');
 
 class VouchRecoveryAsset extends BaseAsset {
 	name = 'vouchRecovery';
 	id = VOUCH_RECOVERY_ASSET_ID;
 	schema = vouchRecoverySchema;
 
+    validate({ asset, transaction }) {
+        validateAddress(asset.rescuer, 'Rescuer');
+        validateAddress(asset.lostAccount, 'Lost account');
+        if (asset.rescuer.equals(transaction.senderAddress)) {
+            throw new Error('You cannot vouch for yourself as rescuer.');
+        }
+    }
+
     async apply({
 		asset,
 		transaction,
@@ -33,6 +42,11 @@ class VouchRecoveryAsset extends BaseAsset {
             throw new Error('The sender has already vouched for the rescuer for recovery process.')
         }
 
+        // Make sure the friend has not voted to cancel the recovery
+        if (lostAccount.srs.status.cancelVotes.some(f => f.equals(sender.address))) {
+            throw new Error('The sender has voted to cancel the recovery process.')
+        }
+
         // Push signature to vouch list
         lostAccount.srs.status.vouchList.push(sender.address);
         await stateStore.account.set(lostAccount.address, lostAccount);
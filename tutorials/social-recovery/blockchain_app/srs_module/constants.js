@@ -6,6 +6,19 @@ const VOUCH_RECOVERY_ASSET_ID = 2;
 const CLAIM_RECOVERY_ASSET_ID = 3;
 const CLOSE_RECOVERY_ASSET_ID = 4;
 const REMOVE_RECOVERY_ASSET_ID = 5;
+const UPDATE_RECOVERY_ASSET_ID = 6;
+const UNVOUCH_RECOVERY_ASSET_ID = 7;
+const CANCEL_RECOVERY_ASSET_ID = 8;
+// Units of the delay period, configs without a unit count the delay in blocks
+const DELAY_UNIT_BLOCKS = 'blocks';
+const DELAY_UNIT_SECONDS = 'seconds';
+// Blocks after the delay period in which an initiated recovery can be claimed before it expires, one day of
+// 10 second blocks when the genesis config does not set `srsRecoveryExpiryPeriod`
+const DEFAULT_RECOVERY_EXPIRY_PERIOD = 8640;
+// Limits of a recovery configuration, checked when transactions are validated
+const MAX_RECOVERY_FRIENDS = 10;
+const MIN_DELAY_PERIOD_BLOCKS = 1;
+const MIN_DELAY_PERIOD_SECONDS = 60;
 
 module.exports = {
   BASE_RECOVERY_DEPOSIT,
@@ -16,4 +29,13 @@ module.exports = {
   CLOSE_RECOVERY_ASSET_ID,
   INITIATE_RECOVERY_ASSET_ID,
   REMOVE_RECOVERY_ASSET_ID,
+  UPDATE_RECOVERY_ASSET_ID,
+  UNVOUCH_RECOVERY_ASSET_ID,
+  CANCEL_RECOVERY_ASSET_ID,
+  DELAY_UNIT_BLOCKS,
+  DELAY_UNIT_SECONDS,
+  DEFAULT_RECOVERY_EXPIRY_PERIOD,
+  MAX_RECOVERY_FRIENDS,
+  MIN_DELAY_PERIOD_BLOCKS,
+  MIN_DELAY_PERIOD_SECONDS,
 };
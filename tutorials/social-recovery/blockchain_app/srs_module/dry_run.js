@@ -0,0 +1,6 @@
+const liskSDK = require('lisk-sdk');
+const { createDryRunTransaction } = require('../../../shared/dry_run');
+
+const dryRunTransaction = createDryRunTransaction(liskSDK);
+
+module.exports = { dryRunTransaction };
@@ -5,18 +5,36 @@ const InitiateRecoveryAsset = require('./assets/initiate_recovery');
 const VouchRecoveryAsset = require('./assets/vouch_recovery');
 const CloseRecoveryAsset = require('./assets/close_recovery');
 const RemoveRecoveryAsset = require('./assets/remove_recovery');
+const UpdateRecoveryAsset = require('./assets/update_recovery');
+const UnvouchRecoveryAsset = require('./assets/unvouch_recovery');
+const CancelRecoveryAsset = require('./assets/cancel_recovery');
 const {
   SRSAccountSchema,
   createRecoverySchema,
+  updateRecoverySchema,
   initiateRecoverySchema,
-  claimRecoverySchema
+  claimRecoverySchema,
+  cancelRecoverySchema,
 } = require('./schemas');
 const {
   CREATE_RECOVERY_ASSET_ID,
   CLAIM_RECOVERY_ASSET_ID,
   INITIATE_RECOVERY_ASSET_ID,
-  REMOVE_RECOVERY_ASSET_ID
+  REMOVE_RECOVERY_ASSET_ID,
+  UPDATE_RECOVERY_ASSET_ID,
+  CANCEL_RECOVERY_ASSET_ID,
+  DELAY_UNIT_BLOCKS,
+  DEFAULT_RECOVERY_EXPIRY_PERIOD,
 } = require('./constants');
+const { dryRunTransaction } = require('./dry_run');
+const {
+  addGenesisRecoveryAccounts,
+  migrateRecoveryAccount,
+  getRecoveryAccounts,
+  getRecoveryAccountsFromDataAccess,
+  getRecoveryJSON,
+} = require('./recovery_accounts');
+const { expireRecoveriesAt, migrateRecoveryExpiry, migrateRecoveryExpiries } = require('./recovery_expiry');
 
 // Extend from the base module to implement a custom module
 class SRSModule extends BaseModule {
@@ -26,51 +44,179 @@ class SRSModule extends BaseModule {
 
   transactionAssets = [
     new CreateRecoveryAsset(),
-    new InitiateRecoveryAsset(),
+    new InitiateRecoveryAsset(this.config.srsRecoveryExpiryPeriod, this.config.blockTime),
     new VouchRecoveryAsset(),
     new ClaimRecoveryAsset(),
     new CloseRecoveryAsset(),
     new RemoveRecoveryAsset(),
+    new UpdateRecoveryAsset(),
+    new UnvouchRecoveryAsset(),
+    new CancelRecoveryAsset(),
   ];
 
-  events = ['configCreated','configRemoved','recoveryInitiated'];
+  events = ['configCreated','configUpdated','configRemoved','recoveryInitiated','recoveryExpired','recoveryCancelled'];
+
+  // Expiry period in blocks of the genesis config
+  _expiryPeriod = this.config.srsRecoveryExpiryPeriod || DEFAULT_RECOVERY_EXPIRY_PERIOD;
+
+  // srs events of each applied transaction by transaction id. The transaction pool applies transactions as well,
+  // so events are only published for the transactions of an applied block.
+  _srsEvents = new Map();
+
+  actions = {
+    // Checks an encoded transaction of the module against the current chain state without posting it
+    dryRunTransaction: async (params) => dryRunTransaction(this, params.transaction),
+    // Recovery configuration and status of an account
+    getRecovery: async (params) => {
+      let account;
+      try {
+        account = await this._dataAccess.getAccountByAddress(Buffer.from(params.address, 'hex'));
+      } catch (error) {
+        throw new Error(`Account ${params.address} does not exist.`);
+      }
+      return getRecoveryJSON(account, await this._dataAccess.getLastBlockHeader());
+    },
+    // Active recoveries of lost accounts which the address is rescuing
+    getRecoveriesByRescuer: async (params) => {
+      const rescuer = Buffer.from(params.address, 'hex');
+      return this._getRecoveries(({ srs: { status } }) => status.active && status.rescuer.equals(rescuer));
+    },
+    // Active recoveries of accounts which have the address as friend and which the friend can still vouch for,
+    // a friend who voted to cancel a recovery cannot vouch for it
+    getRecoveriesByFriend: async (params) => {
+      const friend = Buffer.from(params.address, 'hex');
+      return this._getRecoveries(({ srs: { config, status } }) => status.active
+        && config.friends.some((f) => f.equals(friend))
+        && !status.vouchList.some((f) => f.equals(friend))
+        && !status.cancelVotes.some((f) => f.equals(friend)));
+    },
+  };
+
+  // Recovery state of the accounts with a recovery configuration which match the filter
+  async _getRecoveries(filter) {
+    const addresses = await getRecoveryAccountsFromDataAccess(this._dataAccess);
+    const accounts = await Promise.all(addresses.map((address) => this._dataAccess.getAccountByAddress(address)));
+    const lastBlockHeader = await this._dataAccess.getLastBlockHeader();
+
+    return accounts.filter(filter).map((account) => getRecoveryJSON(account, lastBlockHeader));
+  }
+
+  async afterGenesisBlockApply({genesisBlock, stateStore}) {
+    // configs of the genesis accounts are not created by transactions
+    await addGenesisRecoveryAccounts(stateStore, genesisBlock.header.asset.accounts);
+  }
+
+  async beforeTransactionApply({transaction, stateStore}) {
+    if (transaction.moduleID !== this.id) {
+      return;
+    }
+    // index the config of the lost account of the transaction, or of the sender for the assets without one
+    const { schema } = this.transactionAssets.find((a) => a.id === transaction.assetID);
+    const asset = codec.decode(schema, transaction.asset);
+    const address = asset.lostAccount || transaction.senderAddress;
+    await migrateRecoveryAccount(stateStore, address);
+    // an active recovery initiated before expiries were kept gets its expiry height
+    await migrateRecoveryExpiry(stateStore, address, this._expiryPeriod, this.config.blockTime);
+  }
 
   async afterTransactionApply({transaction, stateStore, reducerHandler}) {
+    const events = [];
     if (transaction.moduleID === this.id && transaction.assetID === CREATE_RECOVERY_ASSET_ID) {
       let createRecoveryAsset = codec.decode(
         createRecoverySchema,
         transaction.asset
       );
       const friends = createRecoveryAsset.friends.map(bufferFriend => bufferFriend.toString('hex'));
-      this._channel.publish('srs:configCreated', {
+      events.push({ name: 'configCreated', data: {
          address: transaction._senderAddress.toString('hex'),
          friends: friends,
          recoveryThreshold: createRecoveryAsset.recoveryThreshold,
-         delayPeriod: createRecoveryAsset.delayPeriod
-      });
+         delayPeriod: createRecoveryAsset.delayPeriod,
+         delayUnit: createRecoveryAsset.delayUnit || DELAY_UNIT_BLOCKS,
+        cancelThreshold: createRecoveryAsset.cancelThreshold,
+      } });
+    } else if (transaction.moduleID === this.id && transaction.assetID === UPDATE_RECOVERY_ASSET_ID) {
+      const updateRecoveryAsset = codec.decode(
+        updateRecoverySchema,
+        transaction.asset
+      );
+      events.push({ name: 'configUpdated', data: {
+        address: transaction._senderAddress.toString('hex'),
+        friends: updateRecoveryAsset.friends.map(bufferFriend => bufferFriend.toString('hex')),
+        recoveryThreshold: updateRecoveryAsset.recoveryThreshold,
+        delayPeriod: updateRecoveryAsset.delayPeriod,
+        delayUnit: updateRecoveryAsset.delayUnit || DELAY_UNIT_BLOCKS,
+        cancelThreshold: updateRecoveryAsset.cancelThreshold,
+      } });
     } else if (transaction.moduleID === this.id && transaction.assetID === REMOVE_RECOVERY_ASSET_ID) {
-      this._channel.publish('srs:configRemoved', {
+      events.push({ name: 'configRemoved', data: {
         address: transaction._senderAddress.toString('hex')
-      });
+      } });
     } else if (transaction.moduleID === this.id && transaction.assetID === CLAIM_RECOVERY_ASSET_ID) {
       let claimRecoveryAsset = codec.decode(
         claimRecoverySchema,
         transaction.asset
       );
-      this._channel.publish('srs:configRemoved', {
+      events.push({ name: 'configRemoved', data: {
         address: claimRecoveryAsset.lostAccount.toString('hex')
-      });
+      } });
     } else if (transaction.moduleID === this.id && transaction.assetID === INITIATE_RECOVERY_ASSET_ID) {
       const initiateRecoveryAsset = codec.decode(
         initiateRecoverySchema,
         transaction.asset
       );
-      this._channel.publish('srs:recoveryInitiated', {
+      events.push({ name: 'recoveryInitiated', data: {
         address: transaction._senderAddress.toString('hex'),
         config: initiateRecoveryAsset
+      } });
+    } else if (transaction.moduleID === this.id && transaction.assetID === CANCEL_RECOVERY_ASSET_ID) {
+      const cancelRecoveryAsset = codec.decode(
+        cancelRecoverySchema,
+        transaction.asset
+      );
+      // the recovery is only canceled by the vote which reached the cancel threshold
+      const lostAccount = await stateStore.account.get(cancelRecoveryAsset.lostAccount);
+      if (!lostAccount.srs.status.active) {
+        events.push({ name: 'recoveryCancelled', data: {
+          address: cancelRecoveryAsset.lostAccount.toString('hex'),
+          rescuer: cancelRecoveryAsset.rescuer.toString('hex'),
+        } });
+      }
+    }
+    if (events.length > 0) {
+      this._srsEvents.set(transaction.id.toString('hex'), events);
+    }
+  }
+
+  async afterBlockApply({block, stateStore, reducerHandler}) {
+    // publish the srs events of the transactions in this block with the height and the id of their transaction
+    for (const transaction of block.payload) {
+      const transactionId = transaction.id.toString('hex');
+      const events = this._srsEvents.get(transactionId) || [];
+      for (const { name, data } of events) {
+        this._channel.publish(`srs:${name}`, { ...data, height: block.header.height, transactionId });
+      }
+    }
+    this._srsEvents.clear();
+
+    // Index the expiries of the active recoveries initiated before expiries were kept, once
+    await migrateRecoveryExpiries(
+      stateStore,
+      await getRecoveryAccounts(stateStore),
+      this._expiryPeriod,
+      this.config.blockTime,
+    );
+    // Deactivate the recoveries which were not claimed or closed within the expiry period
+    const expiredRecoveries = await expireRecoveriesAt(stateStore, reducerHandler, block.header.height);
+    for (const recovery of expiredRecoveries) {
+      this._channel.publish('srs:recoveryExpired', {
+        address: recovery.address.toString('hex'),
+        rescuer: recovery.rescuer.toString('hex'),
+        deposit: recovery.deposit.toString(),
+        height: block.header.height,
       });
     }
-  };
+  }
 
 }
 
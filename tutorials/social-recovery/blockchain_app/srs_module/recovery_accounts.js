@@ -0,0 +1,121 @@
+const { codec } = require('lisk-sdk');
+const { DELAY_UNIT_BLOCKS, DELAY_UNIT_SECONDS } = require('./constants');
+
+// Addresses of all accounts with a recovery configuration, kept in the chain state as accounts can not be
+// iterated by the module
+const CHAIN_STATE_RECOVERY_ACCOUNTS = 'srs:recoveryAccounts';
+
+const recoveryAccountsSchema = {
+  $id: 'srs/recoveryAccounts',
+  type: 'object',
+  required: ['addresses'],
+  properties: {
+    addresses: {
+      type: 'array',
+      fieldNumber: 1,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+  },
+};
+
+const decodeRecoveryAccounts = (buffer) => (
+  buffer ? codec.decode(recoveryAccountsSchema, buffer).addresses : []
+);
+
+const getRecoveryAccounts = async (stateStore) => decodeRecoveryAccounts(
+  await stateStore.chain.get(CHAIN_STATE_RECOVERY_ACCOUNTS),
+);
+
+const setRecoveryAccounts = async (stateStore, addresses) => {
+  await stateStore.chain.set(
+    CHAIN_STATE_RECOVERY_ACCOUNTS,
+    codec.encode(recoveryAccountsSchema, { addresses }),
+  );
+};
+
+const addRecoveryAccount = async (stateStore, address) => {
+  const addresses = await getRecoveryAccounts(stateStore);
+  if (!addresses.some((a) => a.equals(address))) {
+    await setRecoveryAccounts(stateStore, [...addresses, address]);
+  }
+};
+
+// Indexes the accounts of the genesis block which already have a recovery configuration, e.g. when a chain is
+// started again from a snapshot of its accounts
+const addGenesisRecoveryAccounts = async (stateStore, accounts) => {
+  const addresses = await getRecoveryAccounts(stateStore);
+  const newAddresses = accounts
+    .filter((account) => account.srs.config.friends.length > 0)
+    .map((account) => account.address)
+    .filter((address) => !addresses.some((a) => a.equals(address)));
+  await setRecoveryAccounts(stateStore, [...addresses, ...newAddresses]);
+};
+
+// Configs created before the index existed are added once a transaction of the module touches their account.
+// It is a no-op for accounts without a config or which are indexed already.
+const migrateRecoveryAccount = async (stateStore, address) => {
+  const account = await stateStore.account.getOrDefault(address);
+  if (account.srs.config.friends.length > 0) {
+    await addRecoveryAccount(stateStore, address);
+  }
+};
+
+const removeRecoveryAccount = async (stateStore, address) => {
+  const addresses = await getRecoveryAccounts(stateStore);
+  await setRecoveryAccounts(stateStore, addresses.filter((a) => !a.equals(address)));
+};
+
+const getRecoveryAccountsFromDataAccess = async (dataAccess) => decodeRecoveryAccounts(
+  await dataAccess.getChainState(CHAIN_STATE_RECOVERY_ACCOUNTS),
+);
+
+// Recovery state of an account as JSON at the last block of the chain
+const getRecoveryJSON = (account, lastBlockHeader) => {
+  const { config, status } = account.srs;
+  const active = Boolean(status && status.active);
+  const vouchList = active ? status.vouchList : [];
+  const delayUnit = config.delayUnit || DELAY_UNIT_BLOCKS;
+
+  return {
+    address: account.address.toString('hex'),
+    config: {
+      friends: config.friends.map((f) => f.toString('hex')),
+      recoveryThreshold: config.recoveryThreshold,
+      delayPeriod: config.delayPeriod,
+      delayUnit,
+      cancelThreshold: config.cancelThreshold || 0,
+      deposit: (config.deposit || BigInt(0)).toString(),
+    },
+    active,
+    rescuer: active ? status.rescuer.toString('hex') : null,
+    created: active ? status.created : null,
+    createdAt: active ? status.createdAt : null,
+    expiresAt: active ? status.expiresAt : null,
+    deposit: active ? status.deposit.toString() : null,
+    vouchList: vouchList.map((f) => f.toString('hex')),
+    cancelVotes: active ? status.cancelVotes.map((f) => f.toString('hex')) : [],
+    // a claim is accepted in a block after the last one once the delay period has passed since `created`,
+    // or since `createdAt` for delays in seconds
+    blocksUntilClaimable: active && delayUnit === DELAY_UNIT_BLOCKS
+      ? Math.max(0, status.created + config.delayPeriod - lastBlockHeader.height)
+      : null,
+    secondsUntilClaimable: active && delayUnit === DELAY_UNIT_SECONDS
+      ? Math.max(0, status.createdAt + config.delayPeriod - lastBlockHeader.timestamp)
+      : null,
+    // the recovery is deactivated and the deposit refunded to the rescuer in the block at `expiresAt`
+    blocksUntilExpiry: active ? Math.max(0, status.expiresAt - lastBlockHeader.height) : null,
+    thresholdMet: active && vouchList.length >= config.recoveryThreshold,
+  };
+};
+
+module.exports = {
+  addRecoveryAccount,
+  addGenesisRecoveryAccounts,
+  migrateRecoveryAccount,
+  removeRecoveryAccount,
+  getRecoveryAccounts,
+  getRecoveryAccountsFromDataAccess,
+  getRecoveryJSON,
+};
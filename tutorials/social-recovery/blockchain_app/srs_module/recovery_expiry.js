@@ -0,0 +1,156 @@
+const { codec } = require('lisk-sdk');
+const { DELAY_UNIT_SECONDS } = require('./constants');
+
+// Lost accounts of the active recoveries by expiry height, so expired recoveries are found without scanning
+// accounts. Keys can not be deleted from the chain state, so it is a single key from which expired and ended
+// recoveries are removed.
+const CHAIN_STATE_RECOVERIES_EXPIRING = 'srs:recoveriesExpiring';
+// Set once the active recoveries initiated before expiries were kept are indexed
+const CHAIN_STATE_RECOVERY_EXPIRIES_MIGRATED = 'srs:recoveryExpiriesMigrated';
+
+const recoveriesExpiringSchema = {
+  $id: 'srs/recoveriesExpiring',
+  type: 'object',
+  required: ['recoveries'],
+  properties: {
+    recoveries: {
+      type: 'array',
+      fieldNumber: 1,
+      items: {
+        type: 'object',
+        required: ['height', 'address'],
+        properties: {
+          height: {
+            dataType: 'uint32',
+            fieldNumber: 1,
+          },
+          address: {
+            dataType: 'bytes',
+            fieldNumber: 2,
+          },
+        },
+      },
+    },
+  },
+};
+
+const getRecoveriesExpiring = async (stateStore) => {
+  const buffer = await stateStore.chain.get(CHAIN_STATE_RECOVERIES_EXPIRING);
+  return buffer ? codec.decode(recoveriesExpiringSchema, buffer).recoveries : [];
+};
+
+const setRecoveriesExpiring = async (stateStore, recoveries) => {
+  await stateStore.chain.set(
+    CHAIN_STATE_RECOVERIES_EXPIRING,
+    codec.encode(recoveriesExpiringSchema, { recoveries }),
+  );
+};
+
+// The expiry window starts once the recovery can be claimed, a delay in seconds is converted with the block time
+const getRecoveryExpiryHeight = (config, created, expiryPeriod, blockTime) => {
+  const delayBlocks = config.delayUnit === DELAY_UNIT_SECONDS
+    ? Math.ceil(config.delayPeriod / blockTime)
+    : config.delayPeriod;
+
+  return created + delayBlocks + expiryPeriod;
+};
+
+const isRecoveryExpiry = (height, address) => (recovery) => (
+  recovery.height === height && recovery.address.equals(address)
+);
+
+const addRecoveryExpiry = async (stateStore, height, address) => {
+  const recoveries = await getRecoveriesExpiring(stateStore);
+  if (!recoveries.some(isRecoveryExpiry(height, address))) {
+    await setRecoveriesExpiring(
+      stateStore,
+      [...recoveries, { height, address }].sort((a, b) => a.height - b.height),
+    );
+  }
+};
+
+// Called when a recovery is claimed or closed before it expired
+const removeRecoveryExpiry = async (stateStore, height, address) => {
+  if (!height) {
+    return;
+  }
+  const recoveries = await getRecoveriesExpiring(stateStore);
+  await setRecoveriesExpiring(stateStore, recoveries.filter((r) => !isRecoveryExpiry(height, address)(r)));
+};
+
+// Indexes the active recovery of an account initiated before expiries were kept, it expires in the current block
+// when its expiry height has passed already. It is a no-op for other accounts.
+const migrateRecoveryExpiry = async (stateStore, address, expiryPeriod, blockTime) => {
+  const lostAccount = await stateStore.account.getOrDefault(address);
+  const { config, status } = lostAccount.srs;
+  if (!status || !status.active || status.expiresAt !== 0) {
+    return;
+  }
+  lostAccount.srs.status.expiresAt = getRecoveryExpiryHeight(config, status.created, expiryPeriod, blockTime);
+  await stateStore.account.set(address, lostAccount);
+  await addRecoveryExpiry(stateStore, lostAccount.srs.status.expiresAt, address);
+};
+
+// Indexes the active recoveries of the accounts once, later ones are indexed when they are initiated
+const migrateRecoveryExpiries = async (stateStore, addresses, expiryPeriod, blockTime) => {
+  if (await stateStore.chain.get(CHAIN_STATE_RECOVERY_EXPIRIES_MIGRATED)) {
+    return;
+  }
+  for (const address of addresses) {
+    await migrateRecoveryExpiry(stateStore, address, expiryPeriod, blockTime);
+  }
+  await stateStore.chain.set(CHAIN_STATE_RECOVERY_EXPIRIES_MIGRATED, Buffer.from([1]));
+};
+
+// Deactivates the recoveries expiring up to the height and refunds the deposit of their rescuers, returns the
+// expired recoveries
+const expireRecoveriesAt = async (stateStore, reducerHandler, height) => {
+  const recoveries = await getRecoveriesExpiring(stateStore);
+  const expiring = recoveries.filter((recovery) => recovery.height <= height);
+  const expired = [];
+
+  for (const recovery of expiring) {
+    const lostAccount = await stateStore.account.get(recovery.address);
+    const { status } = lostAccount.srs;
+    // a recovery initiated again after it was closed has another expiry height
+    if (!status.active || status.expiresAt !== recovery.height) {
+      continue;
+    }
+
+    await reducerHandler.invoke('token:credit', {
+      address: status.rescuer,
+      amount: status.deposit,
+    });
+    expired.push({
+      address: lostAccount.address,
+      rescuer: status.rescuer,
+      deposit: status.deposit,
+    });
+
+    // Reset recovery status
+    lostAccount.srs.status.active = false;
+    lostAccount.srs.status.rescuer = Buffer.from('');
+    lostAccount.srs.status.created = 0;
+    lostAccount.srs.status.createdAt = 0;
+    lostAccount.srs.status.expiresAt = 0;
+    lostAccount.srs.status.deposit = BigInt('0');
+    lostAccount.srs.status.vouchList = [];
+    lostAccount.srs.status.cancelVotes = [];
+    await stateStore.account.set(lostAccount.address, lostAccount);
+  }
+
+  if (expiring.length > 0) {
+    await setRecoveriesExpiring(stateStore, recoveries.filter((recovery) => recovery.height > height));
+  }
+
+  return expired;
+};
+
+module.exports = {
+  getRecoveryExpiryHeight,
+  addRecoveryExpiry,
+  removeRecoveryExpiry,
+  migrateRecoveryExpiry,
+  migrateRecoveryExpiries,
+  expireRecoveriesAt,
+};
@@ -25,12 +25,24 @@ const SRSAccountSchema = {
           deposit: {
             dataType: 'uint64',
             fieldNumber: 4,
-          }
+          },
+          delayUnit: {
+            dataType: 'string',
+            fieldNumber: 5,
+          },
+          // votes of friends needed to cancel an active recovery and slash the deposit of its rescuer,
+          // friends can not cancel recoveries when it is 0
+          cancelThreshold: {
+            dataType: 'uint32',
+            fieldNumber: 6,
+          },
         },
         default: {
           friends: [],
           recoveryThreshold: 0,
 					delayPeriod: 0,
+          delayUnit: '',
+          cancelThreshold: 0,
         },
       },
       status: {
@@ -60,6 +72,24 @@ const SRSAccountSchema = {
             dataType: 'boolean',
             fieldNumber: 5,
           },
+          // timestamp of the last block when the recovery was initiated, for delays in seconds
+          createdAt: {
+            dataType: 'uint32',
+            fieldNumber: 6,
+          },
+          // height at which the recovery expires when it was not claimed or closed
+          expiresAt: {
+            dataType: 'uint32',
+            fieldNumber: 7,
+          },
+          // friends who voted to cancel the recovery
+          cancelVotes: {
+            type: 'array',
+            fieldNumber: 8,
+            items: {
+                dataType: 'bytes',
+            },
+          },
         },
       }
     },
@@ -85,6 +115,48 @@ const createRecoverySchema = {
       dataType: 'uint32',
       fieldNumber: 3,
     },
+    // `blocks` or `seconds`, blocks when it is empty
+    delayUnit: {
+      dataType: 'string',
+      fieldNumber: 4,
+    },
+    cancelThreshold: {
+      dataType: 'uint32',
+      fieldNumber: 5,
+    },
+  },
+};
+
+// Replaces the friends, threshold and delay of an existing recovery configuration
+const updateRecoverySchema = {
+  $id: 'srs/recovery/update',
+  type: 'object',
+  required: ['friends', 'recoveryThreshold', 'delayPeriod'],
+  properties: {
+    friends: {
+      type: 'array',
+      fieldNumber: 1,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+    recoveryThreshold: {
+      dataType: 'uint32',
+      fieldNumber: 2,
+    },
+    delayPeriod: {
+      dataType: 'uint32',
+      fieldNumber: 3,
+    },
+    // `blocks` or `seconds`, blocks when it is empty
+    delayUnit: {
+      dataType: 'string',
+      fieldNumber: 4,
+    },
+    cancelThreshold: {
+      dataType: 'uint32',
+      fieldNumber: 5,
+    },
   },
 };
 
@@ -116,6 +188,40 @@ const vouchRecoverySchema = {
   },
 };
 
+// Takes back the vouch of the sender for the rescuer of the lost account
+const unvouchRecoverySchema = {
+  $id: 'srs/recovery/unvouch',
+  type: 'object',
+  required: ['lostAccount', 'rescuer'],
+  properties: {
+    rescuer: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 2,
+    },
+  },
+};
+
+// Vote of a friend to cancel the recovery of the lost account by the rescuer
+const cancelRecoverySchema = {
+  $id: 'srs/recovery/cancel',
+  type: 'object',
+  required: ['lostAccount', 'rescuer'],
+  properties: {
+    rescuer: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 2,
+    },
+  },
+};
+
 const claimRecoverySchema = {
   $id: 'srs/recovery/claim',
   type: 'object',
@@ -152,4 +258,4 @@ const removeRecoverySchema = {
   },
 };
 
-module.exports = { SRSAccountSchema, createRecoverySchema, initiateRecoverySchema, vouchRecoverySchema, claimRecoverySchema, closeRecoverySchema, removeRecoverySchema };
+module.exports = { SRSAccountSchema, createRecoverySchema, updateRecoverySchema, initiateRecoverySchema, vouchRecoverySchema, unvouchRecoverySchema, cancelRecoverySchema, claimRecoverySchema, closeRecoverySchema, removeRecoverySchema };
@@ -0,0 +1,58 @@
+const {
+  DELAY_UNIT_BLOCKS,
+  DELAY_UNIT_SECONDS,
+  MAX_RECOVERY_FRIENDS,
+  MIN_DELAY_PERIOD_BLOCKS,
+  MIN_DELAY_PERIOD_SECONDS,
+} = require('./constants');
+
+const ADDRESS_LENGTH = 20;
+
+// Stateless checks of the assets, the errors are thrown from `validate` before a transaction is applied
+const validateAddress = (address, name) => {
+  if (address.length !== ADDRESS_LENGTH) {
+    throw new Error(`${name} must be an address of ${ADDRESS_LENGTH} bytes.`);
+  }
+};
+
+// Friends, threshold and delay of a created or updated recovery configuration of the sender
+const validateRecoveryConfig = (asset, senderAddress) => {
+  const { friends, recoveryThreshold, delayPeriod, delayUnit, cancelThreshold } = asset;
+  if (friends.length === 0) {
+    throw new Error('The friend list of a recovery configuration cannot be empty.');
+  }
+  if (friends.length > MAX_RECOVERY_FRIENDS) {
+    throw new Error(`A recovery configuration can have at most ${MAX_RECOVERY_FRIENDS} friends.`);
+  }
+  friends.forEach((friend, index) => {
+    validateAddress(friend, `Friend ${index}`);
+    if (friends.slice(0, index).some(f => f.equals(friend))) {
+      throw new Error(`Friend ${friend.toString('hex')} is in the friend list more than once.`);
+    }
+  });
+  if (friends.some(f => f.equals(senderAddress))) {
+    throw new Error('You cannot add yourself to the friend list.');
+  }
+
+  if (recoveryThreshold < 1 || recoveryThreshold > friends.length) {
+    throw new Error(`Recovery threshold must be between 1 and the number of friends (${friends.length}).`);
+  }
+
+  // 0 disables canceling recoveries by votes of friends
+  if (cancelThreshold > friends.length) {
+    throw new Error(`Cancel threshold must be 0 or at most the number of friends (${friends.length}).`);
+  }
+
+  if (delayUnit !== '' && delayUnit !== DELAY_UNIT_BLOCKS && delayUnit !== DELAY_UNIT_SECONDS) {
+    throw new Error(`Delay unit must be ${DELAY_UNIT_BLOCKS} or ${DELAY_UNIT_SECONDS}.`);
+  }
+  const minDelayPeriod = delayUnit === DELAY_UNIT_SECONDS ? MIN_DELAY_PERIOD_SECONDS : MIN_DELAY_PERIOD_BLOCKS;
+  if (delayPeriod < minDelayPeriod) {
+    throw new Error(`Delay period in ${delayUnit || DELAY_UNIT_BLOCKS} must be at least ${minDelayPeriod}.`);
+  }
+};
+
+module.exports = {
+  validateAddress,
+  validateRecoveryConfig,
+};
@@ -0,0 +1,111 @@
+const { testing, codec, cryptography } = require('lisk-sdk');
+const CancelRecoveryAsset = require('../../../srs_module/assets/cancel_recovery');
+const { addRecoveryExpiry } = require('../../../srs_module/recovery_expiry');
+const { createAccount, defaultStatus, validateAsset, applyAsset } = require('../../utils/assets');
+
+const recoveriesExpiringSchema = {
+    $id: 'test/recoveriesExpiring',
+    type: 'object',
+    properties: {
+        recoveries: {
+            type: 'array',
+            fieldNumber: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    height: { dataType: 'uint32', fieldNumber: 1 },
+                    address: { dataType: 'bytes', fieldNumber: 2 },
+                },
+            },
+        },
+    },
+};
+
+describe('CancelRecoveryAsset', () => {
+    const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    const rescuer = cryptography.getRandomBytes(20);
+    let lostAccount;
+    let stateStore;
+    let reducerHandler;
+
+    const cancel = (senderAddress, asset = {}) => applyAsset(new CancelRecoveryAsset(), {
+        asset: { rescuer, lostAccount: lostAccount.address, ...asset },
+        transaction: { senderAddress },
+        stateStore,
+        reducerHandler,
+    });
+
+    beforeEach(async () => {
+        lostAccount = createAccount({
+            config: { friends, recoveryThreshold: 2, delayPeriod: 10, cancelThreshold: 2, deposit: BigInt(100) },
+            status: { active: true, rescuer, created: 5, expiresAt: 100, deposit: BigInt(100), vouchList: [friends[2]] },
+        });
+        stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+        await addRecoveryExpiry(stateStore, 100, lostAccount.address);
+        reducerHandler = { invoke: jest.fn() };
+    });
+
+    describe('validate', () => {
+        it('should reject addresses of the wrong length', () => {
+            const validate = asset => validateAsset(
+                CancelRecoveryAsset,
+                { rescuer, lostAccount: lostAccount.address, ...asset },
+                { senderAddress: friends[0] },
+            );
+
+            expect(() => validate({})).not.toThrow();
+            expect(() => validate({ rescuer: cryptography.getRandomBytes(19) })).toThrow('Rescuer must be an address of 20 bytes.');
+            expect(() => validate({ lostAccount: cryptography.getRandomBytes(21) })).toThrow('Lost account must be an address of 20 bytes.');
+        });
+    });
+
+    describe('apply', () => {
+        it('should record the vote of a friend below the cancel threshold', async () => {
+            await cancel(friends[0]);
+
+            const { status } = (await stateStore.account.get(lostAccount.address)).srs;
+            expect(status.active).toBe(true);
+            expect(status.cancelVotes).toEqual([friends[0]]);
+            expect(reducerHandler.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should cancel the recovery, slash the deposit to the lost account and drop its expiry at the threshold', async () => {
+            await cancel(friends[0]);
+            await cancel(friends[1]);
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status).toEqual(defaultStatus);
+            expect(reducerHandler.invoke).toHaveBeenCalledWith('token:credit', {
+                address: lostAccount.address,
+                amount: BigInt(100),
+            });
+            expect(codec.decode(recoveriesExpiringSchema, stateStore.chainData['srs:recoveriesExpiring']).recoveries).toEqual([]);
+        });
+
+        it('should reject a vote when the configuration does not allow cancelling', async () => {
+            lostAccount.srs.config.cancelThreshold = 0;
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+
+            await expect(cancel(friends[0])).rejects.toThrow('The recovery configuration of the lost account does not let friends cancel recoveries.');
+        });
+
+        it('should reject a vote for another rescuer', async () => {
+            await expect(cancel(friends[0], { rescuer: cryptography.getRandomBytes(20) })).rejects.toThrow('Rescuer address is incorrect');
+        });
+
+        it('should reject a vote of an account which is not a friend', async () => {
+            await expect(cancel(cryptography.getRandomBytes(20))).rejects.toThrow('The sender is not part of friends who can cancel the recovery.');
+        });
+
+        it('should reject a vote of a friend who vouched', async () => {
+            await expect(cancel(friends[2])).rejects.toThrow('The sender has vouched for the rescuer, unvouch before voting to cancel the recovery.');
+        });
+
+        it('should reject a second vote of the same friend', async () => {
+            lostAccount.srs.config.cancelThreshold = 3;
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+            await cancel(friends[0]);
+
+            await expect(cancel(friends[0])).rejects.toThrow('The sender has already voted to cancel the recovery.');
+        });
+    });
+});
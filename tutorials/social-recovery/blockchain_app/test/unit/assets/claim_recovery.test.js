@@ -0,0 +1,88 @@
+const { testing, cryptography } = require('lisk-sdk');
+const ClaimRecoveryAsset = require('../../../srs_module/assets/claim_recovery');
+const { createAccount, defaultStatus, validateAsset, applyAsset } = require('../../utils/assets');
+
+describe('ClaimRecoveryAsset', () => {
+    const senderAddress = cryptography.getRandomBytes(20);
+
+    const validate = asset => validateAsset(ClaimRecoveryAsset, asset, { senderAddress });
+
+    it('should accept a claim of another account', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(20) })).not.toThrow();
+    });
+
+    it('should reject a lost account address of the wrong length', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(32) })).toThrow('Lost account must be an address of 20 bytes.');
+    });
+
+    it('should reject a claim of the own account', () => {
+        expect(() => validate({ lostAccount: senderAddress })).toThrow('You cannot claim your own account.');
+    });
+
+    describe('apply', () => {
+        const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+        let rescuer;
+        let lostAccount;
+        let reducerHandler;
+
+        const claim = (delayUnit, lastBlockHeader) => {
+            lostAccount.srs.config.delayUnit = delayUnit;
+            return applyAsset(new ClaimRecoveryAsset(), {
+                asset: { lostAccount: lostAccount.address },
+                transaction: { senderAddress: rescuer.address },
+                stateStore: new testing.mocks.StateStoreMock({
+                    accounts: [rescuer, lostAccount],
+                    lastBlockHeaders: [lastBlockHeader],
+                }),
+                reducerHandler,
+            });
+        };
+
+        beforeEach(() => {
+            rescuer = createAccount();
+            lostAccount = createAccount({
+                config: { friends, recoveryThreshold: 1, delayPeriod: 3600, deposit: BigInt(100) },
+                status: {
+                    active: true,
+                    rescuer: rescuer.address,
+                    created: 10,
+                    createdAt: 1000,
+                    expiresAt: 500,
+                    deposit: BigInt(100),
+                    vouchList: [friends[0]],
+                },
+            });
+            reducerHandler = {
+                invoke: jest.fn(async (name) => ({
+                    'token:getMinRemainingBalance': BigInt(5),
+                    'token:getBalance': BigInt(1000),
+                })[name]),
+            };
+        });
+
+        it('should reject a claim before the delay in seconds passed since the initiation', async () => {
+            await expect(claim('seconds', { height: 4000, timestamp: 4599 })).rejects.toThrow('Cannot claim account before delay period of 3600 seconds.');
+        });
+
+        it('should move the balance of the lost account and both deposits to the rescuer once the delay in seconds passed', async () => {
+            const { stateStore } = await claim('seconds', { height: 20, timestamp: 4600 });
+
+            expect(reducerHandler.invoke).toHaveBeenCalledWith('token:debit', { address: lostAccount.address, amount: BigInt(995) });
+            expect(reducerHandler.invoke).toHaveBeenCalledWith('token:credit', { address: rescuer.address, amount: BigInt(1195) });
+            const claimedAccount = await stateStore.account.get(lostAccount.address);
+            expect(claimedAccount.srs.status).toEqual(defaultStatus);
+            expect(claimedAccount.srs.config.friends).toEqual([]);
+        });
+
+        it('should count a delay in blocks with the height of the last block', async () => {
+            await expect(claim('blocks', { height: 3609, timestamp: 100000 })).rejects.toThrow('Cannot claim account before delay period of 3600.');
+            await expect(claim('blocks', { height: 3610, timestamp: 0 })).resolves.toBeDefined();
+        });
+
+        it('should reject a claim of another account than the rescuer', async () => {
+            rescuer = createAccount();
+
+            await expect(claim('blocks', { height: 4000, timestamp: 0 })).rejects.toThrow('Only the rescuer of an active recovery can claim the lost account.');
+        });
+    });
+});
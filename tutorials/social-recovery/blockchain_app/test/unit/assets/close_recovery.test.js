@@ -0,0 +1,17 @@
+const { cryptography } = require('lisk-sdk');
+const CloseRecoveryAsset = require('../../../srs_module/assets/close_recovery');
+const { validateAsset } = require('../../utils/assets');
+
+describe('CloseRecoveryAsset', () => {
+    const senderAddress = cryptography.getRandomBytes(20);
+
+    const validate = asset => validateAsset(CloseRecoveryAsset, asset, { senderAddress });
+
+    it('should accept a rescuer address', () => {
+        expect(() => validate({ rescuer: cryptography.getRandomBytes(20) })).not.toThrow();
+    });
+
+    it('should reject a rescuer address of the wrong length', () => {
+        expect(() => validate({ rescuer: cryptography.getRandomBytes(10) })).toThrow('Rescuer must be an address of 20 bytes.');
+    });
+});
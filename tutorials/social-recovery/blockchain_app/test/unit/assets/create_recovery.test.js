@@ -0,0 +1,76 @@
+const { cryptography } = require('lisk-sdk');
+const CreateRecoveryAsset = require('../../../srs_module/assets/create_recovery');
+const UpdateRecoveryAsset = require('../../../srs_module/assets/update_recovery');
+const { MAX_RECOVERY_FRIENDS, MIN_DELAY_PERIOD_SECONDS } = require('../../../srs_module/constants');
+const { validateAsset } = require('../../utils/assets');
+
+// Created and updated recovery configurations are validated with the same rules
+describe.each([
+    ['CreateRecoveryAsset', CreateRecoveryAsset],
+    ['UpdateRecoveryAsset', UpdateRecoveryAsset],
+])('%s', (_name, RecoveryAsset) => {
+    const senderAddress = cryptography.getRandomBytes(20);
+    const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    let validAsset;
+
+    const validate = asset => validateAsset(RecoveryAsset, { ...validAsset, ...asset }, { senderAddress });
+
+    beforeEach(() => {
+        validAsset = {
+            friends,
+            recoveryThreshold: 2,
+            delayPeriod: 10,
+            delayUnit: 'blocks',
+            cancelThreshold: 0,
+        };
+    });
+
+    it('should accept a valid recovery configuration', () => {
+        expect(() => validate({})).not.toThrow();
+        expect(() => validate({ delayUnit: 'seconds', delayPeriod: MIN_DELAY_PERIOD_SECONDS })).not.toThrow();
+        expect(() => validate({ delayUnit: '' })).not.toThrow();
+    });
+
+    it('should reject an empty friend list', () => {
+        expect(() => validate({ friends: [] })).toThrow('The friend list of a recovery configuration cannot be empty.');
+    });
+
+    it('should reject more friends than the maximum', () => {
+        const tooManyFriends = [...Array(MAX_RECOVERY_FRIENDS + 1)].map(() => cryptography.getRandomBytes(20));
+        expect(() => validate({ friends: tooManyFriends })).toThrow(`A recovery configuration can have at most ${MAX_RECOVERY_FRIENDS} friends.`);
+    });
+
+    it('should reject a friend address of the wrong length', () => {
+        expect(() => validate({ friends: [friends[0], cryptography.getRandomBytes(19)] })).toThrow('Friend 1 must be an address of 20 bytes.');
+    });
+
+    it('should reject duplicate friends', () => {
+        expect(() => validate({ friends: [...friends, friends[1]] })).toThrow(`Friend ${friends[1].toString('hex')} is in the friend list more than once.`);
+    });
+
+    it('should reject the lost account listed as its own friend', () => {
+        expect(() => validate({ friends: [...friends, senderAddress] })).toThrow('You cannot add yourself to the friend list.');
+    });
+
+    it('should reject a recovery threshold of 0', () => {
+        expect(() => validate({ recoveryThreshold: 0 })).toThrow('Recovery threshold must be between 1 and the number of friends (3).');
+    });
+
+    it('should reject a recovery threshold greater than the number of friends', () => {
+        expect(() => validate({ recoveryThreshold: 4 })).toThrow('Recovery threshold must be between 1 and the number of friends (3).');
+    });
+
+    it('should reject a cancel threshold greater than the number of friends', () => {
+        expect(() => validate({ cancelThreshold: 4 })).toThrow('Cancel threshold must be 0 or at most the number of friends (3).');
+    });
+
+    it('should reject an invalid delay unit', () => {
+        expect(() => validate({ delayUnit: 'minutes' })).toThrow('Delay unit must be blocks or seconds.');
+    });
+
+    it('should reject a delay below the minimum', () => {
+        expect(() => validate({ delayPeriod: 0 })).toThrow('Delay period in blocks must be at least 1.');
+        expect(() => validate({ delayUnit: '', delayPeriod: 0 })).toThrow('Delay period in blocks must be at least 1.');
+        expect(() => validate({ delayUnit: 'seconds', delayPeriod: MIN_DELAY_PERIOD_SECONDS - 1 })).toThrow(`Delay period in seconds must be at least ${MIN_DELAY_PERIOD_SECONDS}.`);
+    });
+});
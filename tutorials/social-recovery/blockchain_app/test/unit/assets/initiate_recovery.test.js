@@ -0,0 +1,77 @@
+const { testing, cryptography } = require('lisk-sdk');
+const InitiateRecoveryAsset = require('../../../srs_module/assets/initiate_recovery');
+const { createAccount, validateAsset, applyAsset } = require('../../utils/assets');
+
+describe('InitiateRecoveryAsset', () => {
+    const senderAddress = cryptography.getRandomBytes(20);
+
+    const validate = asset => validateAsset(InitiateRecoveryAsset, asset, { senderAddress });
+
+    it('should accept the recovery of another account', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(20) })).not.toThrow();
+    });
+
+    it('should reject a lost account address of the wrong length', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(21) })).toThrow('Lost account must be an address of 20 bytes.');
+        expect(() => validate({ lostAccount: Buffer.from('') })).toThrow('Lost account must be an address of 20 bytes.');
+    });
+
+    it('should reject the recovery of the own account', () => {
+        expect(() => validate({ lostAccount: senderAddress })).toThrow('You cannot recover your own account.');
+    });
+
+    describe('apply', () => {
+        const friends = [cryptography.getRandomBytes(20)];
+        let rescuer;
+        let lostAccount;
+        let reducerHandler;
+
+        const initiate = (config) => {
+            lostAccount.srs.config = { ...lostAccount.srs.config, ...config };
+            // an expiry period of 100 blocks and a block time of 10 seconds
+            return applyAsset(new InitiateRecoveryAsset(100, 10), {
+                asset: { lostAccount: lostAccount.address },
+                transaction: { senderAddress: rescuer.address },
+                stateStore: new testing.mocks.StateStoreMock({
+                    accounts: [rescuer, lostAccount],
+                    lastBlockHeaders: [{ height: 50, timestamp: 5000 }],
+                }),
+                reducerHandler,
+            });
+        };
+
+        beforeEach(() => {
+            rescuer = createAccount();
+            lostAccount = createAccount({ config: { friends, recoveryThreshold: 1, deposit: BigInt(100) } });
+            reducerHandler = {
+                invoke: jest.fn(async (name) => (name === 'token:getBalance' ? BigInt(1000) : undefined)),
+            };
+        });
+
+        it('should start the recovery and take the deposit of the rescuer', async () => {
+            const { stateStore } = await initiate({ delayPeriod: 20, delayUnit: 'blocks' });
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status).toMatchObject({
+                active: true,
+                rescuer: rescuer.address,
+                created: 50,
+                createdAt: 5000,
+                expiresAt: 170,
+                deposit: BigInt(100),
+            });
+            expect(reducerHandler.invoke).toHaveBeenCalledWith('token:debit', { address: rescuer.address, amount: BigInt(100) });
+        });
+
+        it('should convert a delay in seconds to blocks for the expiry height', async () => {
+            const { stateStore } = await initiate({ delayPeriod: 3605, delayUnit: 'seconds' });
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status.expiresAt).toBe(50 + 361 + 100);
+        });
+
+        it('should reject a second recovery while one is active', async () => {
+            lostAccount.srs.status.active = true;
+
+            await expect(initiate({ delayPeriod: 20 })).rejects.toThrow('There is already an active recovery for the lost account.');
+        });
+    });
+});
@@ -0,0 +1,21 @@
+const { cryptography } = require('lisk-sdk');
+const RemoveRecoveryAsset = require('../../../srs_module/assets/remove_recovery');
+const { validateAsset } = require('../../utils/assets');
+
+describe('RemoveRecoveryAsset', () => {
+    const senderAddress = cryptography.getRandomBytes(20);
+
+    const validate = asset => validateAsset(RemoveRecoveryAsset, asset, { senderAddress });
+
+    it('should accept the removal of the own configuration', () => {
+        expect(() => validate({ lostAccount: senderAddress })).not.toThrow();
+    });
+
+    it('should reject a lost account address of the wrong length', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(21) })).toThrow('Lost account must be an address of 20 bytes.');
+    });
+
+    it('should reject the removal of the configuration of another account', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(20) })).toThrow('Lost account must be the sender of the transaction.');
+    });
+});
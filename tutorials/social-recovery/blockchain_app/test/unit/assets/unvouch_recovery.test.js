@@ -0,0 +1,65 @@
+const { testing, cryptography } = require('lisk-sdk');
+const UnvouchRecoveryAsset = require('../../../srs_module/assets/unvouch_recovery');
+const { createAccount, validateAsset, applyAsset } = require('../../utils/assets');
+
+describe('UnvouchRecoveryAsset', () => {
+    const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    const rescuer = cryptography.getRandomBytes(20);
+    let lostAccount;
+    let stateStore;
+
+    const unvouch = (senderAddress, asset = {}) => applyAsset(new UnvouchRecoveryAsset(), {
+        asset: { rescuer, lostAccount: lostAccount.address, ...asset },
+        transaction: { senderAddress },
+        stateStore,
+    });
+
+    beforeEach(() => {
+        lostAccount = createAccount({
+            config: { friends, recoveryThreshold: 2, delayPeriod: 10 },
+            status: { active: true, rescuer, created: 5, expiresAt: 100, vouchList: [...friends] },
+        });
+        stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+    });
+
+    describe('validate', () => {
+        it('should reject addresses of the wrong length', () => {
+            const validate = asset => validateAsset(
+                UnvouchRecoveryAsset,
+                { rescuer, lostAccount: lostAccount.address, ...asset },
+                { senderAddress: friends[0] },
+            );
+
+            expect(() => validate({})).not.toThrow();
+            expect(() => validate({ rescuer: cryptography.getRandomBytes(19) })).toThrow('Rescuer must be an address of 20 bytes.');
+            expect(() => validate({ lostAccount: cryptography.getRandomBytes(21) })).toThrow('Lost account must be an address of 20 bytes.');
+        });
+    });
+
+    describe('apply', () => {
+        it('should take the vouch of the friend back and keep the others', async () => {
+            await unvouch(friends[0]);
+
+            const { status } = (await stateStore.account.get(lostAccount.address)).srs;
+            expect(status.active).toBe(true);
+            expect(status.vouchList).toEqual([friends[1]]);
+        });
+
+        it('should reject a friend who has not vouched', async () => {
+            await unvouch(friends[0]);
+
+            await expect(unvouch(friends[0])).rejects.toThrow('The sender has not vouched for the rescuer for recovery process.');
+        });
+
+        it('should reject another rescuer', async () => {
+            await expect(unvouch(friends[0], { rescuer: cryptography.getRandomBytes(20) })).rejects.toThrow('Rescuer address is incorrect');
+        });
+
+        it('should reject a lost account without an active recovery', async () => {
+            lostAccount.srs.status.active = false;
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+
+            await expect(unvouch(friends[0])).rejects.toThrow('No active recovery found');
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { testing, cryptography } = require('lisk-sdk');
+const UpdateRecoveryAsset = require('../../../srs_module/assets/update_recovery');
+const { createAccount, applyAsset } = require('../../utils/assets');
+
+describe('UpdateRecoveryAsset', () => {
+    const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    const newFriends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    const asset = { friends: newFriends, recoveryThreshold: 2, delayPeriod: 3600, delayUnit: 'seconds', cancelThreshold: 1 };
+    let sender;
+    let stateStore;
+
+    const update = (updatedAsset = asset) => applyAsset(new UpdateRecoveryAsset(), {
+        asset: updatedAsset,
+        transaction: { senderAddress: sender.address },
+        stateStore,
+    });
+
+    beforeEach(() => {
+        sender = createAccount({
+            config: { friends, recoveryThreshold: 1, delayPeriod: 10, delayUnit: 'blocks', deposit: BigInt(100) },
+        });
+        stateStore = new testing.mocks.StateStoreMock({ accounts: [sender] });
+    });
+
+    describe('apply', () => {
+        it('should replace the configuration and keep the deposit', async () => {
+            await update();
+
+            expect((await stateStore.account.get(sender.address)).srs.config).toEqual({
+                ...asset,
+                friends: [...newFriends].sort(),
+                deposit: BigInt(100),
+            });
+        });
+
+        it('should count the delay in blocks when no unit is given', async () => {
+            await update({ ...asset, delayPeriod: 20, delayUnit: '' });
+
+            expect((await stateStore.account.get(sender.address)).srs.config).toMatchObject({ delayPeriod: 20, delayUnit: 'blocks' });
+        });
+
+        it('should reject an account without a recovery configuration', async () => {
+            sender = createAccount();
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [sender] });
+
+            await expect(update()).rejects.toThrow('Account does not have a recovery configuration.');
+        });
+
+        it('should reject an update during an active recovery', async () => {
+            sender.srs.status.active = true;
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [sender] });
+
+            await expect(update()).rejects.toThrow('There is active recovery in process.');
+        });
+    });
+});
@@ -0,0 +1,27 @@
+const { cryptography } = require('lisk-sdk');
+const VouchRecoveryAsset = require('../../../srs_module/assets/vouch_recovery');
+const { validateAsset } = require('../../utils/assets');
+
+describe('VouchRecoveryAsset', () => {
+    const senderAddress = cryptography.getRandomBytes(20);
+    const rescuer = cryptography.getRandomBytes(20);
+    const lostAccount = cryptography.getRandomBytes(20);
+
+    const validate = asset => validateAsset(VouchRecoveryAsset, { rescuer, lostAccount, ...asset }, { senderAddress });
+
+    it('should accept a vouch for another rescuer', () => {
+        expect(() => validate({})).not.toThrow();
+    });
+
+    it('should reject a rescuer address of the wrong length', () => {
+        expect(() => validate({ rescuer: cryptography.getRandomBytes(19) })).toThrow('Rescuer must be an address of 20 bytes.');
+    });
+
+    it('should reject a lost account address of the wrong length', () => {
+        expect(() => validate({ lostAccount: cryptography.getRandomBytes(19) })).toThrow('Lost account must be an address of 20 bytes.');
+    });
+
+    it('should reject a vouch of the sender for itself as rescuer', () => {
+        expect(() => validate({ rescuer: senderAddress })).toThrow('You cannot vouch for yourself as rescuer.');
+    });
+});
@@ -0,0 +1,163 @@
+const { testing, codec, cryptography } = require('lisk-sdk');
+const { SRSModule } = require('../../srs_module');
+const { initiateRecoverySchema } = require('../../srs_module/schemas');
+const { INITIATE_RECOVERY_ASSET_ID } = require('../../srs_module/constants');
+const { addRecoveryExpiry } = require('../../srs_module/recovery_expiry');
+const { createAccount, defaultStatus } = require('../utils/assets');
+
+const recoveryAccountsSchema = {
+    $id: 'test/recoveryAccounts',
+    type: 'object',
+    properties: {
+        addresses: {
+            type: 'array',
+            fieldNumber: 1,
+            items: { dataType: 'bytes' },
+        },
+    },
+};
+
+const getRecoveryAccounts = (stateStore) => codec.decode(
+    recoveryAccountsSchema,
+    stateStore.chainData['srs:recoveryAccounts'],
+).addresses;
+
+describe('SRSModule', () => {
+    const friends = [cryptography.getRandomBytes(20), cryptography.getRandomBytes(20)];
+    const config = { friends, recoveryThreshold: 1, delayPeriod: 10, delayUnit: 'blocks', cancelThreshold: 0, deposit: BigInt(0) };
+    const withConfig = (status) => createAccount({ config, status });
+
+    describe('afterGenesisBlockApply', () => {
+        it('should index the genesis accounts with a recovery configuration', async () => {
+            const lostAccount = withConfig();
+            const context = testing.createAfterGenesisBlockApplyContext({
+                genesisBlock: { header: { asset: { accounts: [createAccount(), lostAccount] } } },
+            });
+
+            await testing.getModuleInstance(SRSModule).afterGenesisBlockApply(context);
+
+            expect(getRecoveryAccounts(context.stateStore)).toEqual([lostAccount.address]);
+        });
+    });
+
+    describe('beforeTransactionApply', () => {
+        it('should index the config of a lost account created before the index existed', async () => {
+            const lostAccount = withConfig();
+            const context = testing.createTransactionApplyContext({
+                stateStore: new testing.mocks.StateStoreMock({ accounts: [lostAccount] }),
+                transaction: {
+                    moduleID: 1026,
+                    assetID: INITIATE_RECOVERY_ASSET_ID,
+                    senderAddress: cryptography.getRandomBytes(20),
+                    asset: codec.encode(initiateRecoverySchema, { lostAccount: lostAccount.address }),
+                },
+            });
+            const srsModule = testing.getModuleInstance(SRSModule);
+
+            await srsModule.beforeTransactionApply(context);
+            await srsModule.beforeTransactionApply(context);
+
+            expect(getRecoveryAccounts(context.stateStore)).toEqual([lostAccount.address]);
+        });
+    });
+
+    describe('getRecoveriesByFriend', () => {
+        it('should only return active recoveries the friend has not vouched for or voted to cancel', async () => {
+            const status = { active: true, rescuer: cryptography.getRandomBytes(20), created: 1, expiresAt: 100 };
+            const accounts = {
+                inactive: withConfig(),
+                pending: withConfig(status),
+                vouched: withConfig({ ...status, vouchList: [friends[0]] }),
+                cancelVoted: withConfig({ ...status, cancelVotes: [friends[0]] }),
+            };
+            const srsModule = testing.getModuleInstance(SRSModule, {
+                dataAccess: new testing.mocks.DataAccessMock({
+                    accounts: Object.values(accounts),
+                    blockHeaders: [{ height: 2, timestamp: 20 }],
+                    chainState: {
+                        'srs:recoveryAccounts': codec.encode(recoveryAccountsSchema, {
+                            addresses: Object.values(accounts).map((account) => account.address),
+                        }),
+                    },
+                }),
+            });
+
+            const recoveries = await srsModule.actions.getRecoveriesByFriend({ address: friends[0].toString('hex') });
+
+            expect(recoveries.map((recovery) => recovery.address)).toEqual([accounts.pending.address.toString('hex')]);
+        });
+    });
+
+    describe('afterBlockApply', () => {
+        const rescuer = cryptography.getRandomBytes(20);
+        let lostAccount;
+        let stateStore;
+        let srsModule;
+        let reducerHandler;
+
+        const applyBlock = (height) => srsModule.afterBlockApply(testing.createAfterBlockApplyContext({
+            block: { header: { height }, payload: [] },
+            stateStore,
+            reducerHandler,
+        }));
+
+        beforeEach(async () => {
+            lostAccount = withConfig({ active: true, rescuer, created: 5, expiresAt: 20, deposit: BigInt(100) });
+            stateStore = new testing.mocks.StateStoreMock({ accounts: [lostAccount] });
+            await addRecoveryExpiry(stateStore, 20, lostAccount.address);
+            srsModule = testing.getModuleInstance(SRSModule, { channel: { publish: jest.fn() } });
+            reducerHandler = { invoke: jest.fn() };
+        });
+
+        it('should keep a recovery active before its expiry height', async () => {
+            await applyBlock(19);
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status.active).toBe(true);
+            expect(reducerHandler.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should expire a recovery at its expiry height and refund the deposit of the rescuer', async () => {
+            await applyBlock(20);
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status).toEqual(defaultStatus);
+            expect(reducerHandler.invoke).toHaveBeenCalledWith('token:credit', { address: rescuer, amount: BigInt(100) });
+            expect(srsModule._channel.publish).toHaveBeenCalledWith('srs:recoveryExpired', {
+                address: lostAccount.address.toString('hex'),
+                rescuer: rescuer.toString('hex'),
+                deposit: '100',
+                height: 20,
+            });
+        });
+
+        it('should not expire a recovery which was initiated again with another expiry height', async () => {
+            lostAccount.srs.status.expiresAt = 40;
+
+            await applyBlock(20);
+            await applyBlock(21);
+
+            expect((await stateStore.account.get(lostAccount.address)).srs.status.active).toBe(true);
+            expect(reducerHandler.invoke).not.toHaveBeenCalled();
+        });
+
+        it('should index and expire a recovery initiated before expiries were kept', async () => {
+            const legacyAccount = withConfig({ active: true, rescuer, created: 5, deposit: BigInt(100) });
+            stateStore = new testing.mocks.StateStoreMock({
+                accounts: [legacyAccount],
+                chain: {
+                    'srs:recoveryAccounts': codec.encode(recoveryAccountsSchema, { addresses: [legacyAccount.address] }),
+                },
+            });
+            srsModule = testing.getModuleInstance(SRSModule, {
+                genesisConfig: { srsRecoveryExpiryPeriod: 100 },
+                channel: { publish: jest.fn() },
+            });
+
+            // created at 5 with a delay of 10 blocks and an expiry period of 100 blocks
+            await applyBlock(114);
+            expect((await stateStore.account.get(legacyAccount.address)).srs.status).toMatchObject({ active: true, expiresAt: 115 });
+
+            await applyBlock(115);
+            expect((await stateStore.account.get(legacyAccount.address)).srs.status.active).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,48 @@
+const { testing, cryptography } = require('lisk-sdk');
+
+const defaultConfig = {
+    friends: [],
+    recoveryThreshold: 0,
+    delayPeriod: 0,
+    delayUnit: '',
+    cancelThreshold: 0,
+    deposit: BigInt(0),
+};
+
+const defaultStatus = {
+    active: false,
+    rescuer: Buffer.from(''),
+    created: 0,
+    createdAt: 0,
+    expiresAt: 0,
+    deposit: BigInt(0),
+    vouchList: [],
+    cancelVotes: [],
+};
+
+// Account with a random address, `config` and `status` replace the fields of an account without recovery
+const createAccount = ({ config = {}, status = {} } = {}) => ({
+    address: cryptography.getRandomBytes(20),
+    srs: {
+        config: { ...defaultConfig, ...config },
+        status: { ...defaultStatus, ...status },
+    },
+});
+
+const validateAsset = (Asset, asset, transaction) => new Asset().validate(
+    testing.createValidateAssetContext({ asset, transaction }),
+);
+
+// Applies the asset on the state store of the context, which is returned to check the changed accounts and chain state
+const applyAsset = async (asset, params) => {
+    const context = testing.createApplyAssetContext(params);
+    await asset.apply(context);
+    return context;
+};
+
+module.exports = {
+    defaultStatus,
+    createAccount,
+    validateAsset,
+    applyAsset,
+};
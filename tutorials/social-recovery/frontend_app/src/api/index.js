@@ -1,6 +1,9 @@
-import { apiClient } from '@liskhq/lisk-client';
+import { apiClient, codec, cryptography, transactions, Buffer } from '@liskhq/lisk-client';
+import { recoveryAssets } from '../utils/schemas';
 
 const RPC_ENDPOINT = 'ws://localhost:8888/ws';
+const SRS_MODULE_ID = 1026;
+const DEFAULT_FEE = BigInt('200000');
 
 let clientCache;
 
@@ -16,13 +19,38 @@ export const fetchRecoveryConfigs = async () => {
   return client.invoke('SRSData:getAllRecoveryConfigs');
 };
 
-export const sendTransactions = async (tx, action) => {
+// Signs the transaction of a recovery action in the browser, only the signed transaction is sent to the api
+export const sendTransactions = async ({ passphrase, ...asset }, action) => {
+    const { assetID, schema } = recoveryAssets[action];
+    const { data: nodeInfo } = await fetchNodeInfo();
+    const address = cryptography.getAddressFromPassphrase(passphrase).toString('hex');
+    const { data: account, errors } = await fetchAccountInfo(address);
+    if (errors) {
+      return { errors };
+    }
+    const { publicKey } = cryptography.getPrivateAndPublicKeyFromPassphrase(passphrase);
+    const signedTransaction = transactions.signTransaction(
+      schema,
+      {
+        moduleID: SRS_MODULE_ID,
+        assetID,
+        nonce: BigInt(account.sequence.nonce),
+        fee: DEFAULT_FEE,
+        senderPublicKey: publicKey,
+        asset: codec.codec.fromJSON(schema, asset),
+      },
+      Buffer.from(nodeInfo.networkIdentifier, 'hex'),
+      passphrase,
+    );
+
     return fetch(`http://localhost:8080/api/recovery/${action}`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify(tx),
+      body: JSON.stringify({
+        transaction: transactions.getBytes(schema, signedTransaction).toString('hex'),
+      }),
     })
       .then((res) => res.json())
       .then((res) => res);
@@ -3,6 +3,7 @@ import Avatar from '@material-ui/core/Avatar';
 import Button from '@material-ui/core/Button';
 import CssBaseline from '@material-ui/core/CssBaseline';
 import TextField from '@material-ui/core/TextField';
+import MenuItem from '@material-ui/core/MenuItem';
 import Link from '@material-ui/core/Link';
 import Grid from '@material-ui/core/Grid';
 import Box from '@material-ui/core/Box';
@@ -17,6 +18,12 @@ import Snackbar from '@material-ui/core/Snackbar';
 import MuiAlert from '@material-ui/lab/Alert';
 import { cryptography } from '@liskhq/lisk-client';
 
+// Seconds of the delay units which are sent as a delay in seconds, other delays count blocks
+const DELAY_UNIT_SECONDS = {
+  hours: 3600,
+  days: 86400,
+};
+
 function Alert(props) {
   return <MuiAlert elevation={6} variant="filled" {...props} />;
 }
@@ -51,14 +58,17 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-export default function CreateRecovery() {
+// Creates the recovery configuration of an account, or replaces an existing one with `update`
+export default function CreateRecovery({ update = false }) {
   const classes = useStyles();
   const [open, setOpen ] = useState(false);
 
   const [data, setData] = useState({
     friends: createRecoveryDefaults.friends,
     delayPeriod: createRecoveryDefaults.delayPeriod,
+    delayUnit: createRecoveryDefaults.delayUnit,
     recoveryThreshold: createRecoveryDefaults.recoveryThreshold,
+    cancelThreshold: createRecoveryDefaults.cancelThreshold,
     passphrase: createRecoveryDefaults.passphrase,
     msg: '',
     severity: 'success',
@@ -83,12 +93,16 @@ export default function CreateRecovery() {
 
     const friendList = friends ? friends.split(',').map(str => str.replace(/\s/g, '')): [];
     const binaryFriends = friendList.map(friend => cryptography.getAddressFromBase32Address(friend).toString('hex'));
+    const unitSeconds = DELAY_UNIT_SECONDS[data.delayUnit];
+    const delay = unitSeconds
+      ? { delayPeriod: +data.delayPeriod * unitSeconds, delayUnit: 'seconds' }
+      : { delayPeriod: +data.delayPeriod, delayUnit: 'blocks' };
     try {
-        const result = await sendTransactions({ delayPeriod: data.delayPeriod, recoveryThreshold: data.recoveryThreshold, friends: binaryFriends, passphrase: data.passphrase }, window.location.pathname.slice(1));
+        const result = await sendTransactions({ ...delay, recoveryThreshold: +data.recoveryThreshold, cancelThreshold: +data.cancelThreshold || 0, friends: binaryFriends, passphrase: data.passphrase }, update ? 'update' : 'create');
         if (result.errors) {
-            setData({ msg: result.errors[0].message, severity: 'error' });
+            setData({ ...data, msg: result.errors[0].message, severity: 'error' });
         } else {
-            setData({ msg: `Transaction ID ${result.data.transactionId} is added`, severity: 'success' });
+            setData({ ...data, msg: `Transaction ID ${result.data.transactionId} is added`, severity: 'success' });
         }
         setOpen(true);
 
@@ -103,10 +117,12 @@ export default function CreateRecovery() {
         <EnhancedEncryptionIcon style={{ color: green[500] }}/>
         </Avatar>
         <Typography component="h1" variant="h5">
-          Setup Social Recovery
+          {update ? 'Update Social Recovery' : 'Setup Social Recovery'}
         </Typography>
         <Typography component="h4" style={{color: 'grey'}}>
-          Create recovery configuration for your account
+          {update
+            ? 'Replace the friends, threshold and delay of your recovery configuration'
+            : 'Create recovery configuration for your account'}
         </Typography>
         <form className={classes.form} noValidate autoComplete="off">
           <Grid container spacing={2}>
@@ -124,7 +140,7 @@ export default function CreateRecovery() {
                 defaultValue={createRecoveryDefaults.friends}
               />
             </Grid>
-            <Grid item xs={12}>
+            <Grid item xs={8}>
               <TextField
                 variant="outlined"
                 required
@@ -136,6 +152,22 @@ export default function CreateRecovery() {
                 defaultValue={createRecoveryDefaults.delayPeriod}
               />
             </Grid>
+            <Grid item xs={4}>
+              <TextField
+                variant="outlined"
+                select
+                fullWidth
+                name="delayUnit"
+                label="Unit"
+                id="delayUnit"
+                onChange={handleChange}
+                value={data.delayUnit}
+              >
+                <MenuItem value="blocks">Blocks</MenuItem>
+                <MenuItem value="hours">Hours</MenuItem>
+                <MenuItem value="days">Days</MenuItem>
+              </TextField>
+            </Grid>
             <Grid item xs={12}>
               <TextField
                 variant="outlined"
@@ -148,6 +180,17 @@ export default function CreateRecovery() {
                 defaultValue={createRecoveryDefaults.recoveryThreshold}
               />
             </Grid>
+            <Grid item xs={12}>
+              <TextField
+                variant="outlined"
+                fullWidth
+                name="cancelThreshold"
+                label="Friends needed to cancel a recovery (0 to disable)"
+                id="cancelThreshold"
+                onChange={handleChange}
+                defaultValue={createRecoveryDefaults.cancelThreshold}
+              />
+            </Grid>
             <Grid item xs={12}>
               <TextField
                 variant="outlined"
@@ -167,7 +210,7 @@ export default function CreateRecovery() {
             variant="contained"
             color="primary"
           >
-            Create Recovery Config
+            {update ? 'Update Recovery Config' : 'Create Recovery Config'}
           </Button>
           </Grid>
         </form>
@@ -132,8 +132,9 @@ export default function GetAccount() {
               <b>friends:</b>
               <br/>
               {data.result.data.srs.config.friends.map(f => (<i>{cryptography.getBase32AddressFromAddress(Buffer.from(f, 'hex'))}<br/></i>))}
-              <b>delayPeriod:</b><i>{data.result.data.srs.config.delayPeriod}<br/></i>
+              <b>delayPeriod:</b><i>{data.result.data.srs.config.delayPeriod} {data.result.data.srs.config.delayUnit || 'blocks'}<br/></i>
               <b>recoveryThreshold:</b><i>{data.result.data.srs.config.recoveryThreshold}<br/></i>
+              <b>cancelThreshold:</b><i>{data.result.data.srs.config.cancelThreshold || 'none'}<br/></i>
               <b>deposit:</b><i>{data.result.data.srs.config.deposit}<br/></i>
               </Paper>
             </Grid>
@@ -145,8 +146,13 @@ export default function GetAccount() {
               <b>vouchList:</b>
               <br/>
               {data.result.data.srs.status.vouchList.map(f => (<i>{cryptography.getBase32AddressFromAddress(Buffer.from(f, 'hex'))}<br/></i>))}
+              <b>cancelVotes:</b>
+              <br/>
+              {(data.result.data.srs.status.cancelVotes || []).map(f => (<i>{cryptography.getBase32AddressFromAddress(Buffer.from(f, 'hex'))}<br/></i>))}
               <b>rescuer:</b><i>{data.result.data.srs.status.rescuer? cryptography.getBase32AddressFromAddress(Buffer.from(data.result.data.srs.status.rescuer, 'hex')) : 'none'}<br/></i>
               <b>created:</b><i>{data.result.data.srs.status.created}<br/></i>
+              <b>createdAt:</b><i>{data.result.data.srs.status.createdAt ? new Date(data.result.data.srs.status.createdAt * 1000).toLocaleString() : 'none'}<br/></i>
+              <b>expiresAt:</b><i>{data.result.data.srs.status.expiresAt || 'none'}<br/></i>
               <b>deposit:</b><i>{data.result.data.srs.status.deposit}<br/></i>
               <b>active:</b><i>{data.result.data.srs.status.active ? 'true':'false'}<br/></i>
               </Paper>
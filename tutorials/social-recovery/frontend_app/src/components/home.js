@@ -9,7 +9,7 @@ const recoveryConfig= `
 To make an account recoverable, the account sets 3 crucial parameters.
 friends: List of all friend’s address
 recoveryThreshold: Minimum number of friends required to give access.
-delayPeriod: The minimum number of blocks required from the height at which account recovery was initiated to successfully recover the account.
+delayPeriod: The minimum number of blocks, or of hours or days, required from the height or time at which account recovery was initiated to successfully recover the account.
 deposit: This is automatically calculated using the base deposit amount along with the factor mutilplied by number of friends that you want to register.`
 export default function Home() {
     return (
@@ -28,8 +28,11 @@ export default function Home() {
             <Typography align='left'>
                 <ul>
                 <li><b>Create recovery configuration:</b> User setups its account with recovery configuration. User provides with `friends` addresses, `delayPeriod` and `recoveryThreshold`.</li>
+                <li><b>Update recovery configuration:</b> User replaces the `friends`, `recoveryThreshold` and `delayPeriod` of its recovery configuration in one transaction, while no recovery of its account is active. The deposit stays as it was set on creation.</li>
                 <li><b>Initiate recovery:</b> This is the step only when user loses its passphrase to its account. User creates a transaction with lostAccount in its asset field through its new or some other account as a rescuer to initiate the recovery process. It debits the amount of deposit that was set in the lostAccount.</li>
                 <li><b>Vouch recovery:</b> In this step, user asks his friends that it trusted and configured in the recovery config of the lostAccount. Friends then vouch for the recovery. Friend adds its signature to the `vouchList` property.</li>
+                <li><b>Unvouch recovery:</b> A friend who vouched can take the vouch back while the recovery is active, e.g. when a wrong rescuer initiated it.</li>
+                <li><b>Cancel recovery:</b> When the recovery configuration has a `cancelThreshold`, friends who did not vouch can vote to cancel an active recovery. Once the votes reach the threshold, the recovery is canceled and the deposit of the rescuer goes to the lost account, so a legitimate rescuer can initiate a new one.</li>
                 <li><b>Claim recovery:</b> After all the friends have vouched for the rescuer to recover the lostAccount, rescuer can claim the funds of the lostAccount along with the deposit. This can only be claimed if it passed its delayPeriod.</li>
                 <li><b>Close recovery:</b> User can stop any active recovery happening. If there is any malicious user trying to act as a rescuer then the deposit that was locked will be transferred to the user's account that was tried by maclicious user to recover.</li>
                 <li><b>Remove recovery:</b> User can completely remove recovery configuration that was setup anytime in the past and it will remove the config and transfer back the deposit to user's account.</li>
@@ -57,7 +57,11 @@ export default function RecoveryConfig(props) {
           </li>
           <li>
             <dt>delayPeriod</dt>
-            <dd>{props.item.delayPeriod}</dd>
+            <dd>{props.item.delayPeriod} {props.item.delayUnit}</dd>
+          </li>
+          <li>
+            <dt>cancelThreshold</dt>
+            <dd>{props.item.cancelThreshold || 'none'}</dd>
           </li>
         </dl>
       </CardContent>
@@ -103,12 +103,21 @@ export default function RecoveryManager() {
           <Route path="/create">
             <CreateRecovery />
           </Route>
+          <Route path="/update">
+            <CreateRecovery key="update" update />
+          </Route>
           <Route path="/initiate">
           <InitiateRecovery />
           </Route>
           <Route path="/vouch">
             <VouchRecovery />
           </Route>
+          <Route path="/unvouch">
+            <VouchRecovery key="unvouch" action="unvouch" />
+          </Route>
+          <Route path="/cancel">
+            <VouchRecovery key="cancel" action="cancel" />
+          </Route>
           <Route path="/claim">
             <ClaimRecovery />
           </Route>
@@ -3,12 +3,15 @@ import List from '@material-ui/core/List';
 import ListItem from '@material-ui/core/ListItem';
 import ListItemIcon from '@material-ui/core/ListItemIcon';
 import ListItemText from '@material-ui/core/ListItemText';
-import { green, blue, orange, purple, red, brown } from '@material-ui/core/colors';
+import { green, blue, orange, purple, red, brown, teal } from '@material-ui/core/colors';
 import { makeStyles } from '@material-ui/core/styles';
 import { Link } from 'react-router-dom'
 import EnhancedEncryptionIcon from '@material-ui/icons/EnhancedEncryption';
+import EditIcon from '@material-ui/icons/Edit';
 import DoubleArrowIcon from '@material-ui/icons/DoubleArrow';
 import HowToVoteIcon from '@material-ui/icons/HowToVote';
+import UndoIcon from '@material-ui/icons/Undo';
+import BlockIcon from '@material-ui/icons/Block';
 import SettingsBackupRestoreIcon from '@material-ui/icons/SettingsBackupRestore';
 import HighlightOffIcon from '@material-ui/icons/HighlightOff';
 import StopTwoToneIcon from '@material-ui/icons/StopTwoTone';
@@ -18,8 +21,11 @@ import DvrIcon from '@material-ui/icons/Dvr';
 
 const menuItems = [
     { key: 'create', text: 'Setup Recovery', icon: <EnhancedEncryptionIcon style={{ color: green[500] }}/> },
+    { key: 'update', text: 'Update Recovery', icon: <EditIcon style={{ color: teal[500] }} />},
     { key: 'initiate', text: 'Initiate Recovery', icon: <DoubleArrowIcon style={{ color: blue[500] }} />},
     { key: 'vouch', text: 'Vouch For Friend', icon: <HowToVoteIcon style={{ color: orange[500] }} />},
+    { key: 'unvouch', text: 'Unvouch For Friend', icon: <UndoIcon style={{ color: orange[500] }} />},
+    { key: 'cancel', text: 'Vote To Cancel', icon: <BlockIcon style={{ color: red[500] }} />},
     { key: 'claim', text: 'Claim Lost Account', icon: <SettingsBackupRestoreIcon  style={{ color: purple[500] }} />},
     { key: 'close', text: 'Close Recovery', icon: <StopTwoToneIcon style={{ color: brown[500] }} />},
     { key: 'remove', text: 'Remove Recovery', icon: <HighlightOffIcon style={{ color: red[500] }} />}
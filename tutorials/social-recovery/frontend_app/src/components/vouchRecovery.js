@@ -52,7 +52,27 @@ const useStyles = makeStyles((theme) => ({
   },
 }));
 
-export default function VouchRecovery() {
+// Texts of the page of each transaction of a friend for the recovery of a lost account
+const FRIEND_ACTIONS = {
+  vouch: {
+    title: 'Vouch Recovery',
+    description: 'Vouch for your friend who initiated recovery on lost account',
+    sent: 'Recovery Vouched',
+  },
+  unvouch: {
+    title: 'Unvouch Recovery',
+    description: 'Take back your vouch for the rescuer of a lost account',
+    sent: 'Vouch Revoked',
+  },
+  cancel: {
+    title: 'Cancel Recovery',
+    description: 'Vote to cancel a recovery, its rescuer loses the deposit to the lost account',
+    sent: 'Cancel Voted',
+  },
+};
+
+export default function VouchRecovery({ action = 'vouch' }) {
+  const texts = FRIEND_ACTIONS[action];
   const classes = useStyles();
   const [open, setOpen ] = useState(false);
 
@@ -80,11 +100,11 @@ export default function VouchRecovery() {
   const handleSend = async (event) => {
     event.preventDefault();
     try {
-        const result = await sendTransactions({ lostAccount: cryptography.getAddressFromBase32Address(data.lostAccount).toString('hex'), rescuer: cryptography.getAddressFromBase32Address(data.rescuerAccount).toString('hex'), passphrase: data.passphrase }, window.location.pathname.slice(1));
+        const result = await sendTransactions({ lostAccount: cryptography.getAddressFromBase32Address(data.lostAccount).toString('hex'), rescuer: cryptography.getAddressFromBase32Address(data.rescuerAccount).toString('hex'), passphrase: data.passphrase }, action);
         if (result.errors) {
             setData({ msg: result.errors[0].message, severity: 'error' });
         } else {
-            setData({ msg: `Recovery Vouched: Transaction ID ${result.data.transactionId} is added`, severity: 'success' });
+            setData({ msg: `${texts.sent}: Transaction ID ${result.data.transactionId} is added`, severity: 'success' });
         }
         setOpen(true);
 
@@ -99,10 +119,10 @@ export default function VouchRecovery() {
         <HowToVoteIcon style={{ color: orange[500] }} />
         </Avatar>
         <Typography component="h1" variant="h5">
-          Vouch Recovery
+          {texts.title}
         </Typography>
         <Typography component="h4" style={{color: 'grey'}}>
-          Vouch for your friend who initiated recovery on lost account
+          {texts.description}
         </Typography>
         <form className={classes.form} noValidate autoComplete="off">
           <Grid container spacing={2}>
@@ -149,7 +169,7 @@ export default function VouchRecovery() {
             variant="contained"
             color="primary"
           >
-            Vouch Recovery
+            {texts.title}
           </Button>
           </Grid>
         </form>
@@ -1,7 +1,9 @@
 export const createRecoveryDefaults = {
 	friends: 'lsk32gnhxjs887bqmgoz6y6ozh6c4c6ztpz7wjfa9,lskb6bufqcbrwvgkzuu5wqu6wnruz7awvhxwfkonb,lskomdmvwhb9r3sgj3ryp4fsqnzfn8c8twzkecugt',
 	delayPeriod: 10,
+	delayUnit: 'blocks',
 	recoveryThreshold: 2,
+	cancelThreshold: 0,
 	passphrase: 'peanut hundred pen hawk invite exclude brain chunk gadget wait wrong ready',
 };
 
@@ -0,0 +1,125 @@
+// Asset schemas of the transactions of the srs module, to sign them in the browser
+const createRecoverySchema = {
+  $id: 'srs/recovery/create',
+  type: 'object',
+  required: ['friends', 'recoveryThreshold', 'delayPeriod'],
+  properties: {
+    friends: {
+      type: 'array',
+      fieldNumber: 1,
+      items: {
+        dataType: 'bytes',
+      },
+    },
+    recoveryThreshold: {
+      dataType: 'uint32',
+      fieldNumber: 2,
+    },
+    delayPeriod: {
+      dataType: 'uint32',
+      fieldNumber: 3,
+    },
+    delayUnit: {
+      dataType: 'string',
+      fieldNumber: 4,
+    },
+    cancelThreshold: {
+      dataType: 'uint32',
+      fieldNumber: 5,
+    },
+  },
+};
+
+// Same fields as the creation, they replace the existing configuration
+const updateRecoverySchema = {
+  ...createRecoverySchema,
+  $id: 'srs/recovery/update',
+};
+
+const initiateRecoverySchema = {
+  $id: 'srs/recovery/initiate',
+  type: 'object',
+  required: ['lostAccount'],
+  properties: {
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+  },
+};
+
+const vouchRecoverySchema = {
+  $id: 'srs/recovery/vouch',
+  type: 'object',
+  required: ['lostAccount', 'rescuer'],
+  properties: {
+    rescuer: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 2,
+    },
+  },
+};
+
+// Same fields as the vouch, for friends who take it back or vote to cancel the recovery
+const unvouchRecoverySchema = {
+  ...vouchRecoverySchema,
+  $id: 'srs/recovery/unvouch',
+};
+
+const cancelRecoverySchema = {
+  ...vouchRecoverySchema,
+  $id: 'srs/recovery/cancel',
+};
+
+const claimRecoverySchema = {
+  $id: 'srs/recovery/claim',
+  type: 'object',
+  required: ['lostAccount'],
+  properties: {
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+  },
+};
+
+const closeRecoverySchema = {
+  $id: 'srs/recovery/close',
+  type: 'object',
+  required: ['rescuer'],
+  properties: {
+    rescuer: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+  },
+};
+
+const removeRecoverySchema = {
+  $id: 'srs/recovery/remove',
+  type: 'object',
+  required: ['lostAccount'],
+  properties: {
+    lostAccount: {
+      dataType: 'bytes',
+      fieldNumber: 1,
+    },
+  },
+};
+
+// Asset id and schema of each recovery action, by the path of its page
+export const recoveryAssets = {
+  create: { assetID: 0, schema: createRecoverySchema },
+  update: { assetID: 6, schema: updateRecoverySchema },
+  initiate: { assetID: 1, schema: initiateRecoverySchema },
+  vouch: { assetID: 2, schema: vouchRecoverySchema },
+  unvouch: { assetID: 7, schema: unvouchRecoverySchema },
+  cancel: { assetID: 8, schema: cancelRecoverySchema },
+  claim: { assetID: 3, schema: claimRecoverySchema },
+  close: { assetID: 4, schema: closeRecoverySchema },
+  remove: { assetID: 5, schema: removeRecoverySchema },
+};